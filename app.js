@@ -3,14 +3,39 @@ const http = require('http');
 const socketIo = require('socket.io');
 const session = require('express-session');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
 const path = require('path');
 require('dotenv').config();
 
 // Import models and utilities
-const { formatMessage, formatDbMessage } = require('./utils/messages');
-const { userJoin, getCurrentUser, userLeave, getRoomUsers } = require('./utils/users');
+const { formatMessage, formatDbMessage, formatDirectMessage, formatReplyPreview } = require('./utils/messages');
+const { userJoin, getCurrentUser, userLeave, getRoomUsers, updateConnectedUser, updateLocalUser, refreshPresence, socketConnected, setSocketIdle, socketDisconnected } = require('./utils/users');
+const { getPresence } = require('./utils/presence');
+const { checkFloodLimit, checkRoomFloodLimit, pruneFloodState } = require('./utils/flood');
+const { issueResumeToken, holdForResume, claimResumeToken, forgetResumeToken, revokeResumeTokens } = require('./utils/resume');
+const { formatRoom, formatInvite, validateRoomInput, addToWaitlist, removeFromWaitlist, nextInWaitlist } = require('./utils/rooms');
 const User = require('./models/User');
 const Message = require('./models/Message');
+const Room = require('./models/Room');
+const Session = require('./models/Session');
+const RoomInvite = require('./models/RoomInvite');
+const Moderation = require('./models/Moderation');
+const DirectMessage = require('./models/DirectMessage');
+const Attachment = require('./models/Attachment');
+const Reaction = require('./models/Reaction');
+const ReadReceipt = require('./models/ReadReceipt');
+const Mention = require('./models/Mention');
+const Bot = require('./models/Bot');
+const Webhook = require('./models/Webhook');
+const Filter = require('./models/Filter');
+const { ATTACHMENT_MAX_BYTES, isAllowedType, isImageType, storeAttachment, formatAttachment } = require('./utils/attachments');
+const { getStorage } = require('./utils/storage');
+const { parseMentions, formatMention } = require('./utils/mentions');
+const { AVATAR_MAX_BYTES, AVATAR_TYPES, formatProfile, validateProfileInput, resizeAvatar } = require('./utils/profiles');
+const { loadCommands, getCommand, listCommands, parseCommand, isAllowed } = require('./utils/commands');
+const { INCOMING_TEXT_MAX_LENGTH, generateSecret, hashToken, tokenMatches, retryDelay, validateWebhookUrl, validateIncomingName, sendWebhook, formatIncomingWebhook, formatOutgoingWebhook, formatDelivery } = require('./utils/webhooks');
+const { loadFilters, getFilter, listFilters, isFilterEnabled, resolveFilterConfig, validateFilterConfig, runFilters, formatFilter, formatFlaggedMessage } = require('./utils/filters');
+const { BOT_EVENTS, loadBots, getBot, listBots, isBotEnabled, resolveBotConfig, validateBotConfig, formatBot } = require('./utils/bots');
 const db = require('./config/database');
 
 const app = express();
@@ -22,6 +47,14 @@ const io = socketIo(server, {
    }
 });
 
+// With a shared presence backend (PRESENCE_ADAPTER), broadcasts, typing and
+// user lists reach sockets on every instance
+const socketAdapter = getPresence().createSocketAdapter();
+const isClustered = !!socketAdapter;
+if (isClustered) {
+   io.adapter(socketAdapter);
+}
+
 // IMPORTANT: Trust proxy for Railway deployment
 app.set('trust proxy', true);
 
@@ -40,7 +73,7 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Session configuration with better Railway settings
-app.use(session({
+const sessionMiddleware = session({
    secret: process.env.SESSION_SECRET || 'your-secret-key',
    resave: false,
    saveUninitialized: false,
@@ -50,10 +83,104 @@ app.use(session({
       httpOnly: true, // Add for security
       sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax' // Better for Railway
    }
-}));
+});
+app.use(sessionMiddleware);
+
+// Share the express session with Socket.IO so sockets are bound to the logged-in user
+io.engine.use(sessionMiddleware);
+
+// Refuse unauthenticated sockets, and those of expired guests, at handshake
+io.use(async (socket, next) => {
+   const socketSession = socket.request.session;
+
+   if (!socketSession || !socketSession.userId) {
+      console.log(`🚫 Rejected unauthenticated socket: ${socket.id}`);
+      return next(new Error('Not authenticated'));
+   }
+
+   try {
+      const user = await User.findById(socketSession.userId);
+      if (!user) {
+         console.log(`🚫 Rejected socket of missing user: ${socket.id}`);
+         return next(new Error('Not authenticated'));
+      }
+
+      if (User.isGuestExpired(user)) {
+         console.log(`🚫 Rejected socket of expired guest: ${socket.id}`);
+         return socketSession.destroy(() => next(new Error('Guest session has expired')));
+      }
+   } catch (error) {
+      console.error('Error loading socket user:', error);
+      return next(new Error('Error checking session'));
+   }
+
+   socket.data.userId = socketSession.userId;
+   next();
+});
 
 const botName = 'ChatBud Bot';
 
+// Most missed messages replayed on resume; more than this reloads the latest page
+const RESUME_REPLAY_LIMIT = 100;
+
+// Built-in and custom slash commands
+loadCommands(path.join(__dirname, 'commands'));
+
+// Server-side bots; their users rows are created by registerBotUsers below
+loadBots(path.join(__dirname, 'bots'));
+
+// Message filters run on every message before it's saved
+loadFilters(path.join(__dirname, 'filters'));
+
+// Reject API requests that have no logged-in session, or whose guest account
+// has expired
+async function requireAuth(req, res, next) {
+   if (!req.session.userId) {
+      return res.status(401).json({ success: false, message: 'Not authenticated' });
+   }
+
+   let user;
+   try {
+      user = await User.findById(req.session.userId);
+   } catch (error) {
+      console.error('Error loading session user:', error);
+      return res.status(500).json({ success: false, message: 'Error checking session' });
+   }
+
+   if (!user) {
+      return res.status(401).json({ success: false, message: 'Not authenticated' });
+   }
+
+   // End the session too, so the pages stop sending the guest to /chat
+   if (User.isGuestExpired(user)) {
+      return req.session.destroy(() => {
+         res.status(401).json({ success: false, reason: 'guest_expired', message: 'Guest session has expired' });
+      });
+   }
+
+   next();
+}
+
+// Load the active room from :id into req.room and require the caller to be its admin
+async function requireRoomAdmin(req, res, next) {
+   try {
+      const room = await Room.findById(req.params.id);
+      if (!room || room.is_archived) {
+         return res.status(404).json({ success: false, message: 'Room not found' });
+      }
+
+      if (!await Room.isAdmin(room.id, req.session.userId)) {
+         return res.status(403).json({ success: false, message: 'Only room admins can do this' });
+      }
+
+      req.room = room;
+      next();
+   } catch (error) {
+      console.error('Error checking room admin:', error);
+      res.status(500).json({ success: false, message: 'Error checking room permissions' });
+   }
+}
+
 // Routes
 app.get('/', (req, res) => {
    if (req.session.userId) {
@@ -76,7 +203,8 @@ app.get('/api/user', (req, res) => {
          success: true, 
          user: {
             id: req.session.userId,
-            username: req.session.username
+            username: req.session.username,
+            isGuest: !!req.session.isGuest
          }
       });
    } else {
@@ -99,6 +227,15 @@ app.post('/auth/login', async (req, res) => {
          return res.status(401).json({ success: false, message: 'User not found' });
       }
 
+      // Guest accounts have no password and can only be resumed through their own session
+      if (user.is_guest) {
+         return res.status(403).json({ success: false, message: 'Guest accounts cannot log in with a password' });
+      }
+
+      if (user.is_bot) {
+         return res.status(403).json({ success: false, message: 'Bot accounts cannot log in' });
+      }
+
       const isValidPassword = await User.verifyPassword(password, user.password_hash);
       if (!isValidPassword) {
          return res.status(401).json({ success: false, message: 'Invalid password' });
@@ -106,6 +243,7 @@ app.post('/auth/login', async (req, res) => {
 
       req.session.userId = user.id;
       req.session.username = user.username;
+      req.session.isGuest = false;
       
       res.json({ 
          success: true, 
@@ -182,6 +320,125 @@ app.post('/auth/register', async (req, res) => {
    }
 });
 
+// Guest mode: a temporary, password-less identity that expires
+app.post('/auth/guest', async (req, res) => {
+   try {
+      if (req.session.userId) {
+         return res.status(400).json({ success: false, message: 'Already signed in' });
+      }
+
+      const nickname = typeof req.body.nickname === 'string' ? req.body.nickname.trim() : '';
+      const ttlHours = parseInt(process.env.GUEST_TTL_HOURS) || 24;
+      let username;
+
+      if (nickname) {
+         if (!/^[A-Za-z0-9_-]{3,30}$/.test(nickname)) {
+            return res.status(400).json({ success: false, message: 'Nickname must be 3-30 letters, numbers, dashes or underscores' });
+         }
+         if (await User.findByUsername(nickname)) {
+            return res.status(409).json({ success: false, message: 'Nickname already taken' });
+         }
+         username = nickname;
+      } else {
+         // Generate a free Guest-NNNN name
+         do {
+            username = `Guest-${Math.floor(1000 + Math.random() * 9000)}`;
+         } while (await User.findByUsername(username));
+      }
+
+      const userId = await User.createGuest(username, ttlHours);
+
+      req.session.userId = userId;
+      req.session.username = username;
+      req.session.isGuest = true;
+
+      res.json({
+         success: true,
+         message: 'Joined as guest',
+         user: { id: userId, username, isGuest: true }
+      });
+   } catch (error) {
+      console.error('Guest login error:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+         return res.status(409).json({ success: false, message: 'Nickname already taken' });
+      }
+
+      res.status(500).json({ success: false, message: 'Server error during guest login' });
+   }
+});
+
+// Upgrade the current guest to a registered account, keeping its messages
+app.post('/auth/upgrade', async (req, res) => {
+   try {
+      if (!req.session.userId || !req.session.isGuest) {
+         return res.status(403).json({ success: false, message: 'Only guest accounts can be upgraded' });
+      }
+
+      const { email, password } = req.body;
+      const username = typeof req.body.username === 'string' && req.body.username.trim()
+         ? req.body.username.trim()
+         : req.session.username;
+
+      if (!email || !password) {
+         return res.status(400).json({ success: false, message: 'Email and password are required' });
+      }
+
+      // Same rule as guest nicknames, so the name can be @mentioned
+      if (!/^[A-Za-z0-9_-]{3,30}$/.test(username)) {
+         return res.status(400).json({ success: false, message: 'Username must be 3-30 letters, numbers, dashes or underscores' });
+      }
+
+      if (typeof email !== 'string' || email.length > 100 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+         return res.status(400).json({ success: false, message: 'Please enter a valid email address' });
+      }
+
+      if (password.length < 6) {
+         return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+      }
+
+      const guest = await User.findById(req.session.userId);
+      if (!guest || User.isGuestExpired(guest)) {
+         return res.status(410).json({ success: false, message: 'Guest session has expired' });
+      }
+
+      if (await User.findByEmail(email)) {
+         return res.status(409).json({ success: false, message: 'Email already registered' });
+      }
+
+      if (username !== guest.username && await User.findByUsername(username)) {
+         return res.status(409).json({ success: false, message: 'Username already taken' });
+      }
+
+      const upgraded = await User.upgradeGuest(guest.id, username, email, password);
+      if (!upgraded) {
+         return res.status(409).json({ success: false, message: 'Account is not a guest account' });
+      }
+
+      req.session.username = username;
+      req.session.isGuest = false;
+
+      // Sockets already open carry the guest name until told otherwise
+      if (username !== guest.username) {
+         await broadcastUserDetails(guest.id, { username });
+      }
+
+      res.json({
+         success: true,
+         message: 'Account upgraded successfully',
+         user: { id: guest.id, username, email, isGuest: false }
+      });
+   } catch (error) {
+      console.error('Guest upgrade error:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+         return res.status(409).json({ success: false, message: 'Username or email already registered' });
+      }
+
+      res.status(500).json({ success: false, message: 'Server error during account upgrade' });
+   }
+});
+
 app.post('/auth/logout', (req, res) => {
    req.session.destroy((err) => {
       if (err) {
@@ -192,224 +449,2827 @@ app.post('/auth/logout', (req, res) => {
 });
 
 // API routes
-app.get('/api/messages/:room', async (req, res) => {
+app.get('/api/messages/:room', requireAuth, async (req, res) => {
    try {
-      if (!req.session.userId) {
-         return res.status(401).json({ success: false, message: 'Not authenticated' });
-      }
-
       const { room } = req.params;
       const limit = parseInt(req.query.limit) || 50;
+
+      const roomRecord = await Room.findByName(room);
+      if (!roomRecord) {
+         return res.status(404).json({ success: false, message: 'Room not found' });
+      }
+
+      if (!await Room.canAccess(roomRecord, req.session.userId)) {
+         return res.status(403).json({ success: false, message: 'This room is private' });
+      }
       
-      const messages = await Message.getRecentMessages(room, limit);
-      const formattedMessages = messages.map(formatDbMessage);
-      
-      res.json({ success: true, messages: formattedMessages });
+      // ?around=<id> returns the messages surrounding one message (used to jump to search hits)
+      const aroundId = parseInt(req.query.around, 10);
+      if (Number.isInteger(aroundId)) {
+         const messages = await Message.getMessagesAround(room, aroundId, req.query.limit || 10);
+         return res.json({ success: true, messages: await withReactions(messages.map(formatDbMessage)) });
+      }
+
+      // Keyset pagination: ?before=<id> for older messages, ?after=<id> for newer ones
+      const before = parseInt(req.query.before, 10) || null;
+      const after = parseInt(req.query.after, 10) || null;
+
+      const { messages, hasMore } = await Message.getMessagesPage(room, { before, after, limit });
+      const formattedMessages = await withReactions(messages.map(formatDbMessage));
+
+      res.json({
+         success: true,
+         messages: formattedMessages,
+         pagination: {
+            before: formattedMessages.length ? formattedMessages[0].id : before,
+            after: formattedMessages.length ? formattedMessages[formattedMessages.length - 1].id : after,
+            direction: after ? 'newer' : 'older',
+            hasMore
+         }
+      });
    } catch (error) {
       console.error('Error fetching messages:', error);
       res.status(500).json({ success: false, message: 'Error fetching messages' });
    }
 });
 
-// Socket.IO with better error handling
-io.on('connection', async (socket) => {
-   console.log(`🔌 New connection: ${socket.id}`);
-
-   socket.on('joinRoom', async ({ username, room }) => {
-      try {
-         console.log(`👤 User attempting to join: ${username} -> ${room}`);
-
-         if (!username || !room) {
-            socket.emit('roomJoinError', 'Username and room are required');
-            return;
-         }
+const SEARCHABLE_MESSAGE_TYPES = ['text', 'image', 'file', 'system'];
 
-         // Get or create user in database
-         let user = await User.findByUsername(username);
-         
-         if (!user) {
-            console.log(`Creating guest user: ${username}`);
-            const tempEmail = `${username.toLowerCase().replace(/[^a-z0-9]/g, '')}@guest.temp`;
-            const tempPassword = 'temporary123';
-            
-            try {
-               const userId = await User.create(username, tempEmail, tempPassword);
-               user = { id: userId, username };
-               console.log(`✅ Created guest user: ${username} with ID: ${userId}`);
-            } catch (createError) {
-               if (createError.code === 'ER_DUP_ENTRY') {
-                  user = await User.findByUsername(username);
-                  console.log(`✅ Found existing user: ${username}`);
-               } else {
-                  console.error('Error creating user:', createError);
-                  socket.emit('roomJoinError', 'Error creating user account');
-                  return;
-               }
-            }
-         }
+app.get('/api/messages/:room/search', requireAuth, async (req, res) => {
+   try {
+      const { room } = req.params;
+      const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
 
-         // Join the user to the room
-         const sessionId = socket.handshake.sessionID || socket.id;
-         const ipAddress = socket.handshake.address;
-         const userAgent = socket.handshake.headers['user-agent'];
+      if (!query) {
+         return res.status(400).json({ success: false, message: 'Search query (q) is required' });
+      }
 
-         const joinedUser = await userJoin(
-            socket.id, 
-            sessionId, 
-            user.id, 
-            username, 
-            room, 
-            ipAddress, 
-            userAgent
-         );
+      const roomRecord = await Room.findByName(room);
+      if (!roomRecord) {
+         return res.status(404).json({ success: false, message: 'Room not found' });
+      }
 
-         socket.join(room);
+      if (!await Room.canAccess(roomRecord, req.session.userId)) {
+         return res.status(403).json({ success: false, message: 'This room is private' });
+      }
 
-         // Emit success event
-         socket.emit('roomJoined', { 
-            room: room, 
-            user: { id: user.id, username: username } 
-         });
+      const { type, author, from, to } = req.query;
+      if (type && !SEARCHABLE_MESSAGE_TYPES.includes(type)) {
+         return res.status(400).json({ success: false, message: `type must be one of: ${SEARCHABLE_MESSAGE_TYPES.join(', ')}` });
+      }
 
-         // Load recent messages
-         try {
-            const recentMessages = await Message.getRecentMessages(room, 20);
-            const formattedMessages = recentMessages.map(formatDbMessage);
-            socket.emit('loadMessages', formattedMessages);
-         } catch (messageError) {
-            console.error('Error loading recent messages:', messageError);
-            socket.emit('loadMessages', []);
+      for (const [name, value] of [['from', from], ['to', to]]) {
+         if (value && isNaN(Date.parse(value))) {
+            return res.status(400).json({ success: false, message: `${name} must be a valid date` });
          }
+      }
 
-         // Welcome current user
-         socket.emit('message', formatMessage(botName, `Welcome to ChatBud, ${username}! 🎉`));
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 20, 100));
 
-         // Notify others in room
-         socket.broadcast
-            .to(room)
-            .emit('message', formatMessage(botName, `${username} has joined the chat! 👋`));
+      const { messages, total } = await Message.searchMessages(room, query, {
+         booleanMode: req.query.mode === 'boolean',
+         author: author || null,
+         from: from ? new Date(from) : null,
+         to: to ? new Date(to) : null,
+         messageType: type || null,
+         limit,
+         offset: (page - 1) * limit
+      });
 
-         // Save system message
-         try {
-            await Message.create(user.id, room, `${username} has joined the chat!`, 'system');
-         } catch (systemMsgError) {
-            console.error('Error saving system message:', systemMsgError);
-         }
+      res.json({
+         success: true,
+         results: messages.map(formatDbMessage),
+         page,
+         limit,
+         total,
+         hasMore: page * limit < total
+      });
+   } catch (error) {
+      console.error('Error searching messages:', error);
+      res.status(500).json({ success: false, message: 'Error searching messages' });
+   }
+});
 
-         // Send users and room info
-         const roomUsers = await getRoomUsers(room);
-         io.to(room).emit('roomUsers', {
-            room: room,
-            users: roomUsers,
-         });
+// A message and every reply in its thread, oldest first
+app.get('/api/messages/:id/thread', requireAuth, async (req, res) => {
+   try {
+      const messageId = parseInt(req.params.id, 10);
+      const message = Number.isInteger(messageId) ? await Message.findById(messageId) : null;
+      if (!message || message.is_deleted) {
+         return res.status(404).json({ success: false, message: 'Message not found' });
+      }
 
-         console.log(`✅ ${username} successfully joined room: ${room}`);
-      } catch (error) {
-         console.error('Error joining room:', error);
-         socket.emit('roomJoinError', 'Failed to join room. Please try again.');
+      const room = await Room.findById(message.room_id);
+      if (!await Room.canAccess(room, req.session.userId)) {
+         return res.status(403).json({ success: false, message: 'This room is private' });
       }
-   });
 
-   socket.on('chatMessage', async (msg) => {
-      try {
-         const user = getCurrentUser(socket.id);
-         if (!user) {
-            console.error('User not found for socket:', socket.id);
-            socket.emit('messageError', 'User session not found');
-            return;
-         }
+      // Asking for a reply returns the whole thread it belongs to
+      const threadId = message.thread_id || message.id;
+      const messages = await withReactions((await Message.getThread(threadId)).map(formatDbMessage));
+      const root = messages.find(m => m.id === threadId) || null;
 
-         if (!msg || typeof msg !== 'string') {
-            socket.emit('messageError', 'Invalid message');
-            return;
-         }
+      res.json({
+         success: true,
+         room: message.room_name,
+         root,
+         replies: messages.filter(m => m.id !== threadId)
+      });
+   } catch (error) {
+      console.error('Error loading thread:', error);
+      res.status(500).json({ success: false, message: 'Error loading thread' });
+   }
+});
 
-         const trimmedMsg = msg.trim();
-         if (!trimmedMsg) {
-            socket.emit('messageError', 'Empty message');
-            return;
-         }
+app.patch('/api/messages/:id', requireAuth, async (req, res) => {
+   try {
+      if (!(await withinHttpFloodLimit(req, res, 'message'))) {
+         return;
+      }
 
-         console.log(`💬 Message from ${user.username} in ${user.room}: ${trimmedMsg}`);
+      const result = await editMessage(req.session.userId, parseInt(req.params.id, 10), req.body.text);
+      res.status(result.status).json({
+         success: result.success,
+         message: result.message,
+         data: result.data
+      });
+   } catch (error) {
+      console.error('Error editing message:', error);
+      res.status(500).json({ success: false, message: 'Error editing message' });
+   }
+});
 
-         // Save message to database (don't block on this)
-         Message.create(user.id, user.room, trimmedMsg)
-            .catch(saveError => {
-               console.error('Error saving message:', saveError);
-            });
+// Edit window for authors, in minutes
+const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
 
-         // Broadcast message to room immediately
-         const message = formatMessage(user.username, trimmedMsg);
-         io.to(user.room).emit('message', message);
+// Longest message any room accepts; rooms can set a lower limit with the maxLength filter
+const MESSAGE_MAX_LENGTH = parseInt(process.env.MESSAGE_MAX_LENGTH) || 2000;
 
-      } catch (error) {
-         console.error('Error handling chat message:', error);
-         socket.emit('messageError', 'Failed to send message');
-      }
-   });
+// Run a message through the room's filter pipeline (see utils/filters.js).
+// user is { id, username } and room is { id, name }; a room without an id
+// (a direct message conversation) gets every filter's defaults.
+async function filterMessage(text, { user, room, isEdit = false, maxLength = MESSAGE_MAX_LENGTH }) {
+   if (text.length > maxLength) {
+      return { allowed: false, reason: 'too_long', message: `Messages can be at most ${maxLength} characters` };
+   }
 
-   socket.on('typing', () => {
-      try {
-         const user = getCurrentUser(socket.id);
-         if (user) {
-            socket.to(user.room).emit('typing', {
-               username: user.username,
-               isTyping: true
-            });
-         }
-      } catch (error) {
-         console.error('Error handling typing:', error);
-      }
-   });
+   const settingsByFilter = room.id ? await Filter.getSettingsByFilter(room.id) : new Map();
+   return runFilters(text, { user, room, settingsByFilter, isEdit });
+}
 
-   socket.on('stopTyping', () => {
-      try {
-         const user = getCurrentUser(socket.id);
-         if (user) {
-            socket.to(user.room).emit('typing', {
-               username: user.username,
-               isTyping: false
-            });
-         }
-      } catch (error) {
-         console.error('Error handling stop typing:', error);
-      }
+// Put a message flagged by filters in its room's review queue and let the
+// room admins know with a `messageFlagged` event
+async function queueFlaggedMessage(message, flags) {
+   const reason = flags.map(flag => flag.reason).join('; ');
+   await Filter.flagMessage({
+      messageId: message.id,
+      roomId: message.room_id,
+      userId: message.user_id,
+      filters: flags.map(flag => flag.filter),
+      reason
    });
 
-   socket.on('disconnect', async () => {
-      try {
-         const user = await userLeave(socket.id);
+   const admins = (await Room.getMembers(message.room_id)).filter(member => member.is_admin);
+   for (const admin of admins) {
+      await emitToUser(admin.id, 'messageFlagged', {
+         messageId: message.id,
+         room: message.room_name,
+         username: message.username,
+         reason
+      });
+   }
+}
 
-         if (user) {
-            console.log(`👤 ${user.username} disconnected from ${user.room}`);
+// Edit a message as its author and broadcast `messageEdited` to the room.
+// Shared by the REST route and the `editMessage` socket event.
+async function editMessage(userId, messageId, text) {
+   const newText = typeof text === 'string' ? text.trim() : '';
+   if (!newText) {
+      return { success: false, status: 400, reason: 'empty_message', message: 'Message text is required' };
+   }
 
-            // Notify others in room
-            io.to(user.room).emit('message', formatMessage(botName, `${user.username} has left the chat! 👋`));
+   const existing = Number.isInteger(messageId) ? await Message.findById(messageId) : null;
+   if (!existing || existing.is_deleted) {
+      return { success: false, status: 404, reason: 'not_found', message: 'Message not found' };
+   }
 
-            // Save system message
-            Message.create(user.id, user.room, `${user.username} has left the chat!`, 'system')
-               .catch(error => console.error('Error saving disconnect message:', error));
+   if (existing.user_id !== userId || existing.message_type !== 'text') {
+      return { success: false, status: 403, reason: 'forbidden', message: 'You can only edit your own messages' };
+   }
 
-            // Update room users list
-            const roomUsers = await getRoomUsers(user.room);
-            io.to(user.room).emit('roomUsers', {
-               room: user.room,
-               users: roomUsers,
-            });
-         }
-      } catch (error) {
-         console.error('Error handling disconnect:', error);
-      }
-   });
-});
+   const room = await Room.findById(existing.room_id);
+   if (!room || room.is_archived) {
+      return { success: false, status: 403, reason: 'room_archived', message: 'This room has been archived' };
+   }
 
-// Health check endpoint for Railway
-app.get('/health', (req, res) => {
-   res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
+   if (!await Room.canAccess(room, userId) || await Moderation.getActiveBan(room.id, userId)) {
+      return { success: false, status: 403, reason: 'forbidden', message: 'You cannot edit messages in this room' };
+   }
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, '0.0.0.0', () => {
+   const mute = await Moderation.getActiveMute(room.id, userId);
+   if (mute) {
+      return { success: false, status: 403, ...muteRefusal(mute) };
+   }
+
+   const ageMinutes = (Date.now() - new Date(existing.timestamp).getTime()) / 60000;
+   if (ageMinutes > MESSAGE_EDIT_WINDOW_MINUTES) {
+      return {
+         success: false,
+         status: 403,
+         reason: 'edit_window_expired',
+         message: `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes`
+      };
+   }
+
+   const filtered = await filterMessage(newText, {
+      user: { id: userId, username: existing.username },
+      room: { id: existing.room_id, name: existing.room_name },
+      isEdit: true
+   });
+   if (!filtered.allowed) {
+      return { success: false, status: 400, reason: filtered.reason, message: filtered.message };
+   }
+
+   await Message.updateText(messageId, filtered.text);
+   const updated = await Message.findById(messageId);
+
+   if (filtered.flags.length > 0) {
+      queueFlaggedMessage(updated, filtered.flags)
+         .catch(error => console.error('Error queueing flagged message:', error));
+   }
+
+   const payload = {
+      id: updated.id,
+      room: updated.room_name,
+      text: updated.message,
+      editedAt: updated.edited_at
+   };
+   io.to(updated.room_name).emit('messageEdited', payload);
+
+   return { success: true, status: 200, message: 'Message edited', data: payload };
+}
+
+app.delete('/api/messages/:id', requireAuth, async (req, res) => {
+   try {
+      const result = await deleteMessage(req.session.userId, parseInt(req.params.id, 10));
+      res.status(result.status).json({ success: result.success, message: result.message });
+   } catch (error) {
+      console.error('Error deleting message:', error);
+      res.status(500).json({ success: false, message: 'Error deleting message' });
+   }
+});
+
+app.post('/api/messages/:id/restore', requireAuth, async (req, res) => {
+   try {
+      const result = await restoreMessage(req.session.userId, parseInt(req.params.id, 10));
+      res.status(result.status).json({
+         success: result.success,
+         message: result.message,
+         data: result.data
+      });
+   } catch (error) {
+      console.error('Error restoring message:', error);
+      res.status(500).json({ success: false, message: 'Error restoring message' });
+   }
+});
+
+// Soft-delete a message as its author or a room admin and broadcast `messageDeleted`
+async function deleteMessage(userId, messageId) {
+   const existing = Number.isInteger(messageId) ? await Message.findById(messageId) : null;
+   if (!existing || existing.is_deleted) {
+      return { success: false, status: 404, reason: 'not_found', message: 'Message not found' };
+   }
+
+   if (existing.user_id !== userId && !await Room.isAdmin(existing.room_id, userId)) {
+      return { success: false, status: 403, reason: 'forbidden', message: 'You can only delete your own messages' };
+   }
+
+   await Message.softDelete(messageId, userId);
+   io.to(existing.room_name).emit('messageDeleted', { id: messageId, room: existing.room_name });
+
+   return { success: true, status: 200, message: 'Message deleted' };
+}
+
+// Restore a soft-deleted message (room admins only) and broadcast `messageRestored`
+async function restoreMessage(userId, messageId) {
+   const existing = Number.isInteger(messageId) ? await Message.findById(messageId) : null;
+   if (!existing || !existing.is_deleted) {
+      return { success: false, status: 404, reason: 'not_found', message: 'Deleted message not found' };
+   }
+
+   if (!await Room.isAdmin(existing.room_id, userId)) {
+      return { success: false, status: 403, reason: 'forbidden', message: 'Only room admins can restore messages' };
+   }
+
+   await Message.restore(messageId);
+   const [restored] = await withReactions([formatDbMessage(await Message.findById(messageId))]);
+   io.to(existing.room_name).emit('messageRestored', restored);
+
+   return { success: true, status: 200, message: 'Message restored', data: restored };
+}
+
+// A reaction is a short run of emoji (including modifiers and ZWJ sequences)
+const REACTION_PATTERN = /^(?=.*\p{Extended_Pictographic})[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
+
+// Add or remove the caller's reaction on a message and broadcast
+// `reactionAdded` / `reactionRemoved`. Shared by the REST routes and socket events.
+async function reactToMessage(userId, messageId, emoji, add) {
+   if (typeof emoji !== 'string' || emoji.length > 32 || !REACTION_PATTERN.test(emoji)) {
+      return { success: false, status: 400, reason: 'invalid_reaction', message: 'Reactions must be emoji' };
+   }
+
+   const existing = Number.isInteger(messageId) ? await Message.findById(messageId) : null;
+   if (!existing || existing.is_deleted) {
+      return { success: false, status: 404, reason: 'not_found', message: 'Message not found' };
+   }
+
+   const room = await Room.findById(existing.room_id);
+   if (!await Room.canAccess(room, userId) || room.is_archived ||
+      await Moderation.getActiveBan(existing.room_id, userId)) {
+      return { success: false, status: 403, reason: 'forbidden', message: 'You cannot react in this room' };
+   }
+
+   const changed = add
+      ? await Reaction.add(messageId, userId, emoji)
+      : await Reaction.remove(messageId, userId, emoji);
+
+   const payload = {
+      messageId,
+      room: existing.room_name,
+      emoji,
+      userId,
+      count: await Reaction.count(messageId, emoji)
+   };
+
+   if (changed) {
+      io.to(existing.room_name).emit(add ? 'reactionAdded' : 'reactionRemoved', payload);
+   }
+
+   return { success: true, status: 200, message: add ? 'Reaction added' : 'Reaction removed', data: payload };
+}
+
+// Attach aggregated reactions to formatted messages in place
+async function withReactions(messages) {
+   const reactions = await Reaction.getForMessages(messages.filter(Boolean).map(message => message.id));
+   messages.forEach(message => {
+      if (message) {
+         message.reactions = reactions.get(message.id) || [];
+      }
+   });
+   return messages;
+}
+
+app.post('/api/messages/:id/reactions', requireAuth, async (req, res) => {
+   try {
+      const result = await reactToMessage(req.session.userId, parseInt(req.params.id, 10), req.body.emoji, true);
+      res.status(result.status).json({ success: result.success, message: result.message, data: result.data });
+   } catch (error) {
+      console.error('Error adding reaction:', error);
+      res.status(500).json({ success: false, message: 'Error adding reaction' });
+   }
+});
+
+app.delete('/api/messages/:id/reactions/:emoji', requireAuth, async (req, res) => {
+   try {
+      const result = await reactToMessage(req.session.userId, parseInt(req.params.id, 10), req.params.emoji, false);
+      res.status(result.status).json({ success: result.success, message: result.message, data: result.data });
+   } catch (error) {
+      console.error('Error removing reaction:', error);
+      res.status(500).json({ success: false, message: 'Error removing reaction' });
+   }
+});
+
+// Attachment uploads are held in memory, checked, then written to attachment storage
+const upload = multer({
+   storage: multer.memoryStorage(),
+   limits: { fileSize: ATTACHMENT_MAX_BYTES, files: 1 },
+   fileFilter: (req, file, cb) => {
+      if (!isAllowedType(file.mimetype)) {
+         req.rejectedMimeType = file.mimetype;
+         return cb(null, false);
+      }
+      cb(null, true);
+   }
+});
+
+// Upload a file to a room. Send it with `chatMessage` { text, attachmentId } afterwards.
+app.post('/api/attachments', requireAuth, (req, res, next) => {
+   upload.single('file')(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+         const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+         const message = error.code === 'LIMIT_FILE_SIZE'
+            ? `Files can be at most ${Math.round(ATTACHMENT_MAX_BYTES / (1024 * 1024))} MB`
+            : error.message;
+         return res.status(status).json({ success: false, message });
+      }
+      if (error) {
+         return next(error);
+      }
+      next();
+   });
+}, async (req, res) => {
+   try {
+      if (!req.file) {
+         const message = req.rejectedMimeType
+            ? `File type not allowed: ${req.rejectedMimeType}`
+            : 'A file is required';
+         return res.status(req.rejectedMimeType ? 415 : 400).json({ success: false, message });
+      }
+
+      const roomRecord = await Room.findByName(req.body.room);
+      if (!roomRecord) {
+         return res.status(404).json({ success: false, message: 'Room not found' });
+      }
+
+      if (!await Room.canAccess(roomRecord, req.session.userId)) {
+         return res.status(403).json({ success: false, message: 'This room is private' });
+      }
+
+      let stored;
+      try {
+         stored = await storeAttachment({
+            buffer: req.file.buffer,
+            originalName: req.file.originalname,
+            mimeType: req.file.mimetype
+         });
+      } catch (error) {
+         console.error('Error storing attachment:', error);
+         const message = isImageType(req.file.mimetype) ? 'Could not read image' : 'Error storing file';
+         return res.status(isImageType(req.file.mimetype) ? 400 : 500).json({ success: false, message });
+      }
+
+      const attachmentId = await Attachment.create({
+         uploadedBy: req.session.userId,
+         roomId: roomRecord.id,
+         originalName: req.file.originalname,
+         mimeType: req.file.mimetype,
+         sizeBytes: req.file.size,
+         ...stored
+      });
+
+      const attachment = await Attachment.findById(attachmentId);
+      console.log(`📎 ${req.session.username} uploaded ${req.file.originalname} to ${roomRecord.name}`);
+
+      res.status(201).json({ success: true, attachment: formatAttachment(attachment) });
+   } catch (error) {
+      console.error('Error uploading attachment:', error);
+      res.status(500).json({ success: false, message: 'Error uploading file' });
+   }
+});
+
+// Stream an attachment (or its thumbnail) to anyone who can access its room
+async function sendAttachment(req, res, thumbnail) {
+   try {
+      const attachment = await Attachment.findById(req.params.id);
+      const key = attachment && (thumbnail ? attachment.thumbnail_key : attachment.storage_key);
+      if (!key) {
+         return res.status(404).json({ success: false, message: 'Attachment not found' });
+      }
+
+      const roomRecord = await Room.findById(attachment.room_id);
+      if (!await Room.canAccess(roomRecord, req.session.userId)) {
+         return res.status(403).json({ success: false, message: 'This room is private' });
+      }
+
+      const inline = thumbnail || isImageType(attachment.mime_type);
+      res.set({
+         'Content-Type': thumbnail ? 'image/webp' : attachment.mime_type,
+         'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.original_name)}`,
+         'X-Content-Type-Options': 'nosniff',
+         'Cache-Control': 'private, max-age=86400'
+      });
+
+      const stream = getStorage().createReadStream(key);
+      stream.on('error', (error) => {
+         console.error('Error reading attachment:', error);
+         if (!res.headersSent) {
+            res.status(404).json({ success: false, message: 'Attachment not found' });
+         } else {
+            res.destroy();
+         }
+      });
+      stream.pipe(res);
+   } catch (error) {
+      console.error('Error sending attachment:', error);
+      res.status(500).json({ success: false, message: 'Error loading attachment' });
+   }
+}
+
+app.get('/api/attachments/:id', requireAuth, (req, res) => sendAttachment(req, res, false));
+app.get('/api/attachments/:id/thumbnail', requireAuth, (req, res) => sendAttachment(req, res, true));
+
+// Profile routes
+app.get('/api/profile', requireAuth, async (req, res) => {
+   try {
+      const user = await User.findById(req.session.userId);
+      if (!user) {
+         return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      res.json({ success: true, profile: formatProfile(user, true) });
+   } catch (error) {
+      console.error('Error loading profile:', error);
+      res.status(500).json({ success: false, message: 'Error loading profile' });
+   }
+});
+
+app.patch('/api/profile', requireAuth, async (req, res) => {
+   try {
+      const { error, values } = validateProfileInput(req.body);
+      if (error) {
+         return res.status(400).json({ success: false, message: error });
+      }
+
+      await User.updateProfile(req.session.userId, values);
+      const user = await User.findById(req.session.userId);
+      await broadcastProfileChange(user);
+
+      res.json({ success: true, profile: formatProfile(user, true) });
+   } catch (error) {
+      console.error('Error updating profile:', error);
+      res.status(500).json({ success: false, message: 'Error updating profile' });
+   }
+});
+
+const avatarUpload = multer({
+   storage: multer.memoryStorage(),
+   limits: { fileSize: AVATAR_MAX_BYTES, files: 1 },
+   fileFilter: (req, file, cb) => cb(null, AVATAR_TYPES.includes(file.mimetype))
+});
+
+// Storage key of a user's avatar; uploads overwrite it and bump the URL's version
+function avatarKey(userId) {
+   return `avatars/${userId}.webp`;
+}
+
+// Upload a new avatar as multipart/form-data field `avatar`; it is cropped and resized
+app.post('/api/profile/avatar', requireAuth, (req, res, next) => {
+   avatarUpload.single('avatar')(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+         const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+         const message = error.code === 'LIMIT_FILE_SIZE'
+            ? `Avatars can be at most ${Math.round(AVATAR_MAX_BYTES / (1024 * 1024))} MB`
+            : error.message;
+         return res.status(status).json({ success: false, message });
+      }
+      if (error) {
+         return next(error);
+      }
+      next();
+   });
+}, async (req, res) => {
+   try {
+      if (!req.file) {
+         return res.status(400).json({ success: false, message: `An avatar image is required (${AVATAR_TYPES.join(', ')})` });
+      }
+
+      let avatar;
+      try {
+         avatar = await resizeAvatar(req.file.buffer);
+      } catch (error) {
+         console.error('Error resizing avatar:', error);
+         return res.status(400).json({ success: false, message: 'Could not read image' });
+      }
+
+      await getStorage().save(avatarKey(req.session.userId), avatar);
+      await User.setAvatar(req.session.userId, `/api/users/${req.session.userId}/avatar?v=${Date.now()}`);
+
+      const user = await User.findById(req.session.userId);
+      await broadcastProfileChange(user);
+
+      res.json({ success: true, profile: formatProfile(user, true) });
+   } catch (error) {
+      console.error('Error uploading avatar:', error);
+      res.status(500).json({ success: false, message: 'Error uploading avatar' });
+   }
+});
+
+app.delete('/api/profile/avatar', requireAuth, async (req, res) => {
+   try {
+      await getStorage().remove(avatarKey(req.session.userId));
+      await User.setAvatar(req.session.userId, null);
+
+      const user = await User.findById(req.session.userId);
+      await broadcastProfileChange(user);
+
+      res.json({ success: true, profile: formatProfile(user, true) });
+   } catch (error) {
+      console.error('Error removing avatar:', error);
+      res.status(500).json({ success: false, message: 'Error removing avatar' });
+   }
+});
+
+// Public profile card
+app.get('/api/users/:id', requireAuth, async (req, res) => {
+   try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+         return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      res.json({ success: true, profile: formatProfile(user) });
+   } catch (error) {
+      console.error('Error loading user profile:', error);
+      res.status(500).json({ success: false, message: 'Error loading profile' });
+   }
+});
+
+app.get('/api/users/:id/avatar', requireAuth, async (req, res) => {
+   try {
+      const user = await User.findById(req.params.id);
+      if (!user || !user.avatar_url) {
+         return res.status(404).json({ success: false, message: 'Avatar not found' });
+      }
+
+      res.set({
+         'Content-Type': 'image/webp',
+         'Cache-Control': 'private, max-age=86400'
+      });
+
+      const stream = getStorage().createReadStream(avatarKey(user.id));
+      stream.on('error', (error) => {
+         console.error('Error reading avatar:', error);
+         if (!res.headersSent) {
+            res.status(404).json({ success: false, message: 'Avatar not found' });
+         } else {
+            res.destroy();
+         }
+      });
+      stream.pipe(res);
+   } catch (error) {
+      console.error('Error loading avatar:', error);
+      res.status(500).json({ success: false, message: 'Error loading avatar' });
+   }
+});
+
+// Push a user's new display name / avatar to their live sockets and the user
+// lists of the rooms they are in
+async function broadcastProfileChange(user) {
+   await broadcastUserDetails(user.id, {
+      displayName: user.display_name || null,
+      avatar: user.avatar_url || null
+   });
+}
+
+// Apply changed user details to their sockets on every instance and refresh the
+// user lists of the rooms they are in
+async function broadcastUserDetails(userId, details) {
+   const rooms = await updateConnectedUser(userId, details);
+
+   if (isClustered) {
+      io.serverSideEmit('profileChanged', userId, details);
+   }
+
+   for (const roomName of rooms) {
+      await refreshRoomUsers(roomName);
+   }
+}
+
+// Mentions inbox: ?unread=true for unread only, ?before=<mention id> to page
+app.get('/api/mentions', requireAuth, async (req, res) => {
+   try {
+      const { mentions, hasMore } = await Mention.getForUser(req.session.userId, {
+         unreadOnly: req.query.unread === 'true',
+         before: parseInt(req.query.before, 10) || null,
+         limit: req.query.limit
+      });
+
+      res.json({
+         success: true,
+         mentions: mentions.map(formatMention),
+         unreadCount: await Mention.countUnread(req.session.userId),
+         hasMore
+      });
+   } catch (error) {
+      console.error('Error loading mentions:', error);
+      res.status(500).json({ success: false, message: 'Error loading mentions' });
+   }
+});
+
+// Mark mentions read: { ids: [...] }, or no ids for all of them
+app.post('/api/mentions/read', requireAuth, async (req, res) => {
+   try {
+      const ids = Array.isArray(req.body.ids)
+         ? req.body.ids.map(id => parseInt(id, 10)).filter(Number.isInteger)
+         : null;
+
+      const updated = await Mention.markRead(req.session.userId, ids);
+      res.json({ success: true, updated });
+   } catch (error) {
+      console.error('Error marking mentions read:', error);
+      res.status(500).json({ success: false, message: 'Error marking mentions read' });
+   }
+});
+
+// Resolve @username / @room / @here in a new room message, store the mentions
+// and send each mentioned user a `mention` event on every socket they have open.
+async function notifyMentions(user, messageId, text) {
+   const parsed = parseMentions(text);
+   if (parsed.usernames.length === 0 && !parsed.room && !parsed.here) {
+      return;
+   }
+
+   const room = await Room.findById(user.roomId);
+   const recipients = new Map(); // userId -> kind; a direct @username wins
+
+   if (parsed.room) {
+      const members = room.is_private ? await Room.getMembers(room.id) : [];
+      const present = await getRoomUsers(user.room);
+      [...members, ...present].forEach(member => recipients.set(member.id, 'room'));
+   }
+
+   if (parsed.here) {
+      (await getRoomUsers(user.room)).forEach(member => recipients.set(member.id, 'here'));
+   }
+
+   for (const mentioned of await User.findByUsernames(parsed.usernames)) {
+      if (!mentioned.is_bot && await Room.canAccess(room, mentioned.id)) {
+         recipients.set(mentioned.id, 'user');
+      }
+   }
+
+   recipients.delete(user.id);
+   if (recipients.size === 0) {
+      return;
+   }
+
+   await Mention.createMany(messageId, room.id, Array.from(recipients, ([userId, kind]) => ({ userId, kind })));
+
+   for (const [userId, kind] of recipients) {
+      await emitToUser(userId, 'mention', {
+         kind,
+         messageId,
+         room: user.room,
+         from: { id: user.id, username: user.username, displayName: user.displayName || null },
+         text,
+         timestamp: new Date()
+      });
+   }
+}
+
+// Direct message routes
+app.get('/api/dm', requireAuth, async (req, res) => {
+   try {
+      const conversations = await DirectMessage.listConversations(req.session.userId);
+      res.json({
+         success: true,
+         conversations: conversations.map(conversation => ({
+            id: conversation.id,
+            user: {
+               id: conversation.other_user_id,
+               username: conversation.other_username,
+               displayName: conversation.other_display_name,
+               avatar: conversation.other_avatar_url,
+               isOnline: !!conversation.other_is_online,
+               presence: conversation.other_presence
+            },
+            lastMessage: conversation.last_message,
+            lastMessageAt: conversation.last_message_at,
+            unreadCount: Number(conversation.unread_count) || 0
+         }))
+      });
+   } catch (error) {
+      console.error('Error listing conversations:', error);
+      res.status(500).json({ success: false, message: 'Error listing conversations' });
+   }
+});
+
+app.get('/api/dm/:userId/messages', requireAuth, async (req, res) => {
+   try {
+      const otherUserId = parseInt(req.params.userId, 10);
+      const conversation = Number.isInteger(otherUserId)
+         ? await DirectMessage.findConversation(req.session.userId, otherUserId)
+         : null;
+
+      if (!conversation) {
+         return res.json({ success: true, messages: [], pagination: { before: null, hasMore: false } });
+      }
+
+      const before = parseInt(req.query.before, 10) || null;
+      const { messages, hasMore } = await DirectMessage.getMessages(conversation.id, { before, limit: req.query.limit });
+      const formattedMessages = messages.map(formatDirectMessage);
+
+      res.json({
+         success: true,
+         conversationId: conversation.id,
+         messages: formattedMessages,
+         pagination: {
+            before: formattedMessages.length ? formattedMessages[0].id : before,
+            hasMore
+         }
+      });
+   } catch (error) {
+      console.error('Error loading direct messages:', error);
+      res.status(500).json({ success: false, message: 'Error loading direct messages' });
+   }
+});
+
+app.post('/api/dm/:userId', requireAuth, async (req, res) => {
+   try {
+      if (!(await withinHttpFloodLimit(req, res, 'message'))) {
+         return;
+      }
+
+      const result = await sendDirectMessage(req.session.userId, parseInt(req.params.userId, 10), req.body.text);
+      res.status(result.status).json({ success: result.success, message: result.message, data: result.data });
+   } catch (error) {
+      console.error('Error sending direct message:', error);
+      res.status(500).json({ success: false, message: 'Error sending direct message' });
+   }
+});
+
+app.post('/api/dm/:userId/read', requireAuth, async (req, res) => {
+   try {
+      const result = await markDirectMessagesRead(req.session.userId, parseInt(req.params.userId, 10), parseInt(req.body.messageId, 10));
+      res.status(result.status).json({ success: result.success, message: result.message });
+   } catch (error) {
+      console.error('Error marking direct messages read:', error);
+      res.status(500).json({ success: false, message: 'Error marking messages read' });
+   }
+});
+
+// Personal Socket.IO room every socket of a user joins
+function userRoom(userId) {
+   return `user:${userId}`;
+}
+
+// Emit to every socket a user has open: their personal room plus any socket
+// tracked in active_sessions
+async function emitToUser(userId, event, payload) {
+   const sessions = await Session.getUserSessions(userId).catch((error) => {
+      console.error('Error loading user sessions:', error);
+      return [];
+   });
+   const socketIds = sessions.map(userSession => userSession.socket_id).filter(Boolean);
+
+   io.to([userRoom(userId), ...socketIds]).emit(event, payload);
+}
+
+// Save a direct message and deliver it to both participants' sockets.
+// Shared by the REST route and the `directMessage` socket event.
+async function sendDirectMessage(senderId, recipientId, text) {
+   const messageText = typeof text === 'string' ? text.trim() : '';
+   if (!messageText) {
+      return { success: false, status: 400, reason: 'empty_message', message: 'Message text is required' };
+   }
+
+   if (!Number.isInteger(recipientId) || recipientId === senderId) {
+      return { success: false, status: 400, reason: 'invalid_recipient', message: 'Invalid recipient' };
+   }
+
+   const recipient = await User.findById(recipientId);
+   if (!recipient || User.isGuestExpired(recipient)) {
+      return { success: false, status: 404, reason: 'invalid_recipient', message: 'User not found' };
+   }
+
+   // Conversations have no settings or admins of their own: filters run with
+   // their defaults, and flags are dropped since nobody could review them
+   const sender = await User.findById(senderId);
+   const filtered = await filterMessage(messageText, {
+      user: { id: senderId, username: sender ? sender.username : null },
+      room: { id: null, name: `dm:${Math.min(senderId, recipientId)}:${Math.max(senderId, recipientId)}` }
+   });
+   if (!filtered.allowed) {
+      return { success: false, status: 400, reason: filtered.reason, message: filtered.message };
+   }
+
+   const conversation = await DirectMessage.getOrCreateConversation(senderId, recipientId);
+   const messageId = await DirectMessage.create(conversation.id, senderId, filtered.text);
+
+   const payload = {
+      ...formatDirectMessage(await DirectMessage.findById(messageId)),
+      recipientId
+   };
+
+   await emitToUser(recipientId, 'directMessage', payload);
+   await emitToUser(senderId, 'directMessage', payload);
+
+   return { success: true, status: 201, message: 'Message sent', data: payload };
+}
+
+// Move the caller's read marker in a conversation
+async function markDirectMessagesRead(userId, otherUserId, messageId) {
+   const conversation = Number.isInteger(otherUserId)
+      ? await DirectMessage.findConversation(userId, otherUserId)
+      : null;
+
+   if (!conversation || !Number.isInteger(messageId)) {
+      return { success: false, status: 404, message: 'Conversation not found' };
+   }
+
+   await DirectMessage.markRead(conversation, userId, messageId);
+   return { success: true, status: 200, message: 'Marked as read' };
+}
+
+// Room management routes
+app.get('/api/rooms', requireAuth, async (req, res) => {
+   try {
+      const rooms = await Room.findVisibleTo(req.session.userId);
+
+      // Live occupancy from active sessions
+      const activeRooms = await Session.getActiveRooms().catch((error) => {
+         console.error('Error loading room occupancy:', error);
+         return [];
+      });
+      const userCounts = new Map(activeRooms.map(active => [active.room_name, active.user_count]));
+      const unreadCounts = await ReadReceipt.getUnreadCounts(req.session.userId);
+
+      res.json({
+         success: true,
+         rooms: rooms.map(room => formatRoom(room, userCounts.get(room.name) || 0, unreadCounts.get(room.id) || 0))
+      });
+   } catch (error) {
+      console.error('Error listing rooms:', error);
+      res.status(500).json({ success: false, message: 'Error listing rooms' });
+   }
+});
+
+app.post('/api/rooms', requireAuth, async (req, res) => {
+   try {
+      if (req.session.isGuest) {
+         return res.status(403).json({ success: false, message: 'Guests cannot create rooms' });
+      }
+
+      const { error, values } = validateRoomInput(req.body);
+      if (error) {
+         return res.status(400).json({ success: false, message: error });
+      }
+
+      const roomId = await Room.create({ ...values, createdBy: req.session.userId });
+      const room = await Room.findById(roomId);
+
+      res.status(201).json({ success: true, room: formatRoom(room) });
+   } catch (error) {
+      console.error('Error creating room:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+         return res.status(409).json({ success: false, message: 'Room name already taken' });
+      }
+
+      res.status(500).json({ success: false, message: 'Error creating room' });
+   }
+});
+
+app.patch('/api/rooms/:id', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const { error, values } = validateRoomInput(req.body, true);
+      if (error) {
+         return res.status(400).json({ success: false, message: error });
+      }
+
+      // Occupants, their sessions and their Socket.IO room all go by the room's
+      // name, so only an empty room can be renamed
+      if (values.name !== undefined && values.name !== req.room.name &&
+         (await getRoomUsers(req.room.name)).length > 0) {
+         return res.status(409).json({ success: false, message: 'Rooms can only be renamed while nobody is in them' });
+      }
+
+      await Room.update(req.room.id, values);
+      const updatedRoom = await Room.findById(req.room.id);
+
+      // Once private, only members may stay
+      if (updatedRoom.is_private && !req.room.is_private) {
+         await evictRoomOccupants(updatedRoom.name, 'This room is now private',
+            userId => Room.canAccess(updatedRoom, userId));
+      }
+
+      res.json({ success: true, room: formatRoom(updatedRoom) });
+   } catch (error) {
+      console.error('Error updating room:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+         return res.status(409).json({ success: false, message: 'Room name already taken' });
+      }
+
+      res.status(500).json({ success: false, message: 'Error updating room' });
+   }
+});
+
+app.delete('/api/rooms/:id', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      if (await Room.archive(req.room.id)) {
+         await evictRoomOccupants(req.room.name, 'This room has been archived');
+      }
+
+      res.json({ success: true, message: 'Room archived' });
+   } catch (error) {
+      console.error('Error archiving room:', error);
+      res.status(500).json({ success: false, message: 'Error archiving room' });
+   }
+});
+
+// Private room membership and invites
+app.get('/api/rooms/:id/members', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const members = await Room.getMembers(req.room.id);
+      res.json({
+         success: true,
+         members: members.map(member => ({
+            id: member.id,
+            username: member.username,
+            avatar: member.avatar_url,
+            isAdmin: !!member.is_admin,
+            joinedAt: member.joined_at
+         }))
+      });
+   } catch (error) {
+      console.error('Error listing room members:', error);
+      res.status(500).json({ success: false, message: 'Error listing room members' });
+   }
+});
+
+app.delete('/api/rooms/:id/members/:userId', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const targetUserId = parseInt(req.params.userId, 10);
+
+      if (targetUserId === req.session.userId) {
+         return res.status(400).json({ success: false, message: 'You cannot revoke your own membership' });
+      }
+
+      const removed = await Room.removeMember(req.room.id, targetUserId);
+      if (!removed) {
+         return res.status(404).json({ success: false, message: 'User is not a member of this room' });
+      }
+
+      // Private rooms need membership, so anyone revoked is removed right away
+      if (req.room.is_private) {
+         await evictUserFromRoom(req.room.name, targetUserId, 'Your membership was revoked');
+      }
+
+      res.json({ success: true, message: 'Membership revoked' });
+   } catch (error) {
+      console.error('Error revoking membership:', error);
+      res.status(500).json({ success: false, message: 'Error revoking membership' });
+   }
+});
+
+app.get('/api/rooms/:id/invites', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const invites = await RoomInvite.findByRoom(req.room.id);
+      res.json({ success: true, invites: invites.map(invite => formatInvite(invite, req)) });
+   } catch (error) {
+      console.error('Error listing invites:', error);
+      res.status(500).json({ success: false, message: 'Error listing invites' });
+   }
+});
+
+app.post('/api/rooms/:id/invites', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const expiresInHours = req.body.expiresInHours !== undefined ? parseInt(req.body.expiresInHours, 10) : 24;
+      const maxUses = req.body.maxUses !== undefined && req.body.maxUses !== null ? parseInt(req.body.maxUses, 10) : null;
+
+      if (!Number.isInteger(expiresInHours) || expiresInHours < 1 || expiresInHours > 24 * 30) {
+         return res.status(400).json({ success: false, message: 'expiresInHours must be between 1 and 720' });
+      }
+
+      if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+         return res.status(400).json({ success: false, message: 'maxUses must be a positive number' });
+      }
+
+      const invite = await RoomInvite.create(req.room.id, req.session.userId, { expiresInHours, maxUses });
+
+      res.status(201).json({ success: true, invite: formatInvite(invite, req) });
+   } catch (error) {
+      console.error('Error creating invite:', error);
+      res.status(500).json({ success: false, message: 'Error creating invite' });
+   }
+});
+
+app.delete('/api/rooms/:id/invites/:code', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const revoked = await RoomInvite.revoke(req.room.id, req.params.code);
+      if (!revoked) {
+         return res.status(404).json({ success: false, message: 'Invite not found' });
+      }
+
+      res.json({ success: true, message: 'Invite revoked' });
+   } catch (error) {
+      console.error('Error revoking invite:', error);
+      res.status(500).json({ success: false, message: 'Error revoking invite' });
+   }
+});
+
+app.post('/api/invites/:code/accept', requireAuth, async (req, res) => {
+   try {
+      const invite = await RoomInvite.findByCode(req.params.code);
+      if (!invite) {
+         return res.status(404).json({ success: false, message: 'Invite not found' });
+      }
+
+      const room = await Room.findById(invite.room_id);
+      if (!room || room.is_archived) {
+         return res.status(404).json({ success: false, message: 'Room not found' });
+      }
+
+      // Existing members don't use up an invite
+      if (!await Room.isMember(room.id, req.session.userId)) {
+         const redeemed = await RoomInvite.redeem(invite.code);
+         if (!redeemed) {
+            return res.status(410).json({ success: false, message: 'Invite has expired or been used up' });
+         }
+
+         await Room.addMember(room.id, req.session.userId);
+      }
+
+      res.json({ success: true, room: formatRoom(room) });
+   } catch (error) {
+      console.error('Error accepting invite:', error);
+      res.status(500).json({ success: false, message: 'Error accepting invite' });
+   }
+});
+
+// Read receipts: how far each user has read in a room ("seen by").
+// Only available when the room has read receipts turned on.
+app.get('/api/rooms/:id/read-receipts', requireAuth, async (req, res) => {
+   try {
+      const room = await Room.findById(req.params.id);
+      if (!room || room.is_archived) {
+         return res.status(404).json({ success: false, message: 'Room not found' });
+      }
+
+      if (!await Room.canAccess(room, req.session.userId)) {
+         return res.status(403).json({ success: false, message: 'This room is private' });
+      }
+
+      if (!room.read_receipts) {
+         return res.status(403).json({ success: false, message: 'Read receipts are turned off in this room' });
+      }
+
+      const receipts = await ReadReceipt.getRoomReceipts(room.id);
+      res.json({
+         success: true,
+         receipts: receipts.map(receipt => ({
+            userId: receipt.user_id,
+            username: receipt.username,
+            displayName: receipt.display_name,
+            lastReadMessageId: receipt.last_read_message_id,
+            readAt: receipt.updated_at
+         }))
+      });
+   } catch (error) {
+      console.error('Error loading read receipts:', error);
+      res.status(500).json({ success: false, message: 'Error loading read receipts' });
+   }
+});
+
+// Room moderation routes (room admins only)
+app.post('/api/rooms/:id/:action(mute|unmute|kick|ban|unban)', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const result = await moderateUser(req.room, req.session.userId, {
+         action: req.params.action,
+         targetUserId: parseInt(req.body.userId, 10),
+         durationMinutes: req.body.durationMinutes,
+         reason: req.body.reason
+      });
+
+      res.status(result.status).json({ success: result.success, message: result.message });
+   } catch (error) {
+      console.error('Error applying moderation:', error);
+      res.status(500).json({ success: false, message: 'Error applying moderation action' });
+   }
+});
+
+app.get('/api/rooms/:id/deleted-messages', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const messages = await Message.getDeletedMessages(req.room.id, req.query.limit);
+      res.json({
+         success: true,
+         messages: messages.map(message => ({
+            ...formatDbMessage(message),
+            deletedAt: message.deleted_at,
+            deletedBy: message.deleted_by_username
+         }))
+      });
+   } catch (error) {
+      console.error('Error listing deleted messages:', error);
+      res.status(500).json({ success: false, message: 'Error listing deleted messages' });
+   }
+});
+
+app.get('/api/rooms/:id/moderation-log', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const entries = await Moderation.getLog(req.room.id, req.query.limit);
+      res.json({
+         success: true,
+         log: entries.map(entry => ({
+            id: entry.id,
+            action: entry.action,
+            moderator: entry.moderator_username,
+            target: entry.target_username,
+            targetUserId: entry.target_user_id,
+            reason: entry.reason,
+            durationMinutes: entry.duration_minutes,
+            createdAt: entry.created_at
+         }))
+      });
+   } catch (error) {
+      console.error('Error reading moderation log:', error);
+      res.status(500).json({ success: false, message: 'Error reading moderation log' });
+   }
+});
+
+// Bots available to a room and their settings there (room admins only)
+app.get('/api/rooms/:id/bots', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const roomBots = [];
+      for (const bot of listBots().filter(bot => bot.userId)) {
+         roomBots.push(formatBot(bot, await Bot.getRoomSettings(bot.userId, req.room.id)));
+      }
+
+      res.json({ success: true, bots: roomBots });
+   } catch (error) {
+      console.error('Error listing bots:', error);
+      res.status(500).json({ success: false, message: 'Error listing bots' });
+   }
+});
+
+// Switch a bot on or off in a room and change its settings: { enabled, config }
+app.put('/api/rooms/:id/bots/:username', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const result = await configureBot(req.room, req.session.userId, req.params.username, req.body);
+      res.status(result.status).json({ success: result.success, message: result.message, bot: result.data });
+   } catch (error) {
+      console.error('Error configuring bot:', error);
+      res.status(500).json({ success: false, message: 'Error configuring bot' });
+   }
+});
+
+// Message filters and their settings in a room (room admins only)
+app.get('/api/rooms/:id/filters', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const settingsByFilter = await Filter.getSettingsByFilter(req.room.id);
+      res.json({
+         success: true,
+         filters: listFilters().map(filter => formatFilter(filter, settingsByFilter.get(filter.name) || null))
+      });
+   } catch (error) {
+      console.error('Error listing filters:', error);
+      res.status(500).json({ success: false, message: 'Error listing filters' });
+   }
+});
+
+// Switch a filter on or off in a room and change its settings: { enabled, config }
+app.put('/api/rooms/:id/filters/:name', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const result = await configureFilter(req.room, req.session.userId, req.params.name, req.body);
+      res.status(result.status).json({ success: result.success, message: result.message, filter: result.data });
+   } catch (error) {
+      console.error('Error configuring filter:', error);
+      res.status(500).json({ success: false, message: 'Error configuring filter' });
+   }
+});
+
+const FLAG_STATUSES = ['pending', 'dismissed', 'removed'];
+
+// The review queue of messages flagged by filters (?status=pending|dismissed|removed)
+app.get('/api/rooms/:id/flagged-messages', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const status = req.query.status || 'pending';
+      if (!FLAG_STATUSES.includes(status)) {
+         return res.status(400).json({ success: false, message: `status must be one of: ${FLAG_STATUSES.join(', ')}` });
+      }
+
+      const flagged = await Filter.getFlagged(req.room.id, status, req.query.limit);
+      res.json({ success: true, messages: flagged.map(formatFlaggedMessage) });
+   } catch (error) {
+      console.error('Error listing flagged messages:', error);
+      res.status(500).json({ success: false, message: 'Error listing flagged messages' });
+   }
+});
+
+// Review a flagged message: dismiss keeps it, remove soft-deletes it
+app.post('/api/rooms/:id/flagged-messages/:flagId/:action(dismiss|remove)', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const flagged = await Filter.findFlagged(parseInt(req.params.flagId, 10) || 0);
+      if (!flagged || flagged.room_id !== req.room.id) {
+         return res.status(404).json({ success: false, message: 'Flagged message not found' });
+      }
+
+      if (!await Filter.review(flagged.id, req.params.action === 'remove' ? 'removed' : 'dismissed', req.session.userId)) {
+         return res.status(409).json({ success: false, message: 'This message has already been reviewed' });
+      }
+
+      if (req.params.action === 'remove') {
+         const result = await deleteMessage(req.session.userId, flagged.message_id);
+         // Already deleted some other way is fine
+         if (!result.success && result.reason !== 'not_found') {
+            return res.status(result.status).json({ success: false, message: result.message });
+         }
+      }
+
+      res.json({ success: true, message: req.params.action === 'remove' ? 'Message removed' : 'Flag dismissed' });
+   } catch (error) {
+      console.error('Error reviewing flagged message:', error);
+      res.status(500).json({ success: false, message: 'Error reviewing flagged message' });
+   }
+});
+
+// Room webhooks (room admins only)
+app.get('/api/rooms/:id/webhooks', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      res.json({
+         success: true,
+         incoming: (await Webhook.listIncoming(req.room.id)).map(formatIncomingWebhook),
+         outgoing: (await Webhook.listOutgoing(req.room.id)).map(formatOutgoingWebhook)
+      });
+   } catch (error) {
+      console.error('Error listing webhooks:', error);
+      res.status(500).json({ success: false, message: 'Error listing webhooks' });
+   }
+});
+
+// Create an incoming webhook: { name }. The URL carries the secret token and
+// is only shown in this response.
+app.post('/api/rooms/:id/webhooks/incoming', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const { error, name } = validateIncomingName(req.body.name);
+      if (error) {
+         return res.status(400).json({ success: false, message: error });
+      }
+
+      // Each integration posts as its own bot user, shown under its name
+      const userId = await Bot.ensureUser(`webhook-${generateSecret().slice(0, 12)}`, name);
+      const token = generateSecret();
+      const webhookId = await Webhook.createIncoming({
+         roomId: req.room.id,
+         userId,
+         name,
+         tokenHash: hashToken(token),
+         createdBy: req.session.userId
+      });
+
+      res.status(201).json({
+         success: true,
+         webhook: formatIncomingWebhook(await Webhook.findIncoming(webhookId)),
+         url: `/api/webhooks/incoming/${webhookId}/${token}`
+      });
+   } catch (error) {
+      console.error('Error creating incoming webhook:', error);
+      res.status(500).json({ success: false, message: 'Error creating incoming webhook' });
+   }
+});
+
+app.delete('/api/rooms/:id/webhooks/incoming/:webhookId', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      if (!await Webhook.deleteIncoming(req.room.id, parseInt(req.params.webhookId, 10) || 0)) {
+         return res.status(404).json({ success: false, message: 'Webhook not found' });
+      }
+      res.json({ success: true });
+   } catch (error) {
+      console.error('Error deleting incoming webhook:', error);
+      res.status(500).json({ success: false, message: 'Error deleting incoming webhook' });
+   }
+});
+
+// Create an outgoing webhook: { url }. The signing secret is only shown in this response.
+app.post('/api/rooms/:id/webhooks/outgoing', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const { error, url } = await validateWebhookUrl(req.body.url);
+      if (error) {
+         return res.status(400).json({ success: false, message: error });
+      }
+
+      const secret = generateSecret();
+      const webhookId = await Webhook.createOutgoing({
+         roomId: req.room.id,
+         url,
+         secret,
+         createdBy: req.session.userId
+      });
+
+      res.status(201).json({
+         success: true,
+         webhook: formatOutgoingWebhook(await Webhook.findOutgoing(webhookId)),
+         secret
+      });
+   } catch (error) {
+      console.error('Error creating outgoing webhook:', error);
+      res.status(500).json({ success: false, message: 'Error creating outgoing webhook' });
+   }
+});
+
+app.delete('/api/rooms/:id/webhooks/outgoing/:webhookId', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      if (!await Webhook.deleteOutgoing(req.room.id, parseInt(req.params.webhookId, 10) || 0)) {
+         return res.status(404).json({ success: false, message: 'Webhook not found' });
+      }
+      res.json({ success: true });
+   } catch (error) {
+      console.error('Error deleting outgoing webhook:', error);
+      res.status(500).json({ success: false, message: 'Error deleting outgoing webhook' });
+   }
+});
+
+// Delivery log for an outgoing webhook, newest first
+app.get('/api/rooms/:id/webhooks/outgoing/:webhookId/deliveries', requireAuth, requireRoomAdmin, async (req, res) => {
+   try {
+      const webhook = await Webhook.findOutgoing(parseInt(req.params.webhookId, 10) || 0);
+      if (!webhook || webhook.room_id !== req.room.id) {
+         return res.status(404).json({ success: false, message: 'Webhook not found' });
+      }
+
+      const deliveries = await Webhook.getDeliveries(webhook.id, req.query.limit);
+      res.json({ success: true, deliveries: deliveries.map(formatDelivery) });
+   } catch (error) {
+      console.error('Error loading webhook deliveries:', error);
+      res.status(500).json({ success: false, message: 'Error loading webhook deliveries' });
+   }
+});
+
+// Post into a room from an integration (no session; the token is the credential):
+// POST /api/webhooks/incoming/:id/:token with { "text": "..." }
+app.post('/api/webhooks/incoming/:id/:token', async (req, res) => {
+   try {
+      const webhook = await Webhook.findIncoming(parseInt(req.params.id, 10) || 0);
+      if (!webhook || !tokenMatches(req.params.token, webhook.token_hash)) {
+         return res.status(404).json({ success: false, message: 'Webhook not found' });
+      }
+
+      if (webhook.is_archived) {
+         return res.status(410).json({ success: false, message: 'Room is archived' });
+      }
+
+      const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+      if (!text || text.length > INCOMING_TEXT_MAX_LENGTH) {
+         return res.status(400).json({ success: false, message: `text is required (at most ${INCOMING_TEXT_MAX_LENGTH} characters)` });
+      }
+
+      // Integrations go through the room's filters like people do
+      const filtered = await filterMessage(text, {
+         user: { id: webhook.user_id, username: webhook.username },
+         room: { id: webhook.room_id, name: webhook.room_name },
+         maxLength: INCOMING_TEXT_MAX_LENGTH
+      });
+      if (!filtered.allowed) {
+         return res.status(400).json({ success: false, reason: filtered.reason, message: filtered.message });
+      }
+
+      const message = await postBotMessage(
+         { userId: webhook.user_id, username: webhook.username, displayName: webhook.name },
+         { id: webhook.room_id, name: webhook.room_name },
+         filtered.text
+      );
+      await Webhook.touchIncoming(webhook.id);
+
+      if (filtered.flags.length > 0) {
+         queueFlaggedMessage(
+            { id: message.id, room_id: webhook.room_id, room_name: webhook.room_name, user_id: webhook.user_id, username: webhook.username },
+            filtered.flags
+         ).catch(error => console.error('Error queueing flagged message:', error));
+      }
+
+      res.status(201).json({ success: true, messageId: message.id });
+   } catch (error) {
+      console.error('Error handling incoming webhook:', error);
+      res.status(500).json({ success: false, message: 'Error posting message' });
+   }
+});
+
+const MODERATION_ACTIONS = ['mute', 'unmute', 'kick', 'ban', 'unban'];
+
+// Apply a moderation action in a room on behalf of a room admin. Shared by the
+// REST routes and the `moderate` socket event; returns { success, status, message }.
+async function moderateUser(room, moderatorId, { action, targetUserId, durationMinutes = null, reason = null }) {
+   if (!MODERATION_ACTIONS.includes(action)) {
+      return { success: false, status: 400, message: 'Unknown moderation action' };
+   }
+
+   if (!await Room.isAdmin(room.id, moderatorId)) {
+      return { success: false, status: 403, message: 'Only room admins can moderate' };
+   }
+
+   const target = Number.isInteger(targetUserId) ? await User.findById(targetUserId) : null;
+   if (!target) {
+      return { success: false, status: 404, message: 'User not found' };
+   }
+
+   if (target.id === moderatorId) {
+      return { success: false, status: 400, message: 'You cannot moderate yourself' };
+   }
+
+   if (await Room.isAdmin(room.id, target.id)) {
+      return { success: false, status: 403, message: 'Room admins cannot be moderated' };
+   }
+
+   let minutes = null;
+   if (durationMinutes !== undefined && durationMinutes !== null && durationMinutes !== '') {
+      minutes = parseInt(durationMinutes, 10);
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > 60 * 24 * 365) {
+         return { success: false, status: 400, message: 'durationMinutes must be between 1 and 525600' };
+      }
+   }
+
+   const cleanReason = typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 255) : null;
+   const forDuration = minutes ? ` for ${minutes} minute${minutes === 1 ? '' : 's'}` : '';
+   let announcement;
+
+   switch (action) {
+      case 'mute':
+         await Moderation.mute(room.id, target.id, moderatorId, minutes);
+         await emitToUserInRoom(room.name, target.id, 'muted', { room: room.name, durationMinutes: minutes, reason: cleanReason });
+         announcement = `${target.username} was muted${forDuration}`;
+         break;
+      case 'unmute':
+         await Moderation.unmute(room.id, target.id);
+         await emitToUserInRoom(room.name, target.id, 'unmuted', { room: room.name });
+         announcement = `${target.username} was unmuted`;
+         break;
+      case 'kick':
+         await evictUserFromRoom(room.name, target.id, cleanReason ? `You were kicked: ${cleanReason}` : 'You were kicked from the room');
+         announcement = `${target.username} was kicked`;
+         break;
+      case 'ban':
+         await Moderation.ban(room.id, target.id, moderatorId, cleanReason, minutes);
+         await evictUserFromRoom(room.name, target.id, cleanReason ? `You were banned: ${cleanReason}` : 'You were banned from the room');
+         announcement = `${target.username} was banned${forDuration}`;
+         break;
+      case 'unban':
+         await Moderation.unban(room.id, target.id);
+         announcement = `${target.username} was unbanned`;
+         break;
+   }
+
+   await Moderation.log(room.id, moderatorId, target.id, action, cleanReason, minutes);
+
+   io.to(room.name).emit('message', formatMessage(botName, `🛡️ ${announcement}${cleanReason ? ` (${cleanReason})` : ''}`));
+   console.log(`🛡️ ${action} ${target.username} in ${room.name} by user ${moderatorId}`);
+
+   return { success: true, status: 200, message: announcement };
+}
+
+// Emit an event to every socket a user has in a room
+async function emitToUserInRoom(roomName, userId, event, payload) {
+   const roomSockets = await io.in(roomName).fetchSockets();
+
+   roomSockets
+      .filter(roomSocket => roomSocket.data.userId === userId)
+      .forEach(roomSocket => roomSocket.emit(event, payload));
+}
+
+// Remove all of a user's sockets from a room
+async function evictUserFromRoom(roomName, userId, reason) {
+   const roomSockets = await io.in(roomName).fetchSockets();
+
+   for (const roomSocket of roomSockets) {
+      if (roomSocket.data.userId === userId) {
+         roomSocket.leave(roomName);
+         await forgetSocket(roomSocket.id);
+         roomSocket.emit('removedFromRoom', { room: roomName, reason });
+      }
+   }
+
+   // Sockets waiting out their disconnect grace period have already left the
+   // Socket.IO room; drop them too so they can't resume
+   for (const held of await revokeResumeTokens(userId, roomName)) {
+      await forgetSocket(held.socketId);
+      announcePresence(userId, socketDisconnected(held.socketId, userId));
+   }
+
+   await refreshRoomUsers(roomName);
+}
+
+// Remove everyone from a room, or only those for whom mayStay(userId)
+// resolves false. Covers sockets on every instance and those held for resume.
+async function evictRoomOccupants(roomName, reason, mayStay = async () => false) {
+   const userIds = new Set((await io.in(roomName).fetchSockets()).map(roomSocket => roomSocket.data.userId));
+   (await getRoomUsers(roomName)).forEach(user => userIds.add(user.id));
+
+   for (const userId of userIds) {
+      if (!await mayStay(userId)) {
+         await evictUserFromRoom(roomName, userId, reason);
+      }
+   }
+}
+
+// Drop a socket's room entry. The socket may live on another instance, which
+// must forget it too.
+async function forgetSocket(socketId) {
+   const isLocal = !!getCurrentUser(socketId);
+   const user = await userLeave(socketId);
+   if (user && !isLocal && isClustered) {
+      io.serverSideEmit('socketLeft', socketId);
+   }
+   return user;
+}
+
+// A socket is gone for good: update presence and, if it was in a room, tell
+// the room it left
+async function releaseSocket(socketId, userId) {
+   await forgetResumeToken(socketId);
+   announcePresence(userId, socketDisconnected(socketId, userId));
+
+   const user = await forgetSocket(socketId);
+   if (!user) {
+      return;
+   }
+
+   console.log(`👤 ${user.username} disconnected from ${user.room}`);
+
+   // Notify others in room
+   io.to(user.room).emit('message', formatMessage(botName, `${user.username} has left the chat! 👋`));
+
+   // Save system message
+   Message.create(user.id, user.room, `${user.username} has left the chat!`, 'system')
+      .catch(error => console.error('Error saving disconnect message:', error));
+
+   // Update room users list
+   await refreshRoomUsers(user.room);
+
+   dispatchBotEvent('leave', user.room, { id: user.id, username: user.username, displayName: user.displayName || null });
+}
+
+// Push a room's user list and occupancy, and offer any freed spot to its waitlist
+async function refreshRoomUsers(roomName) {
+   const roomUsers = await getRoomUsers(roomName);
+   io.to(roomName).emit('roomUsers', {
+      room: roomName,
+      users: roomUsers,
+   });
+
+   const roomRecord = await Room.findByName(roomName);
+   if (roomRecord) {
+      io.emit('roomOccupancy', {
+         room: roomName,
+         userCount: roomUsers.length,
+         maxUsers: roomRecord.max_users
+      });
+
+      // Skip sockets that went away without leaving the waitlist (their instance died)
+      if (roomUsers.length < roomRecord.max_users) {
+         let nextSocketId = await nextInWaitlist(roomName);
+         while (nextSocketId && (await io.in(nextSocketId).fetchSockets()).length === 0) {
+            nextSocketId = await nextInWaitlist(roomName);
+         }
+         if (nextSocketId) {
+            io.to(nextSocketId).emit('roomSpotAvailable', { room: roomName });
+         }
+      }
+   }
+
+   return roomUsers;
+}
+
+// Why a muted user's message was refused, for `messageError` and API responses
+function muteRefusal(mute) {
+   return {
+      reason: 'muted',
+      message: mute.muted_until
+         ? `You are muted in this room until ${new Date(mute.muted_until).toLocaleTimeString()}`
+         : 'You are muted in this room',
+      mutedUntil: mute.muted_until
+   };
+}
+
+// Save a message to the user's current room and broadcast it. Shared by the
+// `chatMessage` event and slash commands that post on the user's behalf;
+// returns { success, reason, message, data }.
+async function postRoomMessage(user, { text, attachment = null, parent = null }) {
+   const room = await Room.findById(user.roomId);
+   if (!room || room.is_archived) {
+      return { success: false, reason: 'room_archived', message: 'This room has been archived' };
+   }
+
+   const mute = await Moderation.getActiveMute(user.roomId, user.id);
+   if (mute) {
+      return { success: false, ...muteRefusal(mute) };
+   }
+
+   const filtered = await filterMessage(text, {
+      user: { id: user.id, username: user.username },
+      room: { id: user.roomId, name: user.room }
+   });
+   if (!filtered.allowed) {
+      return { success: false, reason: filtered.reason, message: filtered.message };
+   }
+   text = filtered.text;
+
+   console.log(`💬 Message from ${user.username} in ${user.room}: ${text}`);
+
+   const messageType = attachment ? (isImageType(attachment.mime_type) ? 'image' : 'file') : 'text';
+
+   // Replies to a reply join the original message's thread
+   const threadId = parent ? (parent.thread_id || parent.id) : null;
+
+   // Save first so the broadcast carries the database ID
+   const messageId = await Message.create(
+      user.id,
+      user.room,
+      text,
+      messageType,
+      attachment ? attachment.id : null,
+      parent ? parent.id : null,
+      threadId
+   );
+
+   const message = formatMessage(user.username, text, {
+      id: messageId,
+      userId: user.id,
+      displayName: user.displayName,
+      avatar: user.avatar,
+      messageType,
+      attachment: formatAttachment(attachment),
+      replyTo: parent ? formatReplyPreview(parent.id, parent.username, parent.message, false) : null,
+      threadId,
+      replyCount: 0
+   });
+   io.to(user.room).emit('message', message);
+
+   if (filtered.flags.length > 0) {
+      queueFlaggedMessage(
+         { id: messageId, room_id: user.roomId, room_name: user.room, user_id: user.id, username: user.username },
+         filtered.flags
+      ).catch(error => console.error('Error queueing flagged message:', error));
+   }
+
+   try {
+      await notifyMentions(user, messageId, text);
+   } catch (mentionError) {
+      console.error('Error sending mentions:', mentionError);
+   }
+
+   dispatchBotEvent('message', user.room, {
+      id: messageId,
+      text,
+      username: user.username,
+      threadId,
+      user: { id: user.id, username: user.username, displayName: user.displayName || null }
+   });
+   queueWebhookDeliveries(user.roomId, user.room, message);
+
+   return { success: true, data: message };
+}
+
+// Run a "/name args" message as a slash command. Replies go only to the
+// calling socket as `commandReply`; see utils/commands.js for the module shape.
+async function runCommand(socket, user, text) {
+   const parsed = parseCommand(text);
+   const commandName = parsed ? parsed.name : '';
+   const reply = replyText => socket.emit('commandReply', { command: commandName, text: replyText });
+
+   const command = getCommand(commandName);
+   if (!command) {
+      reply(`Unknown command /${commandName}. Type /help for a list of commands.`);
+      return;
+   }
+
+   const room = await Room.findById(user.roomId);
+   if (!room) {
+      reply('Room not found');
+      return;
+   }
+
+   const isAdmin = await Room.isAdmin(room.id, user.id);
+   const roles = { isAdmin, isMember: isAdmin || await Room.isMember(room.id, user.id) };
+
+   if (!isAllowed(command, roles)) {
+      reply(`You don't have permission to use /${command.name} here`);
+      return;
+   }
+
+   const ctx = {
+      command: command.name,
+      args: parsed.args,
+      argText: parsed.argText,
+      user,
+      room,
+      roles,
+      socket,
+      reply,
+      // Post as the calling user, subject to the same mute rules and filters as typed messages
+      post: async postText => {
+         const result = await postRoomMessage(user, { text: postText });
+         if (!result.success) {
+            reply(result.message);
+         }
+         return result;
+      },
+      // Post as the room bot
+      announce: announceText => io.to(room.name).emit('message', formatMessage(botName, announceText)),
+      findUser: name => name ? User.findByUsername(name.replace(/^@/, '')) : null,
+      services: {
+         User,
+         Room,
+         Moderation,
+         moderateUser,
+         emitToUser,
+         broadcastProfileChange,
+         listCommands,
+         isAllowed,
+         Bot,
+         listBots,
+         formatBot,
+         configureBot
+      }
+   };
+
+   try {
+      await command.execute(ctx);
+   } catch (error) {
+      console.error(`Error running /${command.name}:`, error);
+      reply(`/${command.name} failed`);
+   }
+}
+
+// Queue a signed `message.created` POST to each of a room's outgoing webhooks
+// and attempt it right away; failed attempts are retried by the loop at the
+// bottom of this file. Never throws, so callers don't need to wait for it.
+async function queueWebhookDeliveries(roomId, roomName, message) {
+   try {
+      const webhooks = await Webhook.listOutgoing(roomId);
+      if (webhooks.length === 0) {
+         return;
+      }
+
+      const payload = {
+         event: 'message.created',
+         room: { id: roomId, name: roomName },
+         message: {
+            id: message.id,
+            text: message.text,
+            userId: message.userId,
+            username: message.username,
+            displayName: message.displayName || null,
+            messageType: message.messageType,
+            attachment: message.attachment || null,
+            replyToId: message.replyTo ? message.replyTo.id : null,
+            threadId: message.threadId || null,
+            createdAt: new Date().toISOString()
+         }
+      };
+
+      for (const webhook of webhooks) {
+         const deliveryId = await Webhook.createDelivery(webhook.id, payload.event, payload);
+         attemptWebhookDelivery(deliveryId);
+      }
+   } catch (error) {
+      console.error('Error queueing webhook deliveries:', error);
+   }
+}
+
+// Make one attempt at a pending delivery and record the outcome, scheduling
+// the next retry with backoff until the attempts run out
+async function attemptWebhookDelivery(deliveryId) {
+   try {
+      const delivery = await Webhook.findDelivery(deliveryId);
+      if (!delivery || delivery.status !== 'pending') {
+         return;
+      }
+
+      const body = typeof delivery.payload === 'string' ? delivery.payload : JSON.stringify(delivery.payload);
+      const result = await sendWebhook({
+         url: delivery.url,
+         secret: delivery.secret,
+         event: delivery.event,
+         deliveryId,
+         body
+      });
+
+      const attempt = delivery.attempts + 1;
+      const retryInSeconds = result.ok ? null : retryDelay(attempt);
+      await Webhook.recordAttempt(deliveryId, {
+         ok: result.ok,
+         responseStatus: result.status,
+         error: result.error,
+         retryInSeconds
+      });
+
+      if (!result.ok) {
+         console.warn(`🪝 Webhook delivery ${deliveryId} to ${delivery.url} failed (attempt ${attempt}): ${result.error}` +
+            (retryInSeconds === null ? '; giving up' : `; retrying in ${retryInSeconds}s`));
+      }
+   } catch (error) {
+      console.error('Error delivering webhook:', error);
+   }
+}
+
+// Per-bot, per-room scratch state for bot handlers (open polls, pending
+// reminders). It lives in memory and is lost on restart.
+const botState = new Map();
+
+// Bot state is only kept by one instance, the holder of the bots lease. It runs
+// every bot handler and task; the others forward their room events to it. If
+// the holder goes away another instance takes over, without the old state.
+const BOT_LEASE_SECONDS = 30;
+let isBotLeader = !isClustered;
+
+async function refreshBotLease() {
+   try {
+      const wasLeader = isBotLeader;
+      isBotLeader = await getPresence().acquireLease('bots', BOT_LEASE_SECONDS);
+      if (isBotLeader && !wasLeader) {
+         console.log('🤖 This instance now runs the bots');
+      }
+   } catch (error) {
+      isBotLeader = false;
+      console.error('Error refreshing the bots lease:', error);
+   }
+}
+
+// Create (or find) the users row each loaded bot posts as
+async function registerBotUsers() {
+   for (const bot of listBots()) {
+      try {
+         bot.userId = await Bot.ensureUser(bot.username, bot.displayName || null);
+         if (!bot.userId) {
+            console.error(`Bot ${bot.username} is disabled: a person already has that username`);
+         }
+      } catch (error) {
+         console.error(`Error setting up bot ${bot.username}:`, error);
+      }
+   }
+}
+
+// Save and broadcast a bot's message in a room. `bot` is a registered bot or
+// anything else that posts as a bot user ({ userId, username, displayName }),
+// such as an incoming webhook. replyTo is the room message
+// ({ id, username, text, threadId }) to answer in its thread, if any.
+async function postBotMessage(bot, room, text, replyTo = null) {
+   const threadId = replyTo ? (replyTo.threadId || replyTo.id) : null;
+   const messageId = await Message.create(
+      bot.userId,
+      room.name,
+      text,
+      'text',
+      null,
+      replyTo ? replyTo.id : null,
+      threadId
+   );
+
+   const message = formatMessage(bot.username, text, {
+      id: messageId,
+      userId: bot.userId,
+      displayName: bot.displayName || null,
+      avatar: null,
+      isBot: true,
+      messageType: 'text',
+      attachment: null,
+      replyTo: replyTo ? formatReplyPreview(replyTo.id, replyTo.username, replyTo.text, false) : null,
+      threadId,
+      replyCount: 0
+   });
+   io.to(room.name).emit('message', message);
+
+   // Bots may @mention people, e.g. when a reminder is due
+   try {
+      const botUser = { id: bot.userId, username: bot.username, displayName: bot.displayName || null, roomId: room.id, room: room.name };
+      await notifyMentions(botUser, messageId, text);
+   } catch (mentionError) {
+      console.error('Error sending bot mentions:', mentionError);
+   }
+
+   return message;
+}
+
+// What a bot handler or task gets for one room
+function botContext(bot, room, settings) {
+   const stateKey = `${bot.username}:${room.id}`;
+   if (!botState.has(stateKey)) {
+      botState.set(stateKey, {});
+   }
+
+   return {
+      bot,
+      room,
+      config: resolveBotConfig(bot, settings),
+      state: botState.get(stateKey),
+      say: text => postBotMessage(bot, room, text),
+      getRoomUsers: () => getRoomUsers(room.name)
+   };
+}
+
+// Run the bots that are on in a room for a room event: 'message' (payload is
+// { id, text, username, threadId, user }), 'join' or 'leave' (payload is the
+// user). Bots @mentioned in a message get 'mention' instead of 'message'.
+// Handed to the instance running the bots when that isn't this one. Never
+// throws, so callers don't need to wait for it.
+async function dispatchBotEvent(event, roomName, payload) {
+   if (!isBotLeader) {
+      if (isClustered) {
+         io.serverSideEmit('botEvent', event, roomName, payload);
+      }
+      return;
+   }
+
+   await runBotEvent(event, roomName, payload);
+}
+
+// dispatchBotEvent on the instance running the bots
+async function runBotEvent(event, roomName, payload) {
+   try {
+      const mentioned = event === 'message'
+         ? new Set(parseMentions(payload.text).usernames.map(name => name.toLowerCase()))
+         : new Set();
+
+      const room = await Room.findByName(roomName);
+      if (!room) {
+         return;
+      }
+
+      for (const bot of listBots()) {
+         const botEvent = mentioned.has(bot.username.toLowerCase()) ? 'mention' : event;
+         const handler = bot[BOT_EVENTS[botEvent]];
+         if (!handler || !bot.userId) {
+            continue;
+         }
+
+         try {
+            const settings = await Bot.getRoomSettings(bot.userId, room.id);
+            if (!isBotEnabled(bot, settings)) {
+               continue;
+            }
+
+            const ctx = botContext(bot, room, settings);
+            if (event === 'message') {
+               ctx.reply = text => postBotMessage(bot, room, text, payload);
+            }
+            await handler.call(bot, ctx, payload);
+         } catch (error) {
+            console.error(`Error running ${bot.username} for ${botEvent}:`, error);
+         }
+      }
+   } catch (error) {
+      console.error(`Error dispatching ${event} to bots:`, error);
+   }
+}
+
+// Turn a bot on or off in a room and update its settings. The caller must
+// already be a room admin; returns { success, status, message, data }.
+async function configureBot(room, userId, username, { enabled, config } = {}) {
+   const bot = getBot(username);
+   if (!bot || !bot.userId) {
+      return { success: false, status: 404, message: 'Bot not found' };
+   }
+
+   if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return { success: false, status: 400, message: 'enabled must be true or false' };
+   }
+
+   const { error, values } = validateBotConfig(bot, config);
+   if (error) {
+      return { success: false, status: 400, message: error };
+   }
+
+   const settings = await Bot.getRoomSettings(bot.userId, room.id);
+   const wasEnabled = isBotEnabled(bot, settings);
+   const isEnabled = enabled === undefined ? wasEnabled : enabled;
+
+   await Bot.saveRoomSettings(bot.userId, room.id, {
+      isEnabled,
+      config: { ...resolveBotConfig(bot, settings), ...values },
+      updatedBy: userId
+   });
+
+   if (isEnabled !== wasEnabled) {
+      io.to(room.name).emit('message', formatMessage(botName, `🤖 ${bot.username} was turned ${isEnabled ? 'on' : 'off'}`));
+   }
+
+   const updated = formatBot(bot, await Bot.getRoomSettings(bot.userId, room.id));
+   return { success: true, status: 200, message: `${bot.username} is ${isEnabled ? 'on' : 'off'}`, data: updated };
+}
+
+registerBotUsers();
+refreshBotLease();
+setInterval(refreshBotLease, 10 * 1000); // Every 10 seconds, a third of the lease
+
+// Switch a message filter on or off in a room and change its settings.
+// Returns { success, status, message, data }.
+async function configureFilter(room, userId, name, { enabled, config } = {}) {
+   const filter = getFilter(name);
+   if (!filter) {
+      return { success: false, status: 404, message: 'Filter not found' };
+   }
+
+   if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return { success: false, status: 400, message: 'enabled must be true or false' };
+   }
+
+   const { error, values } = validateFilterConfig(filter, config);
+   if (error) {
+      return { success: false, status: 400, message: error };
+   }
+
+   const settings = await Filter.getRoomSettings(room.id, filter.name);
+   const isEnabled = enabled === undefined ? isFilterEnabled(filter, settings) : enabled;
+
+   await Filter.saveRoomSettings(room.id, filter.name, {
+      isEnabled,
+      config: { ...resolveFilterConfig(filter, settings), ...values },
+      updatedBy: userId
+   });
+
+   const updated = formatFilter(filter, await Filter.getRoomSettings(room.id, filter.name));
+   return { success: true, status: 200, message: `${filter.name} is ${isEnabled ? 'on' : 'off'}`, data: updated };
+}
+
+// Wait for a presence update and, if the user's state really changed, tell
+// every client with a `presenceChanged` event
+async function announcePresence(userId, update) {
+   try {
+      const state = await update;
+      if (state) {
+         io.emit('presenceChanged', { userId, state, lastSeen: new Date().toISOString() });
+      }
+   } catch (error) {
+      console.error('Error updating presence:', error);
+   }
+}
+
+// What to tell someone refused by a flood limit
+function floodLimitMessage(result) {
+   const seconds = Math.ceil(result.retryAfterMs / 1000);
+   return result.scope === 'room'
+      ? `This room is very busy. Try again in ${seconds}s.`
+      : `You're doing that too often. Try again in ${seconds}s.`;
+}
+
+// Apply the flood limits for a socket event. When refused, the client is told
+// with a `rateLimited` event how long to wait.
+async function withinFloodLimit(socket, action, room = null) {
+   return floodAllowed(socket, action, await checkFloodLimit(action, socket.data.userId, room));
+}
+
+// Apply only a room's flood limit for a socket event, once the room is known
+async function withinRoomFloodLimit(socket, action, room) {
+   return floodAllowed(socket, action, await checkRoomFloodLimit(action, room));
+}
+
+// Whether a flood check passed; if not, send the socket `rateLimited`
+function floodAllowed(socket, action, result) {
+   if (result.allowed) {
+      return true;
+   }
+
+   socket.emit('rateLimited', {
+      action,
+      scope: result.scope,
+      retryAfterMs: result.retryAfterMs,
+      message: floodLimitMessage(result)
+   });
+   return false;
+}
+
+// Apply the flood limits for an API request, sharing the buckets of the
+// matching socket event. When refused, responds 429 with Retry-After.
+async function withinHttpFloodLimit(req, res, action, room = null) {
+   const result = await checkFloodLimit(action, req.session.userId, room);
+   if (result.allowed) {
+      return true;
+   }
+
+   res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+   res.status(429).json({
+      success: false,
+      reason: 'rate_limited',
+      scope: result.scope,
+      retryAfterMs: result.retryAfterMs,
+      message: floodLimitMessage(result)
+   });
+   return false;
+}
+
+// Messages from other instances (only sent when clustered)
+io.on('profileChanged', (userId, details) => updateLocalUser(userId, details));
+io.on('socketLeft', (socketId) => {
+   userLeave(socketId).catch(error => console.error('Error releasing socket:', error));
+});
+io.on('botEvent', (event, roomName, payload) => {
+   if (isBotLeader) {
+      runBotEvent(event, roomName, payload);
+   }
+});
+
+// Socket.IO with better error handling
+io.on('connection', async (socket) => {
+   console.log(`🔌 New connection: ${socket.id}`);
+
+   // Personal room for direct messages and other per-user events
+   socket.join(userRoom(socket.data.userId));
+
+   announcePresence(socket.data.userId, socketConnected(socket.id, socket.data.userId));
+
+   // The client reports when its tab goes idle and when it's used again
+   socket.on('setIdle', (payload) => {
+      const { idle } = payload || {};
+      announcePresence(socket.data.userId, setSocketIdle(socket.id, socket.data.userId, !!idle));
+   });
+
+   socket.on('joinRoom', async (payload) => {
+      const { room, waitlist = false } = payload || {};
+      try {
+         // The room's own bucket is only charged once the join is known to be allowed
+         if (!(await withinFloodLimit(socket, 'join'))) {
+            return;
+         }
+
+         // Identity comes from the session, never from the client payload
+         const user = await User.findById(socket.data.userId);
+
+         if (!user) {
+            socket.emit('roomJoinError', { reason: 'user_not_found', message: 'User account not found' });
+            return;
+         }
+
+         if (User.isGuestExpired(user)) {
+            socket.emit('roomJoinError', { reason: 'guest_expired', message: 'Guest session has expired' });
+            return;
+         }
+
+         const username = user.username;
+         console.log(`👤 User attempting to join: ${username} -> ${room}`);
+
+         if (!room) {
+            socket.emit('roomJoinError', { reason: 'invalid_request', message: 'Room is required' });
+            return;
+         }
+
+         const roomRecord = await Room.findByName(room);
+         if (!roomRecord) {
+            socket.emit('roomJoinError', { reason: 'room_not_found', message: 'Room does not exist' });
+            return;
+         }
+
+         if (!await Room.canAccess(roomRecord, user.id)) {
+            socket.emit('roomJoinError', { reason: 'not_member', message: 'This room is private. You need an invite to join.' });
+            return;
+         }
+
+         const ban = await Moderation.getActiveBan(roomRecord.id, user.id);
+         if (ban) {
+            socket.emit('roomJoinError', {
+               reason: 'banned',
+               message: ban.expires_at
+                  ? `You are banned from this room until ${new Date(ban.expires_at).toLocaleString()}`
+                  : 'You are banned from this room',
+               expiresAt: ban.expires_at
+            });
+            return;
+         }
+
+         if (!(await withinRoomFloodLimit(socket, 'join', roomRecord.id))) {
+            return;
+         }
+
+         // Enforce capacity; users already in the room (e.g. another tab) don't count twice
+         const occupants = await getRoomUsers(room);
+         const alreadyInRoom = occupants.some(occupant => occupant.id === user.id);
+
+         if (!alreadyInRoom && occupants.length >= roomRecord.max_users) {
+            if (waitlist) {
+               const position = await addToWaitlist(room, socket.id);
+               socket.emit('roomWaitlisted', { room, position });
+               console.log(`⏳ ${username} waitlisted for ${room} at position ${position}`);
+               return;
+            }
+
+            socket.emit('roomJoinError', {
+               reason: 'room_full',
+               message: `${room} is full (${occupants.length}/${roomRecord.max_users})`,
+               room,
+               userCount: occupants.length,
+               maxUsers: roomRecord.max_users
+            });
+            return;
+         }
+
+         await removeFromWaitlist(socket.id);
+
+         // Leave the previous room when switching
+         const previousUser = getCurrentUser(socket.id);
+         if (previousUser && previousUser.room !== room) {
+            socket.leave(previousUser.room);
+            socket.broadcast
+               .to(previousUser.room)
+               .emit('message', formatMessage(botName, `${username} has left the chat! 👋`));
+         }
+
+         // Join the user to the room
+         const sessionId = socket.request.sessionID;
+         const ipAddress = socket.handshake.address;
+         const userAgent = socket.handshake.headers['user-agent'];
+
+         // Keep the room ID on the user for per-message checks,
+         // and profile details for live broadcasts
+         await userJoin(
+            socket.id, 
+            sessionId, 
+            user.id, 
+            username, 
+            room, 
+            ipAddress, 
+            userAgent,
+            {
+               roomId: roomRecord.id,
+               displayName: user.display_name || null,
+               avatar: user.avatar_url || null
+            }
+         );
+
+         socket.join(room);
+
+         // Emit success event, with a token for resuming after a dropped connection
+         socket.emit('roomJoined', { 
+            room: room, 
+            user: { id: user.id, username: username },
+            resumeToken: await issueResumeToken(socket.id, user.id, room)
+         });
+
+         // Load recent messages
+         try {
+            const recentMessages = await Message.getRecentMessages(room, 20);
+            const formattedMessages = await withReactions(recentMessages.map(formatDbMessage));
+            socket.emit('loadMessages', formattedMessages);
+         } catch (messageError) {
+            console.error('Error loading recent messages:', messageError);
+            socket.emit('loadMessages', []);
+         }
+
+         // Welcome current user
+         socket.emit('message', formatMessage(botName, `Welcome to ChatBud, ${username}! 🎉`));
+
+         // Notify others in room
+         socket.broadcast
+            .to(room)
+            .emit('message', formatMessage(botName, `${username} has joined the chat! 👋`));
+
+         // Save system message
+         try {
+            await Message.create(user.id, room, `${username} has joined the chat!`, 'system');
+         } catch (systemMsgError) {
+            console.error('Error saving system message:', systemMsgError);
+         }
+
+         // Send users and room info
+         await refreshRoomUsers(room);
+
+         const botMember = { id: user.id, username, displayName: user.display_name || null };
+         dispatchBotEvent('join', room, botMember);
+
+         if (previousUser && previousUser.room !== room) {
+            await refreshRoomUsers(previousUser.room);
+            dispatchBotEvent('leave', previousUser.room, botMember);
+         }
+
+         console.log(`✅ ${username} successfully joined room: ${room}`);
+      } catch (error) {
+         console.error('Error joining room:', error);
+         socket.emit('roomJoinError', { reason: 'server_error', message: 'Failed to join room. Please try again.' });
+      }
+   });
+
+   // Take back a room place after reconnecting, without announcing a leave or
+   // join, and replay what was posted after lastMessageId
+   socket.on('resumeSession', async (payload) => {
+      const { token, lastMessageId } = payload || {};
+      try {
+         const resumed = await claimResumeToken(token, socket.data.userId);
+         // The old socket's entry, from whichever instance it was on
+         const previous = resumed ? await getPresence().getSocket(resumed.socketId) : null;
+
+         // Unknown or expired token, or the old socket was removed from the room meanwhile
+         if (!previous || previous.room !== resumed.room) {
+            if (resumed && resumed.held) {
+               await releaseSocket(resumed.socketId, socket.data.userId);
+            }
+            socket.emit('resumeFailed', { reason: 'invalid_token', message: 'Session can no longer be resumed' });
+            return;
+         }
+
+         const user = await User.findById(socket.data.userId);
+         const roomRecord = await Room.findByName(resumed.room);
+
+         // Access may have changed while disconnected; a normal join reports why
+         if (!user || User.isGuestExpired(user) || !roomRecord ||
+            !await Room.canAccess(roomRecord, user.id) || await Moderation.getActiveBan(roomRecord.id, user.id)) {
+            if (resumed.held) {
+               await releaseSocket(resumed.socketId, socket.data.userId);
+            }
+            socket.emit('resumeFailed', { reason: 'not_allowed', message: 'Session can no longer be resumed' });
+            return;
+         }
+
+         // Hand the old socket's place to this one. The old socket may not have
+         // been noticed as gone yet; it is disconnected once its place is taken.
+         await forgetSocket(resumed.socketId);
+         if (resumed.held) {
+            announcePresence(user.id, socketDisconnected(resumed.socketId, user.id));
+         } else {
+            io.in(resumed.socketId).disconnectSockets(true);
+         }
+
+         const room = resumed.room;
+         await userJoin(
+            socket.id,
+            socket.request.sessionID,
+            user.id,
+            user.username,
+            room,
+            socket.handshake.address,
+            socket.handshake.headers['user-agent'],
+            {
+               roomId: roomRecord.id,
+               displayName: user.display_name || null,
+               avatar: user.avatar_url || null
+            }
+         );
+
+         socket.join(room);
+
+         // Missed messages, or the latest page when too many were missed to replay
+         const after = parseInt(lastMessageId, 10) || 0;
+         let page = after ? await Message.getMessagesPage(room, { after, limit: RESUME_REPLAY_LIMIT }) : null;
+         const gap = !page || page.hasMore;
+         if (gap) {
+            page = { messages: await Message.getRecentMessages(room, 20) };
+         }
+
+         socket.emit('sessionResumed', {
+            room,
+            user: { id: user.id, username: user.username },
+            resumeToken: await issueResumeToken(socket.id, user.id, room),
+            messages: await withReactions(page.messages.map(formatDbMessage)),
+            gap
+         });
+
+         await refreshRoomUsers(room);
+
+         console.log(`🔄 ${user.username} resumed ${room}`);
+      } catch (error) {
+         console.error('Error resuming session:', error);
+         socket.emit('resumeFailed', { reason: 'server_error', message: 'Failed to resume session' });
+      }
+   });
+
+   socket.on('chatMessage', async (msg) => {
+      try {
+         const user = getCurrentUser(socket.id);
+         if (!user) {
+            console.error('User not found for socket:', socket.id);
+            socket.emit('messageError', { reason: 'no_session', message: 'User session not found' });
+            return;
+         }
+
+         // Slash commands count too
+         if (!(await withinFloodLimit(socket, 'message', user.room))) {
+            return;
+         }
+
+         // Plain string, or { text, attachmentId, replyTo } for messages with an
+         // uploaded file or that reply to another message
+         const payload = typeof msg === 'string' ? { text: msg } : msg;
+         if (!payload || typeof payload !== 'object' ||
+            (payload.text !== undefined && typeof payload.text !== 'string')) {
+            socket.emit('messageError', { reason: 'invalid_message', message: 'Invalid message' });
+            return;
+         }
+
+         let trimmedMsg = (payload.text || '').trim();
+
+         // "/name args" runs a slash command; "//" escapes a leading slash
+         if (trimmedMsg.startsWith('/') && (payload.attachmentId === undefined || payload.attachmentId === null)) {
+            if (!trimmedMsg.startsWith('//')) {
+               await runCommand(socket, user, trimmedMsg);
+               return;
+            }
+            trimmedMsg = trimmedMsg.slice(1);
+         }
+
+         let attachment = null;
+         if (payload.attachmentId !== undefined && payload.attachmentId !== null) {
+            attachment = await Attachment.findById(parseInt(payload.attachmentId, 10) || 0);
+            if (!attachment || attachment.uploaded_by !== user.id || attachment.room_id !== user.roomId) {
+               socket.emit('messageError', { reason: 'invalid_attachment', message: 'Attachment not found' });
+               return;
+            }
+            // The file name stands in for a missing caption so the message stays searchable
+            trimmedMsg = trimmedMsg || attachment.original_name;
+         }
+
+         if (!trimmedMsg) {
+            socket.emit('messageError', { reason: 'empty_message', message: 'Empty message' });
+            return;
+         }
+
+         let parent = null;
+         if (payload.replyTo !== undefined && payload.replyTo !== null) {
+            parent = await Message.findById(parseInt(payload.replyTo, 10) || 0);
+            if (!parent || parent.is_deleted || parent.room_id !== user.roomId) {
+               socket.emit('messageError', { reason: 'invalid_reply', message: 'The message you replied to is gone' });
+               return;
+            }
+         }
+
+         const result = await postRoomMessage(user, { text: trimmedMsg, attachment, parent });
+         if (!result.success) {
+            socket.emit('messageError', { reason: result.reason, message: result.message, mutedUntil: result.mutedUntil });
+         }
+      } catch (error) {
+         console.error('Error handling chat message:', error);
+         socket.emit('messageError', { reason: 'server_error', message: 'Failed to send message' });
+      }
+   });
+
+   socket.on('editMessage', async (payload) => {
+      const { messageId, text } = payload || {};
+      try {
+         if (!(await withinFloodLimit(socket, 'message'))) {
+            return;
+         }
+
+         const result = await editMessage(socket.data.userId, parseInt(messageId, 10), text);
+         if (!result.success) {
+            socket.emit('messageError', { reason: result.reason, message: result.message, mutedUntil: result.mutedUntil });
+         }
+      } catch (error) {
+         console.error('Error editing message:', error);
+         socket.emit('messageError', { reason: 'server_error', message: 'Failed to edit message' });
+      }
+   });
+
+   socket.on('deleteMessage', async (payload) => {
+      const { messageId } = payload || {};
+      try {
+         const result = await deleteMessage(socket.data.userId, parseInt(messageId, 10));
+         if (!result.success) {
+            socket.emit('messageError', { reason: result.reason, message: result.message });
+         }
+      } catch (error) {
+         console.error('Error deleting message:', error);
+         socket.emit('messageError', { reason: 'server_error', message: 'Failed to delete message' });
+      }
+   });
+
+   socket.on('restoreMessage', async (payload) => {
+      const { messageId } = payload || {};
+      try {
+         const result = await restoreMessage(socket.data.userId, parseInt(messageId, 10));
+         if (!result.success) {
+            socket.emit('messageError', { reason: result.reason, message: result.message });
+         }
+      } catch (error) {
+         console.error('Error restoring message:', error);
+         socket.emit('messageError', { reason: 'server_error', message: 'Failed to restore message' });
+      }
+   });
+
+   // Report the last message read in the current room
+   socket.on('markRead', async (payload) => {
+      const { messageId } = payload || {};
+      try {
+         const user = getCurrentUser(socket.id);
+         const message = user ? await Message.findById(parseInt(messageId, 10) || 0) : null;
+         if (!message || message.room_id !== user.roomId) {
+            return;
+         }
+
+         const lastReadMessageId = await ReadReceipt.markRead(user.roomId, user.id, message.id);
+
+         // Clear the badge in the user's other tabs
+         await emitToUser(user.id, 'roomRead', { room: user.room, lastReadMessageId });
+
+         const room = await Room.findById(user.roomId);
+         if (room && room.read_receipts) {
+            socket.to(user.room).emit('readReceipt', {
+               room: user.room,
+               userId: user.id,
+               username: user.username,
+               displayName: user.displayName,
+               lastReadMessageId
+            });
+         }
+      } catch (error) {
+         console.error('Error marking room read:', error);
+      }
+   });
+
+   socket.on('addReaction', async (payload) => {
+      const { messageId, emoji } = payload || {};
+      try {
+         const result = await reactToMessage(socket.data.userId, parseInt(messageId, 10), emoji, true);
+         if (!result.success) {
+            socket.emit('messageError', { reason: result.reason, message: result.message });
+         }
+      } catch (error) {
+         console.error('Error adding reaction:', error);
+         socket.emit('messageError', { reason: 'server_error', message: 'Failed to add reaction' });
+      }
+   });
+
+   socket.on('removeReaction', async (payload) => {
+      const { messageId, emoji } = payload || {};
+      try {
+         const result = await reactToMessage(socket.data.userId, parseInt(messageId, 10), emoji, false);
+         if (!result.success) {
+            socket.emit('messageError', { reason: result.reason, message: result.message });
+         }
+      } catch (error) {
+         console.error('Error removing reaction:', error);
+         socket.emit('messageError', { reason: 'server_error', message: 'Failed to remove reaction' });
+      }
+   });
+
+   socket.on('directMessage', async (payload) => {
+      const { toUserId, text } = payload || {};
+      try {
+         if (!(await withinFloodLimit(socket, 'message'))) {
+            return;
+         }
+
+         const result = await sendDirectMessage(socket.data.userId, parseInt(toUserId, 10), text);
+         if (!result.success) {
+            socket.emit('messageError', { reason: result.reason, message: result.message });
+         }
+      } catch (error) {
+         console.error('Error sending direct message:', error);
+         socket.emit('messageError', { reason: 'server_error', message: 'Failed to send direct message' });
+      }
+   });
+
+   socket.on('markDmRead', async (payload) => {
+      const { userId, messageId } = payload || {};
+      try {
+         await markDirectMessagesRead(socket.data.userId, parseInt(userId, 10), parseInt(messageId, 10));
+      } catch (error) {
+         console.error('Error marking direct messages read:', error);
+      }
+   });
+
+   // Room admins moderate users in their current room
+   socket.on('moderate', async (payload) => {
+      const { action, userId, username, durationMinutes, reason } = payload || {};
+      try {
+         const user = getCurrentUser(socket.id);
+         if (!user) {
+            socket.emit('moderationResult', { success: false, message: 'Join a room first' });
+            return;
+         }
+
+         const room = await Room.findById(user.roomId);
+         if (!room) {
+            socket.emit('moderationResult', { success: false, message: 'Room not found' });
+            return;
+         }
+
+         let targetUserId = parseInt(userId, 10);
+         if (!Number.isInteger(targetUserId) && username) {
+            const target = await User.findByUsername(username);
+            targetUserId = target ? target.id : null;
+         }
+
+         const result = await moderateUser(room, user.id, { action, targetUserId, durationMinutes, reason });
+         socket.emit('moderationResult', { success: result.success, message: result.message });
+      } catch (error) {
+         console.error('Error handling moderation:', error);
+         socket.emit('moderationResult', { success: false, message: 'Failed to apply moderation action' });
+      }
+   });
+
+   socket.on('typing', async () => {
+      try {
+         const user = getCurrentUser(socket.id);
+         if (user && await withinFloodLimit(socket, 'typing', user.room)) {
+            socket.data.isTyping = true;
+            socket.to(user.room).emit('typing', {
+               username: user.username,
+               isTyping: true
+            });
+         }
+      } catch (error) {
+         console.error('Error handling typing:', error);
+      }
+   });
+
+   // Only relayed after a typing event got through, so it needs no limit of its own
+   socket.on('stopTyping', () => {
+      try {
+         const user = getCurrentUser(socket.id);
+         if (user && socket.data.isTyping) {
+            socket.data.isTyping = false;
+            socket.to(user.room).emit('typing', {
+               username: user.username,
+               isTyping: false
+            });
+         }
+      } catch (error) {
+         console.error('Error handling stop typing:', error);
+      }
+   });
+
+   socket.on('disconnect', async (reason) => {
+      try {
+         await removeFromWaitlist(socket.id);
+
+         // A socket in a room that dropped out (rather than disconnecting on
+         // purpose, e.g. logging out) keeps its place and presence for a grace
+         // period in case the client reconnects and resumes
+         const userId = socket.data.userId;
+         const dropped = reason !== 'client namespace disconnect' && reason !== 'server namespace disconnect';
+         const held = dropped && await holdForResume(socket.id, () => {
+            releaseSocket(socket.id, userId).catch(error => console.error('Error releasing socket:', error));
+         });
+
+         if (!held) {
+            await releaseSocket(socket.id, userId);
+         }
+      } catch (error) {
+         console.error('Error handling disconnect:', error);
+      }
+   });
+});
+
+// Retention: hard-purge soft-deleted messages after MESSAGE_RETENTION_DAYS
+const MESSAGE_RETENTION_DAYS = parseInt(process.env.MESSAGE_RETENTION_DAYS) || 30;
+async function purgeDeletedMessages() {
+   try {
+      const purged = await Message.purgeDeleted(MESSAGE_RETENTION_DAYS);
+      if (purged > 0) {
+         console.log(`🧹 Purged ${purged} deleted messages older than ${MESSAGE_RETENTION_DAYS} days`);
+      }
+   } catch (error) {
+      console.error('Error purging deleted messages:', error);
+   }
+}
+// Once shortly after startup, so restarts don't keep putting it off, then daily
+setTimeout(purgeDeletedMessages, 60 * 1000);
+setInterval(purgeDeletedMessages, 24 * 60 * 60 * 1000); // Every day
+
+// Bot tasks: every minute, run the tasks that are due in each room their bot is on in
+let botMinute = 0;
+setInterval(async () => {
+   botMinute++;
+   if (!isBotLeader) {
+      return;
+   }
+
+   for (const bot of listBots()) {
+      const dueTasks = bot.tasks.filter(task => botMinute % task.everyMinutes === 0);
+      if (!bot.userId || dueTasks.length === 0) {
+         continue;
+      }
+
+      try {
+         const settingsByRoom = await Bot.getSettingsByRoom(bot.userId);
+         const rooms = (await Room.findAll()).filter(room => isBotEnabled(bot, settingsByRoom.get(room.id) || null));
+
+         for (const room of rooms) {
+            for (const task of dueTasks) {
+               try {
+                  await task.run.call(bot, botContext(bot, room, settingsByRoom.get(room.id) || null));
+               } catch (error) {
+                  console.error(`Error running ${bot.username} task in ${room.name}:`, error);
+               }
+            }
+         }
+      } catch (error) {
+         console.error(`Error scheduling ${bot.username} tasks:`, error);
+      }
+   }
+}, 60 * 1000); // Every minute
+
+// Flood protection: forget refilled buckets and old offences
+setInterval(() => {
+   pruneFloodState().catch(error => console.error('Error pruning flood state:', error));
+}, 10 * 60 * 1000); // Every 10 minutes
+
+// Presence: settle users still marked online or away with no live sockets,
+// e.g. after a restart or an instance crashing
+setInterval(async () => {
+   try {
+      for (const userId of await User.findPresentIds()) {
+         await announcePresence(userId, refreshPresence(userId));
+      }
+   } catch (error) {
+      console.error('Error sweeping presence:', error);
+   }
+}, 5 * 60 * 1000); // Every 5 minutes
+
+// Outgoing webhooks: retry failed deliveries whose backoff has passed
+let retryingWebhooks = false;
+setInterval(async () => {
+   if (retryingWebhooks) {
+      return;
+   }
+
+   retryingWebhooks = true;
+   try {
+      for (const deliveryId of await Webhook.getDueDeliveryIds()) {
+         // Another instance may have picked it up first
+         if (await Webhook.claimDelivery(deliveryId)) {
+            await attemptWebhookDelivery(deliveryId);
+         }
+      }
+   } catch (error) {
+      console.error('Error retrying webhook deliveries:', error);
+   } finally {
+      retryingWebhooks = false;
+   }
+}, 60 * 1000); // Every minute
+
+// Health check endpoint for Railway
+app.get('/health', (req, res) => {
+   res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+const PORT = process.env.PORT || 3000;
+server.listen(PORT, '0.0.0.0', () => {
    console.log(`🚀 ChatBud Server is running on PORT: ${PORT}`);
    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
    console.log(`🕐 Timezone: ${process.env.DEFAULT_TIMEZONE || 'Asia/Dhaka'}`);
@@ -418,7 +3278,14 @@ server.listen(PORT, '0.0.0.0', () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
    console.log('🔄 SIGTERM received, shutting down gracefully...');
-   server.close(() => {
+   server.close(async () => {
+      // Lets other instances drop this one's sockets straight away
+      try {
+         await getPresence().close();
+      } catch (error) {
+         console.error('Error closing presence:', error);
+      }
+
       console.log('✅ Server closed');
       process.exit(0);
    });
@@ -0,0 +1,92 @@
+// Runs one poll at a time per room:
+//   "@PollBot Lunch? | Pizza | Sushi"  start a poll
+//   "@PollBot vote 2"                  vote (again to change your vote)
+//   "@PollBot results"                 show the tally
+//   "@PollBot close"                   close it early (whoever started it)
+// Polls close on their own after closeAfterMinutes. Open polls are kept in memory.
+
+function tally(poll) {
+   const counts = poll.options.map(() => 0);
+   poll.votes.forEach(option => counts[option]++);
+
+   const lines = poll.options.map((option, index) => `${index + 1}. ${option}: ${counts[index]}`);
+   return `📊 ${poll.question} ${lines.join(' · ')} (${poll.votes.size} vote${poll.votes.size === 1 ? '' : 's'})`;
+}
+
+module.exports = {
+   username: 'PollBot',
+   displayName: 'Poll Bot',
+   description: 'Quick polls: "@PollBot Lunch? | Pizza | Sushi"',
+   enabledByDefault: false,
+   defaultConfig: {
+      maxOptions: 10,
+      closeAfterMinutes: 60
+   },
+
+   async onMention(ctx, message) {
+      const body = message.text.replace(new RegExp(`@${this.username}\\b`, 'gi'), '').trim();
+      const poll = ctx.state.poll;
+
+      const vote = body.match(/^vote\s+(\d+)$/i);
+      if (vote) {
+         const option = parseInt(vote[1], 10) - 1;
+         if (!poll) {
+            return ctx.reply('There is no open poll');
+         }
+         if (option < 0 || option >= poll.options.length) {
+            return ctx.reply(`Pick an option from 1 to ${poll.options.length}`);
+         }
+         poll.votes.set(message.user.id, option);
+         return;
+      }
+
+      if (/^results?$/i.test(body)) {
+         return ctx.reply(poll ? tally(poll) : 'There is no open poll');
+      }
+
+      if (/^(close|end)$/i.test(body)) {
+         if (!poll) {
+            return ctx.reply('There is no open poll');
+         }
+         if (poll.createdBy !== message.user.id) {
+            return ctx.reply('Only the person who started the poll can close it');
+         }
+         ctx.state.poll = null;
+         return ctx.say(`Poll closed. ${tally(poll)}`);
+      }
+
+      const [question, ...options] = body.split('|').map(part => part.trim());
+      const choices = options.filter(Boolean);
+      if (!question || choices.length < 2) {
+         return ctx.reply(`Start a poll with "@${this.username} Question? | Option 1 | Option 2", then "vote 1", "results" or "close"`);
+      }
+      if (choices.length > ctx.config.maxOptions) {
+         return ctx.reply(`Polls can have at most ${ctx.config.maxOptions} options`);
+      }
+      if (poll) {
+         return ctx.reply(`A poll is already open: ${poll.question}`);
+      }
+
+      ctx.state.poll = {
+         question,
+         options: choices,
+         votes: new Map(), // userId -> option index
+         createdBy: message.user.id,
+         closesAt: Date.now() + ctx.config.closeAfterMinutes * 60 * 1000
+      };
+
+      const list = choices.map((choice, index) => `${index + 1}. ${choice}`).join(' · ');
+      await ctx.say(`📊 ${message.user.username} asks: ${question} ${list}. Vote with "@${this.username} vote <number>"`);
+   },
+
+   tasks: [{
+      everyMinutes: 1,
+      async run(ctx) {
+         const poll = ctx.state.poll;
+         if (poll && poll.closesAt <= Date.now()) {
+            ctx.state.poll = null;
+            await ctx.say(`Poll closed. ${tally(poll)}`);
+         }
+      }
+   }]
+};
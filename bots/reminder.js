@@ -0,0 +1,58 @@
+const MAX_MINUTES = 7 * 24 * 60;
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+
+// "in 10m stand-up", "in 2 hours deploy window", "in 1d renew the certificate"
+const REMINDER_PATTERN = /\bin\s+(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?)\b\s*([\s\S]*)$/i;
+
+// Reminds people in the room: "@ReminderBot in 10m stand-up". Pending
+// reminders are kept in memory, so a restart drops them.
+module.exports = {
+   username: 'ReminderBot',
+   displayName: 'Reminder Bot',
+   description: 'Posts reminders: "@ReminderBot in 10m stand-up"',
+   enabledByDefault: false,
+   defaultConfig: {
+      maxPerUser: 5
+   },
+
+   async onMention(ctx, message) {
+      const match = message.text.match(REMINDER_PATTERN);
+      if (!match) {
+         return ctx.reply(`Tell me when: "@${this.username} in 10m stand-up" (m, h or d, up to 7 days)`);
+      }
+
+      const amount = parseInt(match[1], 10);
+      const minutes = amount * UNIT_MINUTES[match[2][0].toLowerCase()];
+      if (minutes < 1 || minutes > MAX_MINUTES) {
+         return ctx.reply('Reminders can be set from 1 minute to 7 days ahead');
+      }
+
+      ctx.state.reminders = ctx.state.reminders || [];
+      const pending = ctx.state.reminders.filter(reminder => reminder.userId === message.user.id);
+      if (pending.length >= ctx.config.maxPerUser) {
+         return ctx.reply(`You already have ${pending.length} reminders pending here`);
+      }
+
+      ctx.state.reminders.push({
+         dueAt: Date.now() + minutes * 60 * 1000,
+         userId: message.user.id,
+         username: message.user.username,
+         text: match[3].trim() || 'you asked me to remind you'
+      });
+
+      await ctx.reply(`OK, I'll remind you in ${amount}${match[2][0].toLowerCase()}`);
+   },
+
+   tasks: [{
+      everyMinutes: 1,
+      async run(ctx) {
+         const now = Date.now();
+         const reminders = ctx.state.reminders || [];
+         ctx.state.reminders = reminders.filter(reminder => reminder.dueAt > now);
+
+         for (const reminder of reminders.filter(reminder => reminder.dueAt <= now)) {
+            await ctx.say(`⏰ @${reminder.username}: ${reminder.text}`);
+         }
+      }
+   }]
+};
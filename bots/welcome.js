@@ -0,0 +1,40 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fill {user} and {room} in a configured message
+function fill(template, room, member) {
+   return template
+      .replace(/\{user\}/g, member.displayName || member.username)
+      .replace(/\{room\}/g, room.name);
+}
+
+// Greets people as they join and repeats the room rules when asked ("@WelcomeBot rules")
+module.exports = {
+   username: 'WelcomeBot',
+   displayName: 'Welcome Bot',
+   description: 'Greets people who join and posts the room rules',
+   enabledByDefault: false,
+   defaultConfig: {
+      greeting: 'Welcome to {room}, {user}! 👋',
+      rules: '',
+      greetAgainAfterHours: 24
+   },
+
+   async onJoin(ctx, member) {
+      // Every tab and reconnect is a join; only greet someone once in a while
+      ctx.state.greeted = ctx.state.greeted || new Map();
+      const lastGreeted = ctx.state.greeted.get(member.id);
+      if (lastGreeted && Date.now() - lastGreeted < ctx.config.greetAgainAfterHours * HOUR_MS) {
+         return;
+      }
+      ctx.state.greeted.set(member.id, Date.now());
+
+      const greeting = fill(ctx.config.greeting, ctx.room, member);
+      await ctx.say(ctx.config.rules ? `${greeting} Please read the room rules: ${ctx.config.rules}` : greeting);
+   },
+
+   async onMention(ctx, message) {
+      if (/\brules\b/i.test(message.text)) {
+         await ctx.reply(ctx.config.rules ? `Room rules: ${ctx.config.rules}` : 'This room has no rules yet.');
+      }
+   }
+};
@@ -0,0 +1,44 @@
+// /bot [on|off|set] ...: list the room's bots or change one (room admins)
+module.exports = {
+   name: 'bot',
+   aliases: ['bots'],
+   usage: '/bot [on|off <bot>] [set <bot> <setting> <value>]',
+   description: 'List bots in this room, switch them on or off, or change a setting',
+   permission: 'admin',
+   async execute(ctx) {
+      const { Bot, listBots, formatBot, configureBot } = ctx.services;
+      const [action, botName, key] = ctx.args;
+
+      if (!action || action === 'list') {
+         const lines = [];
+         for (const bot of listBots().filter(bot => bot.userId)) {
+            const { enabled, config } = formatBot(bot, await Bot.getRoomSettings(bot.userId, ctx.room.id));
+            const settings = Object.entries(config).map(([name, value]) => `${name}=${JSON.stringify(value)}`).join(', ');
+            lines.push(`${bot.username} (${enabled ? 'on' : 'off'}): ${bot.description || ''}${settings ? ` [${settings}]` : ''}`);
+         }
+         return ctx.reply(lines.length ? lines.join('\n') : 'No bots are installed');
+      }
+
+      let changes;
+      if ((action === 'on' || action === 'off') && botName) {
+         changes = { enabled: action === 'on' };
+      } else if (action === 'set' && botName && key) {
+         // The value is everything after the setting name, typed like the bot's default
+         const bot = listBots().find(bot => bot.username.toLowerCase() === botName.toLowerCase());
+         const raw = ctx.argText.split(/\s+/).slice(3).join(' ');
+         const current = bot && bot.defaultConfig ? bot.defaultConfig[key] : undefined;
+         let value = raw;
+         if (typeof current === 'number') {
+            value = Number(raw);
+         } else if (typeof current === 'boolean') {
+            value = raw === 'true' ? true : raw === 'false' ? false : raw;
+         }
+         changes = { config: { [key]: value } };
+      } else {
+         return ctx.reply(`Usage: ${this.usage}`);
+      }
+
+      const result = await configureBot(ctx.room, ctx.user.id, botName, changes);
+      ctx.reply(result.message);
+   }
+};
@@ -0,0 +1,16 @@
+// /help: list the commands the caller may use here
+module.exports = {
+   name: 'help',
+   aliases: ['commands'],
+   usage: '/help',
+   description: 'List available commands',
+   permission: 'everyone',
+   async execute(ctx) {
+      const { listCommands, isAllowed } = ctx.services;
+      const lines = listCommands()
+         .filter(command => isAllowed(command, ctx.roles))
+         .map(command => `${command.usage || `/${command.name}`}: ${command.description || ''}`);
+
+      ctx.reply(['Available commands:', ...lines, 'Start a message with // to send it as text.'].join('\n'));
+   }
+};
@@ -0,0 +1,24 @@
+// /invite <username>: add a user to a private room and let them know about it
+module.exports = {
+   name: 'invite',
+   usage: '/invite <username>',
+   description: 'Invite a user to this room',
+   permission: 'admin',
+   async execute(ctx) {
+      const target = await ctx.findUser(ctx.args[0]);
+      if (!target) {
+         return ctx.reply(`Usage: ${this.usage}`);
+      }
+
+      if (ctx.room.is_private) {
+         await ctx.services.Room.addMember(ctx.room.id, target.id);
+      }
+
+      await ctx.services.emitToUser(target.id, 'roomInvitation', {
+         room: ctx.room.name,
+         from: { id: ctx.user.id, username: ctx.user.username }
+      });
+
+      ctx.reply(`Invited ${target.username} to ${ctx.room.name}`);
+   }
+};
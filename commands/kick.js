@@ -0,0 +1,20 @@
+// /kick <username> [reason]: remove a user from this room
+module.exports = {
+   name: 'kick',
+   usage: '/kick <username> [reason]',
+   description: 'Remove a user from this room',
+   permission: 'admin',
+   async execute(ctx) {
+      const target = await ctx.findUser(ctx.args[0]);
+      if (!target) {
+         return ctx.reply(`Usage: ${this.usage}`);
+      }
+
+      const result = await ctx.services.moderateUser(ctx.room, ctx.user.id, {
+         action: 'kick',
+         targetUserId: target.id,
+         reason: ctx.args.slice(1).join(' ') || null
+      });
+      ctx.reply(result.message);
+   }
+};
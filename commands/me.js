@@ -0,0 +1,15 @@
+// /me <action>: post an action in the third person, e.g. "* alice waves"
+module.exports = {
+   name: 'me',
+   usage: '/me <action>',
+   description: 'Describe what you are doing',
+   permission: 'everyone',
+   async execute(ctx) {
+      if (!ctx.argText) {
+         return ctx.reply(`Usage: ${this.usage}`);
+      }
+
+      const name = ctx.user.displayName || ctx.user.username;
+      await ctx.post(`* ${name} ${ctx.argText}`);
+   }
+};
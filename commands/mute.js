@@ -0,0 +1,25 @@
+// /mute <username> [minutes] [reason]: mute a user in this room
+module.exports = {
+   name: 'mute',
+   usage: '/mute <username> [minutes] [reason]',
+   description: 'Mute a user in this room',
+   permission: 'admin',
+   async execute(ctx) {
+      const target = await ctx.findUser(ctx.args[0]);
+      if (!target) {
+         return ctx.reply(`Usage: ${this.usage}`);
+      }
+
+      // An optional duration comes straight after the name
+      const hasMinutes = /^\d+$/.test(ctx.args[1] || '');
+      const reason = ctx.args.slice(hasMinutes ? 2 : 1).join(' ') || null;
+
+      const result = await ctx.services.moderateUser(ctx.room, ctx.user.id, {
+         action: 'mute',
+         targetUserId: target.id,
+         durationMinutes: hasMinutes ? ctx.args[1] : null,
+         reason
+      });
+      ctx.reply(result.message);
+   }
+};
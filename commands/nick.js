@@ -0,0 +1,23 @@
+const { validateProfileInput } = require('../utils/profiles');
+
+// /nick [name]: set (or with no name, clear) your display name
+module.exports = {
+   name: 'nick',
+   usage: '/nick [display name]',
+   description: 'Change your display name',
+   permission: 'everyone',
+   async execute(ctx) {
+      const { error, values } = validateProfileInput({ displayName: ctx.argText });
+      if (error) {
+         return ctx.reply(error);
+      }
+
+      const { User } = ctx.services;
+      await User.updateProfile(ctx.user.id, values);
+      await ctx.services.broadcastProfileChange(await User.findById(ctx.user.id));
+
+      ctx.reply(values.displayName
+         ? `Your display name is now ${values.displayName}`
+         : 'Your display name has been cleared');
+   }
+};
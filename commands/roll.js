@@ -0,0 +1,25 @@
+const MAX_DICE = 20;
+const MAX_SIDES = 1000;
+
+// /roll [NdM]: roll N dice with M sides (default 1d6) and post the result
+module.exports = {
+   name: 'roll',
+   usage: '/roll [NdM]',
+   description: 'Roll dice, e.g. /roll 2d20',
+   permission: 'everyone',
+   async execute(ctx) {
+      const match = (ctx.args[0] || '1d6').match(/^(\d*)d(\d+)$/i);
+      const count = match ? parseInt(match[1] || '1', 10) : 0;
+      const sides = match ? parseInt(match[2], 10) : 0;
+
+      if (count < 1 || count > MAX_DICE || sides < 2 || sides > MAX_SIDES) {
+         return ctx.reply(`Usage: ${this.usage} with up to ${MAX_DICE} dice of 2-${MAX_SIDES} sides`);
+      }
+
+      const rolls = Array.from({ length: count }, () => 1 + Math.floor(Math.random() * sides));
+      const total = rolls.reduce((sum, roll) => sum + roll, 0);
+      const detail = count > 1 ? `${rolls.join(' + ')} = ${total}` : `${total}`;
+
+      await ctx.post(`🎲 rolled ${count}d${sides}: ${detail}`);
+   }
+};
@@ -0,0 +1,10 @@
+// /shrug [text]: append a shrug to an optional message
+module.exports = {
+   name: 'shrug',
+   usage: '/shrug [message]',
+   description: 'Send a message with ¯\\_(ツ)_/¯',
+   permission: 'everyone',
+   async execute(ctx) {
+      await ctx.post(ctx.argText ? `${ctx.argText} ¯\\_(ツ)_/¯` : '¯\\_(ツ)_/¯');
+   }
+};
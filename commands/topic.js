@@ -0,0 +1,21 @@
+// /topic [text]: show the room topic (its description); room admins can change it
+module.exports = {
+   name: 'topic',
+   usage: '/topic [new topic]',
+   description: 'Show or (room admins) change the room topic',
+   permission: 'everyone',
+   async execute(ctx) {
+      if (!ctx.argText) {
+         return ctx.reply(ctx.room.description
+            ? `Topic: ${ctx.room.description}`
+            : 'This room has no topic');
+      }
+
+      if (!ctx.roles.isAdmin) {
+         return ctx.reply('Only room admins can change the topic');
+      }
+
+      await ctx.services.Room.update(ctx.room.id, { description: ctx.argText });
+      ctx.announce(`${ctx.user.username} changed the topic to: ${ctx.argText}`);
+   }
+};
@@ -0,0 +1,12 @@
+-- Guests used to be stored as ordinary accounts with a made-up "@guest.temp"
+-- email and the shared password "temporary123", so anyone could log in as
+-- them. Turn those rows into expired guests: they can no longer log in, any
+-- session still using them is refused, and the hourly guest cleanup removes them.
+USE chatbud_db;
+
+UPDATE users
+SET is_guest = TRUE,
+    guest_expires_at = NOW(),
+    email = NULL,
+    password_hash = NULL
+WHERE email LIKE '%@guest.temp';
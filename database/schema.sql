@@ -6,17 +6,25 @@ USE chatbud_db;
 CREATE TABLE users (
     id INT PRIMARY KEY AUTO_INCREMENT,
     username VARCHAR(50) UNIQUE NOT NULL,
-    email VARCHAR(100) UNIQUE NOT NULL,
-    password_hash VARCHAR(255) NOT NULL,
+    email VARCHAR(100) UNIQUE DEFAULT NULL,
+    password_hash VARCHAR(255) DEFAULT NULL,
     avatar_url VARCHAR(255) DEFAULT NULL,
+    display_name VARCHAR(50) DEFAULT NULL,
+    bio VARCHAR(500) DEFAULT NULL,
+    status_text VARCHAR(100) DEFAULT NULL,
     is_online BOOLEAN DEFAULT FALSE,
+    presence ENUM('online', 'away', 'offline') NOT NULL DEFAULT 'offline',
+    is_guest BOOLEAN DEFAULT FALSE,
+    is_bot BOOLEAN DEFAULT FALSE,
+    guest_expires_at TIMESTAMP NULL DEFAULT NULL,
     last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     INDEX idx_username (username),
     INDEX idx_email (email),
-    INDEX idx_is_online (is_online)
+    INDEX idx_is_online (is_online),
+    INDEX idx_guest_expires (is_guest, guest_expires_at)
 );
 
 -- Rooms table
@@ -26,6 +34,8 @@ CREATE TABLE rooms (
     description TEXT,
     max_users INT DEFAULT 50,
     is_private BOOLEAN DEFAULT FALSE,
+    is_archived BOOLEAN DEFAULT FALSE,
+    read_receipts BOOLEAN DEFAULT TRUE,
     created_by INT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
@@ -33,6 +43,25 @@ CREATE TABLE rooms (
     INDEX idx_name (name)
 );
 
+-- Uploaded files; the bytes live in attachment storage under storage_key
+CREATE TABLE attachments (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    uploaded_by INT NOT NULL,
+    room_id INT NOT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INT NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    thumbnail_key VARCHAR(255) DEFAULT NULL,
+    width INT DEFAULT NULL,
+    height INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    INDEX idx_room_id (room_id)
+);
+
 -- Messages table with full text search
 CREATE TABLE messages (
     id INT PRIMARY KEY AUTO_INCREMENT,
@@ -43,15 +72,55 @@ CREATE TABLE messages (
     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     edited_at TIMESTAMP NULL,
     is_deleted BOOLEAN DEFAULT FALSE,
+    deleted_at TIMESTAMP NULL DEFAULT NULL,
+    deleted_by INT DEFAULT NULL,
+    attachment_id INT DEFAULT NULL,
+    reply_to_id INT DEFAULT NULL,
+    thread_id INT DEFAULT NULL,
     
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    FOREIGN KEY (attachment_id) REFERENCES attachments(id) ON DELETE SET NULL,
+    FOREIGN KEY (reply_to_id) REFERENCES messages(id) ON DELETE SET NULL,
+    FOREIGN KEY (thread_id) REFERENCES messages(id) ON DELETE SET NULL,
     
     INDEX idx_room_timestamp (room_id, timestamp),
     INDEX idx_user_id (user_id),
+    INDEX idx_deleted (is_deleted, deleted_at),
+    INDEX idx_thread_id (thread_id, id),
     FULLTEXT(message)
 );
 
+-- Emoji reactions, one row per message, user and emoji
+CREATE TABLE message_reactions (
+    message_id INT NOT NULL,
+    user_id INT NOT NULL,
+    emoji VARCHAR(32) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (message_id, user_id, emoji),
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_message_emoji (message_id, emoji)
+);
+
+-- Users notified by a message: @username, @room or @here
+CREATE TABLE mentions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    message_id INT NOT NULL,
+    room_id INT NOT NULL,
+    user_id INT NOT NULL,
+    kind ENUM('user', 'room', 'here') DEFAULT 'user',
+    is_read BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE KEY unique_message_user (message_id, user_id),
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_read (user_id, is_read, id)
+);
+
 -- User room memberships
 CREATE TABLE user_rooms (
     user_id INT,
@@ -65,17 +134,229 @@ CREATE TABLE user_rooms (
     FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
 );
 
--- Active sessions for tracking online users
+-- Invite codes for private rooms
+CREATE TABLE room_invites (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    room_id INT NOT NULL,
+    code VARCHAR(64) UNIQUE NOT NULL,
+    created_by INT,
+    max_uses INT DEFAULT NULL,
+    use_count INT DEFAULT 0,
+    expires_at TIMESTAMP NULL DEFAULT NULL,
+    revoked_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_room_id (room_id)
+);
+
+-- Room bans (kept apart from user_rooms so a ban never grants membership)
+CREATE TABLE room_bans (
+    room_id INT NOT NULL,
+    user_id INT NOT NULL,
+    banned_by INT,
+    reason VARCHAR(255),
+    expires_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (room_id, user_id),
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (banned_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Room mutes (kept apart from user_rooms so a mute never grants membership)
+CREATE TABLE room_mutes (
+    room_id INT NOT NULL,
+    user_id INT NOT NULL,
+    muted_by INT,
+    muted_until TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (room_id, user_id),
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (muted_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Last message each user has read in each room (public rooms need no membership)
+CREATE TABLE room_read_state (
+    user_id INT NOT NULL,
+    room_id INT NOT NULL,
+    last_read_message_id INT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (user_id, room_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    INDEX idx_room_id (room_id)
+);
+
+-- Which bots are switched on in each room, and their per-room settings.
+-- A room with no row uses the bot's defaults.
+CREATE TABLE bot_room_settings (
+    bot_user_id INT NOT NULL,
+    room_id INT NOT NULL,
+    is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    config JSON DEFAULT NULL,
+    updated_by INT DEFAULT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (bot_user_id, room_id),
+    FOREIGN KEY (bot_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Incoming webhooks: integrations that post into a room through a secret URL.
+-- Each posts as its own bot user; only a hash of the token is kept.
+CREATE TABLE incoming_webhooks (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    room_id INT NOT NULL,
+    user_id INT NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NULL DEFAULT NULL,
+    
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_room_id (room_id)
+);
+
+-- Outgoing webhooks: URLs that receive a signed POST for each new room message
+CREATE TABLE outgoing_webhooks (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    room_id INT NOT NULL,
+    url VARCHAR(500) NOT NULL,
+    secret CHAR(64) NOT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_room_id (room_id)
+);
+
+-- Delivery log and retry queue for outgoing webhooks
+CREATE TABLE webhook_deliveries (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    webhook_id INT NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    payload JSON NOT NULL,
+    status ENUM('pending', 'delivered', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    response_status INT DEFAULT NULL,
+    last_error VARCHAR(255) DEFAULT NULL,
+    next_attempt_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (webhook_id) REFERENCES outgoing_webhooks(id) ON DELETE CASCADE,
+    INDEX idx_webhook_created (webhook_id, created_at),
+    INDEX idx_pending (status, next_attempt_at)
+);
+
+-- Audit log of moderation actions
+CREATE TABLE moderation_log (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    room_id INT NOT NULL,
+    moderator_id INT,
+    target_user_id INT,
+    action ENUM('mute', 'unmute', 'kick', 'ban', 'unban') NOT NULL,
+    reason VARCHAR(255),
+    duration_minutes INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    FOREIGN KEY (moderator_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_room_created (room_id, created_at)
+);
+
+-- Per-room settings for message filters. A room with no row for a filter
+-- uses the filter's defaults.
+CREATE TABLE room_filter_settings (
+    room_id INT NOT NULL,
+    filter_name VARCHAR(50) NOT NULL,
+    is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    config JSON DEFAULT NULL,
+    updated_by INT DEFAULT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (room_id, filter_name),
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Messages flagged by filters, queued for room admins to review.
+-- filters is a comma-separated list of the filters that flagged it.
+CREATE TABLE flagged_messages (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    message_id INT NOT NULL UNIQUE,
+    room_id INT NOT NULL,
+    user_id INT NOT NULL,
+    filters VARCHAR(255) NOT NULL,
+    reason VARCHAR(255),
+    status ENUM('pending', 'dismissed', 'removed') NOT NULL DEFAULT 'pending',
+    reviewed_by INT DEFAULT NULL,
+    reviewed_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_room_status (room_id, status, created_at)
+);
+
+-- One-to-one direct conversations (user_a_id is always the smaller user ID)
+CREATE TABLE dm_conversations (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_a_id INT NOT NULL,
+    user_b_id INT NOT NULL,
+    user_a_last_read_id INT DEFAULT 0,
+    user_b_last_read_id INT DEFAULT 0,
+    last_message_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE KEY uniq_pair (user_a_id, user_b_id),
+    FOREIGN KEY (user_a_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_b_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_b (user_b_id)
+);
+
+-- Direct messages
+CREATE TABLE dm_messages (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    conversation_id INT NOT NULL,
+    sender_id INT NOT NULL,
+    message TEXT NOT NULL,
+    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_deleted BOOLEAN DEFAULT FALSE,
+    
+    FOREIGN KEY (conversation_id) REFERENCES dm_conversations(id) ON DELETE CASCADE,
+    FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_conversation_id (conversation_id, id)
+);
+
+-- Active sessions for tracking online users, one row per socket (every tab
+-- of a browser shares the express session ID)
 CREATE TABLE active_sessions (
-    session_id VARCHAR(255) PRIMARY KEY,
+    socket_id VARCHAR(255) PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,
     user_id INT NOT NULL,
-    socket_id VARCHAR(255),
     room_name VARCHAR(100),
     ip_address VARCHAR(45),
     user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     last_activity TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_session_id (session_id),
     INDEX idx_user_id (user_id),
     INDEX idx_last_activity (last_activity)
 );
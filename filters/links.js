@@ -0,0 +1,83 @@
+const { getPresence } = require('../utils/presence');
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+
+function hostOf(link) {
+   try {
+      return new URL(/^www\./i.test(link) ? `http://${link}` : link).hostname.toLowerCase();
+   } catch (error) {
+      return '';
+   }
+}
+
+// Whether a host is one of the allowed domains or a subdomain of one
+function isAllowed(host, domains) {
+   return domains.some(domain => {
+      const allowed = domain.trim().toLowerCase();
+      return allowed && (host === allowed || host.endsWith(`.${allowed}`));
+   });
+}
+
+// Links in a message that aren't on the room's allowed domains
+function linksIn(ctx) {
+   return (ctx.text.match(LINK_PATTERN) || [])
+      .filter(link => !isAllowed(hostOf(link), ctx.config.allowedDomains));
+}
+
+function historyKey(ctx) {
+   return `filter:links:${ctx.room.name}:${ctx.user.id}`;
+}
+
+// Catches messages stuffed with links and people posting links faster than a
+// person reasonably would. Links posted per user and room live in the presence
+// backend, so every instance sees them.
+module.exports = {
+   name: 'links',
+   description: 'Refuse or flag messages with many links, or links posted too often',
+   order: 40,
+   enabledByDefault: true,
+   defaultConfig: {
+      mode: 'flag',
+      maxLinksPerMessage: 3,
+      maxLinksPerMinute: 5,
+      allowedDomains: []
+   },
+   choices: {
+      mode: ['reject', 'flag']
+   },
+
+   async check(ctx) {
+      const links = linksIn(ctx);
+      if (links.length === 0) {
+         return null;
+      }
+
+      let reason = null;
+      if (links.length > ctx.config.maxLinksPerMessage) {
+         reason = `${links.length} links in one message`;
+      } else if (!ctx.isEdit) {
+         const recent = await getPresence().getRecent(historyKey(ctx), 60 * 1000, Date.now());
+         const count = recent.length + links.length;
+         if (count > ctx.config.maxLinksPerMinute) {
+            reason = `${count} links in a minute`;
+         }
+      }
+
+      if (!reason) {
+         return null;
+      }
+
+      if (ctx.config.mode === 'reject') {
+         return { action: 'reject', reason: 'link_spam', message: `Too many links (${reason}). Please slow down.` };
+      }
+
+      return { action: 'flag', reason };
+   },
+
+   // Only links in messages that were posted count towards the rate; edits never do
+   async commit(ctx) {
+      if (!ctx.isEdit) {
+         await getPresence().addRecent(historyKey(ctx), linksIn(ctx), 60 * 1000, 100, Date.now());
+      }
+   }
+};
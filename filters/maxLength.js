@@ -0,0 +1,24 @@
+// Refuses messages longer than the room allows. MESSAGE_MAX_LENGTH still caps
+// every room; this lets a room set a lower limit.
+module.exports = {
+   name: 'maxLength',
+   description: 'Refuse messages longer than a set number of characters',
+   order: 10,
+   enabledByDefault: false,
+   defaultConfig: {
+      maxLength: 500
+   },
+
+   check(ctx) {
+      const maxLength = Math.floor(ctx.config.maxLength);
+      if (maxLength < 1 || ctx.text.length <= maxLength) {
+         return null;
+      }
+
+      return {
+         action: 'reject',
+         reason: 'too_long',
+         message: `Messages in this room can be at most ${maxLength} characters (yours has ${ctx.text.length})`
+      };
+   }
+};
@@ -0,0 +1,49 @@
+const { getPresence } = require('../utils/presence');
+
+// Compare messages ignoring case, spacing and trailing punctuation
+function normalize(text) {
+   return text.toLowerCase().replace(/\s+/g, ' ').replace(/[\s!?.]+$/, '').trim();
+}
+
+function historyKey(ctx) {
+   return `filter:repeat:${ctx.room.name}:${ctx.user.id}`;
+}
+
+// Catches the same message being posted over and over. Recent messages per
+// user and room live in the presence backend, so every instance sees them.
+module.exports = {
+   name: 'repeat',
+   description: 'Refuse or flag the same message repeated within a short time',
+   order: 30,
+   enabledByDefault: true,
+   checksEdits: false,
+   defaultConfig: {
+      mode: 'reject',
+      maxRepeats: 3,
+      windowSeconds: 60
+   },
+   choices: {
+      mode: ['reject', 'flag']
+   },
+
+   async check(ctx) {
+      const text = normalize(ctx.text);
+      const recent = await getPresence().getRecent(historyKey(ctx), ctx.config.windowSeconds * 1000, Date.now());
+      const repeats = recent.filter(previous => previous === text).length;
+
+      if (!text || repeats < ctx.config.maxRepeats) {
+         return null;
+      }
+
+      if (ctx.config.mode === 'flag') {
+         return { action: 'flag', reason: `Repeated ${repeats + 1} times in ${ctx.config.windowSeconds}s` };
+      }
+
+      return { action: 'reject', reason: 'repeated', message: 'You already sent that. Please don\'t repeat yourself.' };
+   },
+
+   // Only messages that were posted count as repeats
+   async commit(ctx) {
+      await getPresence().addRecent(historyKey(ctx), [normalize(ctx.text)], ctx.config.windowSeconds * 1000, 20, Date.now());
+   }
+};
@@ -0,0 +1,61 @@
+// Compiled patterns by word list, so each list is only turned into a regex once
+const patterns = new Map();
+const MAX_CACHED_PATTERNS = 200;
+
+// One case-insensitive pattern matching any listed word as a whole word.
+// A trailing * matches any ending, e.g. "spam*" also catches "spammer".
+function patternFor(words) {
+   const key = words.join('\n');
+   if (patterns.has(key)) {
+      return patterns.get(key);
+   }
+
+   const alternatives = words
+      .map(word => word.trim())
+      .filter(Boolean)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\*$/, '[\\p{L}\\p{N}]*'));
+
+   const pattern = alternatives.length > 0
+      ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+      : null;
+
+   if (patterns.size >= MAX_CACHED_PATTERNS) {
+      patterns.clear();
+   }
+   patterns.set(key, pattern);
+   return pattern;
+}
+
+// Masks, refuses or flags messages containing listed words. FILTER_WORDS
+// (comma-separated) sets the list rooms start with.
+module.exports = {
+   name: 'wordList',
+   description: 'Mask, refuse or flag messages containing listed words',
+   order: 20,
+   enabledByDefault: true,
+   defaultConfig: {
+      mode: 'mask',
+      words: (process.env.FILTER_WORDS || '').split(',').map(word => word.trim()).filter(Boolean)
+   },
+   choices: {
+      mode: ['mask', 'reject', 'flag']
+   },
+
+   check(ctx) {
+      const pattern = patternFor(ctx.config.words);
+      const matches = pattern ? ctx.text.match(pattern) : null;
+      if (!matches) {
+         return null;
+      }
+
+      if (ctx.config.mode === 'reject') {
+         return { action: 'reject', reason: 'blocked_word', message: 'Your message contains a word that isn\'t allowed in this room' };
+      }
+
+      if (ctx.config.mode === 'flag') {
+         return { action: 'flag', reason: `Listed words: ${Array.from(new Set(matches.map(match => match.toLowerCase()))).join(', ')}` };
+      }
+
+      return { action: 'mask', text: ctx.text.replace(pattern, match => '*'.repeat(Array.from(match).length)) };
+   }
+};
@@ -0,0 +1,36 @@
+const db = require('../config/database');
+
+class Attachment {
+    // Record an uploaded file; the bytes are already in storage
+    static async create({ uploadedBy, roomId, originalName, mimeType, sizeBytes, storageKey, thumbnailKey = null, width = null, height = null }) {
+        try {
+            const [result] = await db.execute(
+                `INSERT INTO attachments
+                 (uploaded_by, room_id, original_name, mime_type, size_bytes, storage_key, thumbnail_key, width, height)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [uploadedBy, roomId, originalName, mimeType, sizeBytes, storageKey, thumbnailKey, width, height]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating attachment:', error);
+            throw error;
+        }
+    }
+
+    // Find an attachment by ID
+    static async findById(id) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT * FROM attachments WHERE id = ?',
+                [id]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error finding attachment:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Attachment;
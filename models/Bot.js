@@ -0,0 +1,77 @@
+const db = require('../config/database');
+
+class Bot {
+    // Find or create the users row a bot posts as. Returns null when the
+    // username already belongs to a person, so a bot never takes over an account.
+    static async ensureUser(username, displayName = null) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT id, is_bot FROM users WHERE username = ?',
+                [username]
+            );
+
+            if (rows.length > 0) {
+                if (!rows[0].is_bot) {
+                    return null;
+                }
+
+                await db.execute('UPDATE users SET display_name = ? WHERE id = ?', [displayName, rows[0].id]);
+                return rows[0].id;
+            }
+
+            const [result] = await db.execute(
+                'INSERT INTO users (username, display_name, is_bot) VALUES (?, ?, TRUE)',
+                [username, displayName]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating bot user:', error);
+            throw error;
+        }
+    }
+
+    // A bot's settings row for one room, or null if it has never been configured there
+    static async getRoomSettings(botUserId, roomId) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT * FROM bot_room_settings WHERE bot_user_id = ? AND room_id = ?',
+                [botUserId, roomId]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error loading bot settings:', error);
+            throw error;
+        }
+    }
+
+    // All of a bot's settings rows, as a Map of room ID -> row
+    static async getSettingsByRoom(botUserId) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT * FROM bot_room_settings WHERE bot_user_id = ?',
+                [botUserId]
+            );
+            return new Map(rows.map(row => [row.room_id, row]));
+        } catch (error) {
+            console.error('Error loading bot settings:', error);
+            throw error;
+        }
+    }
+
+    // Create or replace a bot's settings for a room
+    static async saveRoomSettings(botUserId, roomId, { isEnabled, config, updatedBy = null }) {
+        try {
+            await db.execute(
+                `INSERT INTO bot_room_settings (bot_user_id, room_id, is_enabled, config, updated_by)
+                 VALUES (?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE is_enabled = VALUES(is_enabled), config = VALUES(config), updated_by = VALUES(updated_by)`,
+                [botUserId, roomId, isEnabled, JSON.stringify(config || {}), updatedBy]
+            );
+        } catch (error) {
+            console.error('Error saving bot settings:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Bot;
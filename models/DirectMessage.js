@@ -0,0 +1,152 @@
+const db = require('../config/database');
+
+class DirectMessage {
+    // Conversations store the pair ordered so (a, b) and (b, a) are the same row
+    static orderPair(userId, otherUserId) {
+        return userId < otherUserId ? [userId, otherUserId] : [otherUserId, userId];
+    }
+
+    // Find the conversation between two users, creating it if needed
+    static async getOrCreateConversation(userId, otherUserId) {
+        try {
+            const [userA, userB] = this.orderPair(userId, otherUserId);
+
+            await db.execute(
+                'INSERT IGNORE INTO dm_conversations (user_a_id, user_b_id) VALUES (?, ?)',
+                [userA, userB]
+            );
+
+            return await this.findConversation(userId, otherUserId);
+        } catch (error) {
+            console.error('Error creating conversation:', error);
+            throw error;
+        }
+    }
+
+    // Find the conversation between two users, or null
+    static async findConversation(userId, otherUserId) {
+        try {
+            const [userA, userB] = this.orderPair(userId, otherUserId);
+
+            const [rows] = await db.execute(
+                'SELECT * FROM dm_conversations WHERE user_a_id = ? AND user_b_id = ?',
+                [userA, userB]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error finding conversation:', error);
+            throw error;
+        }
+    }
+
+    // List a user's conversations with the other participant, last message and unread count
+    static async listConversations(userId) {
+        try {
+            const [rows] = await db.execute(`
+                SELECT c.id, c.last_message_at,
+                       u.id as other_user_id, u.username as other_username, u.display_name as other_display_name,
+                       u.avatar_url as other_avatar_url, u.is_online as other_is_online, u.presence as other_presence,
+                       (SELECT dm.message FROM dm_messages dm
+                        WHERE dm.conversation_id = c.id AND dm.is_deleted = FALSE
+                        ORDER BY dm.id DESC LIMIT 1) as last_message,
+                       (SELECT COUNT(*) FROM dm_messages dm
+                        WHERE dm.conversation_id = c.id AND dm.is_deleted = FALSE
+                        AND dm.sender_id != ?
+                        AND dm.id > IF(c.user_a_id = ?, c.user_a_last_read_id, c.user_b_last_read_id)) as unread_count
+                FROM dm_conversations c
+                JOIN users u ON u.id = IF(c.user_a_id = ?, c.user_b_id, c.user_a_id)
+                WHERE c.user_a_id = ? OR c.user_b_id = ?
+                ORDER BY c.last_message_at IS NULL, c.last_message_at DESC
+            `, [userId, userId, userId, userId, userId]);
+            return rows;
+        } catch (error) {
+            console.error('Error listing conversations:', error);
+            throw error;
+        }
+    }
+
+    // Save a direct message and bump the conversation
+    static async create(conversationId, senderId, message) {
+        try {
+            const [result] = await db.execute(
+                'INSERT INTO dm_messages (conversation_id, sender_id, message) VALUES (?, ?, ?)',
+                [conversationId, senderId, message]
+            );
+
+            await db.execute(
+                'UPDATE dm_conversations SET last_message_at = NOW() WHERE id = ?',
+                [conversationId]
+            );
+
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating direct message:', error);
+            throw error;
+        }
+    }
+
+    // Find a single direct message with its sender
+    static async findById(messageId) {
+        try {
+            const [rows] = await db.execute(`
+                SELECT dm.*, u.username, u.display_name, u.avatar_url
+                FROM dm_messages dm
+                JOIN users u ON dm.sender_id = u.id
+                WHERE dm.id = ?
+            `, [messageId]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error finding direct message:', error);
+            throw error;
+        }
+    }
+
+    // Page through a conversation, oldest first; `before` is a message ID cursor
+    static async getMessages(conversationId, { before = null, limit = 50 } = {}) {
+        try {
+            const messageLimit = Math.max(1, Math.min(parseInt(limit, 10) || 50, 200));
+            const params = [conversationId];
+            let cursorClause = '';
+
+            if (before) {
+                cursorClause = 'AND dm.id < ?';
+                params.push(before);
+            }
+
+            const [rows] = await db.query(`
+                SELECT dm.*, u.username, u.display_name, u.avatar_url
+                FROM dm_messages dm
+                JOIN users u ON dm.sender_id = u.id
+                WHERE dm.conversation_id = ? AND dm.is_deleted = FALSE ${cursorClause}
+                ORDER BY dm.id DESC
+                LIMIT ${messageLimit + 1}
+            `, params);
+
+            return {
+                messages: rows.slice(0, messageLimit).reverse(),
+                hasMore: rows.length > messageLimit
+            };
+        } catch (error) {
+            console.error('Error loading direct messages:', error);
+            return { messages: [], hasMore: false };
+        }
+    }
+
+    // Move a user's read marker forward (never backwards)
+    static async markRead(conversation, userId, messageId) {
+        try {
+            const column = conversation.user_a_id === userId ? 'user_a_last_read_id' : 'user_b_last_read_id';
+
+            await db.execute(
+                `UPDATE dm_conversations SET ${column} = GREATEST(${column}, ?) WHERE id = ?`,
+                [messageId, conversation.id]
+            );
+            return true;
+        } catch (error) {
+            console.error('Error marking conversation read:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = DirectMessage;
@@ -0,0 +1,114 @@
+const db = require('../config/database');
+
+class Filter {
+    // A room's filter settings rows, as a Map of filter name -> row
+    static async getSettingsByFilter(roomId) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT * FROM room_filter_settings WHERE room_id = ?',
+                [roomId]
+            );
+            return new Map(rows.map(row => [row.filter_name, row]));
+        } catch (error) {
+            console.error('Error loading filter settings:', error);
+            throw error;
+        }
+    }
+
+    // A filter's settings row for one room, or null if it has never been configured there
+    static async getRoomSettings(roomId, filterName) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT * FROM room_filter_settings WHERE room_id = ? AND filter_name = ?',
+                [roomId, filterName]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error loading filter settings:', error);
+            throw error;
+        }
+    }
+
+    // Create or replace a filter's settings for a room
+    static async saveRoomSettings(roomId, filterName, { isEnabled, config, updatedBy = null }) {
+        try {
+            await db.execute(
+                `INSERT INTO room_filter_settings (room_id, filter_name, is_enabled, config, updated_by)
+                 VALUES (?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE is_enabled = VALUES(is_enabled), config = VALUES(config), updated_by = VALUES(updated_by)`,
+                [roomId, filterName, isEnabled, JSON.stringify(config || {}), updatedBy]
+            );
+        } catch (error) {
+            console.error('Error saving filter settings:', error);
+            throw error;
+        }
+    }
+
+    // Queue a message for review. Flagging it again (e.g. after an edit) puts
+    // it back in the queue with the new reasons.
+    static async flagMessage({ messageId, roomId, userId, filters, reason }) {
+        try {
+            await db.execute(
+                `INSERT INTO flagged_messages (message_id, room_id, user_id, filters, reason)
+                 VALUES (?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE filters = VALUES(filters), reason = VALUES(reason),
+                     status = 'pending', reviewed_by = NULL, reviewed_at = NULL`,
+                [messageId, roomId, userId, filters.join(',').slice(0, 255), reason ? reason.slice(0, 255) : null]
+            );
+        } catch (error) {
+            console.error('Error flagging message:', error);
+            throw error;
+        }
+    }
+
+    // A room's flagged messages with a given status, oldest first
+    static async getFlagged(roomId, status = 'pending', limit = 50) {
+        try {
+            const flaggedLimit = Math.max(1, Math.min(parseInt(limit, 10) || 50, 200));
+            const [rows] = await db.query(
+                `SELECT f.*, m.message, m.is_deleted, u.username, r.username as reviewed_by_username
+                 FROM flagged_messages f
+                 JOIN messages m ON f.message_id = m.id
+                 JOIN users u ON f.user_id = u.id
+                 LEFT JOIN users r ON f.reviewed_by = r.id
+                 WHERE f.room_id = ? AND f.status = ?
+                 ORDER BY f.created_at ASC, f.id ASC
+                 LIMIT ?`,
+                [roomId, status, flaggedLimit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error loading flagged messages:', error);
+            throw error;
+        }
+    }
+
+    static async findFlagged(id) {
+        try {
+            const [rows] = await db.execute('SELECT * FROM flagged_messages WHERE id = ?', [id]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error finding flagged message:', error);
+            throw error;
+        }
+    }
+
+    // Close a pending flag as 'dismissed' or 'removed'. Returns false if it had
+    // already been reviewed.
+    static async review(id, status, reviewedBy) {
+        try {
+            const [result] = await db.execute(
+                `UPDATE flagged_messages
+                 SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = 'pending'`,
+                [status, reviewedBy, id]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error reviewing flagged message:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Filter;
@@ -0,0 +1,109 @@
+const db = require('../config/database');
+
+class Mention {
+    // Store mentions for a message; recipients is [{ userId, kind }]
+    static async createMany(messageId, roomId, recipients) {
+        if (!recipients || recipients.length === 0) {
+            return 0;
+        }
+
+        try {
+            const placeholders = recipients.map(() => '(?, ?, ?, ?)').join(', ');
+            const values = recipients.flatMap(({ userId, kind }) => [messageId, roomId, userId, kind]);
+
+            const [result] = await db.query(
+                `INSERT IGNORE INTO mentions (message_id, room_id, user_id, kind) VALUES ${placeholders}`,
+                values
+            );
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error saving mentions:', error);
+            throw error;
+        }
+    }
+
+    // A user's mentions inbox, newest first. Options: unreadOnly, before (mention ID), limit
+    static async getForUser(userId, { unreadOnly = false, before = null, limit = 50 } = {}) {
+        try {
+            const mentionLimit = Math.max(1, Math.min(parseInt(limit, 10) || 50, 200));
+            const conditions = ['mn.user_id = ?', 'm.is_deleted = FALSE'];
+            const params = [userId];
+
+            if (unreadOnly) {
+                conditions.push('mn.is_read = FALSE');
+            }
+
+            if (before) {
+                conditions.push('mn.id < ?');
+                params.push(before);
+            }
+
+            // Fetch one extra row to know whether another page exists
+            const [rows] = await db.query(`
+                SELECT mn.id, mn.kind, mn.is_read, mn.created_at,
+                       m.id as message_id, m.message, m.timestamp,
+                       u.id as author_id, u.username as author_username, u.display_name as author_display_name,
+                       r.name as room_name
+                FROM mentions mn
+                JOIN messages m ON mn.message_id = m.id
+                JOIN users u ON m.user_id = u.id
+                JOIN rooms r ON mn.room_id = r.id
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY mn.id DESC
+                LIMIT ${mentionLimit + 1}
+            `, params);
+
+            return {
+                mentions: rows.slice(0, mentionLimit),
+                hasMore: rows.length > mentionLimit
+            };
+        } catch (error) {
+            console.error('Error loading mentions:', error);
+            throw error;
+        }
+    }
+
+    // Mark some (or, with no IDs, all) of a user's mentions read
+    static async markRead(userId, mentionIds = null) {
+        try {
+            if (Array.isArray(mentionIds)) {
+                if (mentionIds.length === 0) {
+                    return 0;
+                }
+                const placeholders = mentionIds.map(() => '?').join(', ');
+                const [result] = await db.query(
+                    `UPDATE mentions SET is_read = TRUE WHERE user_id = ? AND id IN (${placeholders})`,
+                    [userId, ...mentionIds]
+                );
+                return result.affectedRows;
+            }
+
+            const [result] = await db.execute(
+                'UPDATE mentions SET is_read = TRUE WHERE user_id = ? AND is_read = FALSE',
+                [userId]
+            );
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error marking mentions read:', error);
+            throw error;
+        }
+    }
+
+    // Number of unread mentions for a user
+    static async countUnread(userId) {
+        try {
+            const [rows] = await db.execute(`
+                SELECT COUNT(*) as count
+                FROM mentions mn
+                JOIN messages m ON mn.message_id = m.id
+                WHERE mn.user_id = ? AND mn.is_read = FALSE AND m.is_deleted = FALSE
+            `, [userId]);
+            return rows[0].count;
+        } catch (error) {
+            console.error('Error counting mentions:', error);
+            return 0;
+        }
+    }
+}
+
+module.exports = Mention;
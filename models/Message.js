@@ -1,47 +1,154 @@
 const db = require('../config/database');
 
+// Attachment fields joined onto message rows (see formatDbMessage)
+const ATTACHMENT_COLUMNS = `a.original_name as attachment_name, a.mime_type as attachment_mime_type,
+                       a.size_bytes as attachment_size, a.thumbnail_key as attachment_thumbnail_key,
+                       a.width as attachment_width, a.height as attachment_height`;
+const ATTACHMENT_JOIN = 'LEFT JOIN attachments a ON m.attachment_id = a.id';
+
+// The replied-to message's author and text, plus the thread's reply count
+const REPLY_COLUMNS = `p.message as reply_to_message, p.is_deleted as reply_to_deleted, pu.username as reply_to_username,
+                       (SELECT COUNT(*) FROM messages t WHERE t.thread_id = m.id AND t.is_deleted = FALSE) as reply_count`;
+const REPLY_JOIN = `LEFT JOIN messages p ON m.reply_to_id = p.id
+                LEFT JOIN users pu ON p.user_id = pu.id`;
+
 class Message {
-    // Ensure room exists or create it
-    static async ensureRoom(roomName) {
+    // Look up an active room's ID by name; rooms are managed through the Room
+    // model. Archived rooms take no new messages, so they aren't found.
+    static async getRoomId(roomName) {
         try {
-            // Try to find room first
             const [roomRows] = await db.execute(
-                'SELECT id FROM rooms WHERE name = ?',
+                'SELECT id FROM rooms WHERE name = ? AND is_archived = FALSE',
                 [roomName]
             );
             
-            if (roomRows.length > 0) {
-                return roomRows[0].id;
+            return roomRows.length > 0 ? roomRows[0].id : null;
+        } catch (error) {
+            console.error('Error looking up room:', error);
+            throw error;
+        }
+    }
+
+    // Save message to database. A reply stores the message it quotes (replyToId)
+    // and the thread's first message (threadId).
+    static async create(userId, roomName, message, messageType = 'text', attachmentId = null, replyToId = null, threadId = null) {
+        try {
+            const roomId = await this.getRoomId(roomName);
+            if (!roomId) {
+                throw new Error(`Room not found: ${roomName}`);
             }
             
-            // Create room if it doesn't exist
             const [result] = await db.execute(
-                'INSERT INTO rooms (name, created_by) VALUES (?, 1)',
-                [roomName]
+                `INSERT INTO messages (user_id, room_id, message, message_type, attachment_id, reply_to_id, thread_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [userId, roomId, message, messageType, attachmentId, replyToId, threadId]
             );
             
-            console.log(`Created new room: ${roomName} with ID: ${result.insertId}`);
             return result.insertId;
         } catch (error) {
-            console.error('Error ensuring room exists:', error);
+            console.error('Error creating message:', error);
+            throw error;
+        }
+    }
+
+    // Find a single message with its author and room
+    static async findById(messageId) {
+        try {
+            const [rows] = await db.execute(`
+                SELECT m.*, u.username, u.display_name, u.avatar_url, u.is_bot, r.name as room_name, ${ATTACHMENT_COLUMNS}, ${REPLY_COLUMNS}
+                FROM messages m
+                JOIN users u ON m.user_id = u.id
+                JOIN rooms r ON m.room_id = r.id
+                ${ATTACHMENT_JOIN}
+                ${REPLY_JOIN}
+                WHERE m.id = ?
+            `, [messageId]);
+            
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error finding message:', error);
             throw error;
         }
     }
 
-    // Save message to database
-    static async create(userId, roomName, message, messageType = 'text') {
+    // Replace a message's text and stamp edited_at
+    static async updateText(messageId, message) {
         try {
-            // Ensure room exists first
-            const roomId = await this.ensureRoom(roomName);
+            const [result] = await db.execute(
+                'UPDATE messages SET message = ?, edited_at = NOW() WHERE id = ? AND is_deleted = FALSE',
+                [message, messageId]
+            );
             
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error updating message:', error);
+            throw error;
+        }
+    }
+
+    // Soft-delete a message; it stays in the table until purged
+    static async softDelete(messageId, deletedBy) {
+        try {
             const [result] = await db.execute(
-                'INSERT INTO messages (user_id, room_id, message, message_type) VALUES (?, ?, ?, ?)',
-                [userId, roomId, message, messageType]
+                'UPDATE messages SET is_deleted = TRUE, deleted_at = NOW(), deleted_by = ? WHERE id = ? AND is_deleted = FALSE',
+                [deletedBy, messageId]
             );
             
-            return result.insertId;
+            return result.affectedRows > 0;
         } catch (error) {
-            console.error('Error creating message:', error);
+            console.error('Error deleting message:', error);
+            throw error;
+        }
+    }
+
+    // Undo a soft delete
+    static async restore(messageId) {
+        try {
+            const [result] = await db.execute(
+                'UPDATE messages SET is_deleted = FALSE, deleted_at = NULL, deleted_by = NULL WHERE id = ? AND is_deleted = TRUE',
+                [messageId]
+            );
+            
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error restoring message:', error);
+            throw error;
+        }
+    }
+
+    // List soft-deleted messages in a room, newest deletions first
+    static async getDeletedMessages(roomId, limit = 50) {
+        try {
+            const messageLimit = Math.max(1, Math.min(parseInt(limit, 10) || 50, 500));
+            
+            const [rows] = await db.query(`
+                SELECT m.*, u.username, u.display_name, u.avatar_url, u.is_bot, d.username as deleted_by_username
+                FROM messages m
+                JOIN users u ON m.user_id = u.id
+                LEFT JOIN users d ON m.deleted_by = d.id
+                WHERE m.room_id = ? AND m.is_deleted = TRUE
+                ORDER BY m.deleted_at DESC
+                LIMIT ${messageLimit}
+            `, [roomId]);
+            
+            return rows;
+        } catch (error) {
+            console.error('Error listing deleted messages:', error);
+            throw error;
+        }
+    }
+
+    // Permanently remove messages that were soft-deleted more than `days` ago
+    static async purgeDeleted(days = 30) {
+        try {
+            const [result] = await db.execute(
+                'DELETE FROM messages WHERE is_deleted = TRUE AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+                [days]
+            );
+            
+            return result.affectedRows;
+        } catch (error) {
+            console.error('Error purging deleted messages:', error);
             throw error;
         }
     }
@@ -49,18 +156,17 @@ class Message {
     // Get recent messages for a room - FIXED VERSION
     static async getRecentMessages(roomName, limit = 50) {
         try {
-            // First ensure room exists
-            await this.ensureRoom(roomName);
-            
             // Ensure limit is a valid integer and clamp it to reasonable bounds
             const messageLimit = Math.max(1, Math.min(parseInt(limit, 10) || 50, 1000));
             
             // Use query() instead of execute() to avoid parameter type issues with LIMIT
             const [rows] = await db.query(`
-                SELECT m.*, u.username, u.avatar_url, m.timestamp as local_time
+                SELECT m.*, u.username, u.display_name, u.avatar_url, u.is_bot, m.timestamp as local_time, ${ATTACHMENT_COLUMNS}, ${REPLY_COLUMNS}
                 FROM messages m 
                 JOIN users u ON m.user_id = u.id 
                 JOIN rooms r ON m.room_id = r.id
+                ${ATTACHMENT_JOIN}
+                ${REPLY_JOIN}
                 WHERE r.name = ? AND m.is_deleted = FALSE
                 ORDER BY m.timestamp DESC 
                 LIMIT ${messageLimit}
@@ -73,20 +179,64 @@ class Message {
         }
     }
 
+    // Keyset pagination on message ID. Pass `before` for older pages, `after` for
+    // newer ones, or neither for the latest page. Messages come back oldest first;
+    // hasMore says whether more exist in the direction being paged.
+    static async getMessagesPage(roomName, { before = null, after = null, limit = 50 } = {}) {
+        try {
+            const messageLimit = Math.max(1, Math.min(parseInt(limit, 10) || 50, 200));
+            const params = [roomName];
+            let cursorClause = '';
+            let order = 'DESC';
+            
+            if (after) {
+                cursorClause = 'AND m.id > ?';
+                params.push(after);
+                order = 'ASC';
+            } else if (before) {
+                cursorClause = 'AND m.id < ?';
+                params.push(before);
+            }
+            
+            // Fetch one extra row to know whether another page exists
+            const [rows] = await db.query(`
+                SELECT m.*, u.username, u.display_name, u.avatar_url, u.is_bot, m.timestamp as local_time, ${ATTACHMENT_COLUMNS}, ${REPLY_COLUMNS}
+                FROM messages m 
+                JOIN users u ON m.user_id = u.id 
+                JOIN rooms r ON m.room_id = r.id
+                ${ATTACHMENT_JOIN}
+                ${REPLY_JOIN}
+                WHERE r.name = ? AND m.is_deleted = FALSE ${cursorClause}
+                ORDER BY m.id ${order} 
+                LIMIT ${messageLimit + 1}
+            `, params);
+            
+            const hasMore = rows.length > messageLimit;
+            const page = rows.slice(0, messageLimit);
+            
+            return {
+                messages: order === 'DESC' ? page.reverse() : page,
+                hasMore
+            };
+        } catch (error) {
+            console.error('Error in getMessagesPage:', error);
+            return { messages: [], hasMore: false };
+        }
+    }
+
     // Alternative approach using execute() with proper casting
     static async getRecentMessagesAlternative(roomName, limit = 50) {
         try {
-            // First ensure room exists
-            await this.ensureRoom(roomName);
-            
             // Cast limit to UNSIGNED INTEGER in SQL to avoid type issues
             const messageLimit = Math.max(1, Math.min(parseInt(limit, 10) || 50, 1000));
             
             const [rows] = await db.execute(`
-                SELECT m.*, u.username, u.avatar_url, m.timestamp as local_time
+                SELECT m.*, u.username, u.display_name, u.avatar_url, u.is_bot, m.timestamp as local_time, ${ATTACHMENT_COLUMNS}, ${REPLY_COLUMNS}
                 FROM messages m 
                 JOIN users u ON m.user_id = u.id 
                 JOIN rooms r ON m.room_id = r.id
+                ${ATTACHMENT_JOIN}
+                ${REPLY_JOIN}
                 WHERE r.name = ? AND m.is_deleted = FALSE
                 ORDER BY m.timestamp DESC 
                 LIMIT CAST(? AS UNSIGNED)
@@ -99,30 +249,126 @@ class Message {
         }
     }
 
-    // Search messages in a room - ALSO FIXED
-    static async searchMessages(roomName, searchTerm, limit = 20) {
+    // Search messages in a room with FULLTEXT, optional filters and pagination.
+    // Options: booleanMode, author (username), from/to (dates), messageType, limit, offset
+    static async searchMessages(roomName, searchTerm, options = {}) {
         try {
-            await this.ensureRoom(roomName);
+            const { booleanMode = false, author, from, to, messageType } = options;
             
-            // Sanitize limit parameter
-            const messageLimit = Math.max(1, Math.min(parseInt(limit, 10) || 20, 500));
+            // Sanitize pagination parameters
+            const messageLimit = Math.max(1, Math.min(parseInt(options.limit, 10) || 20, 500));
+            const messageOffset = Math.max(0, parseInt(options.offset, 10) || 0);
+            
+            const conditions = ['r.name = ?', 'm.is_deleted = FALSE'];
+            const params = [roomName];
+            
+            conditions.push(`MATCH(m.message) AGAINST(? IN ${booleanMode ? 'BOOLEAN' : 'NATURAL LANGUAGE'} MODE)`);
+            params.push(searchTerm);
+            
+            if (author) {
+                conditions.push('u.username = ?');
+                params.push(author);
+            }
+            
+            if (from) {
+                conditions.push('m.timestamp >= ?');
+                params.push(from);
+            }
+            
+            if (to) {
+                conditions.push('m.timestamp <= ?');
+                params.push(to);
+            }
+            
+            if (messageType) {
+                conditions.push('m.message_type = ?');
+                params.push(messageType);
+            }
+            
+            const whereClause = conditions.join(' AND ');
+            
+            const [countRows] = await db.query(`
+                SELECT COUNT(*) as total
+                FROM messages m 
+                JOIN users u ON m.user_id = u.id 
+                JOIN rooms r ON m.room_id = r.id
+                WHERE ${whereClause}
+            `, params);
             
             // Use query() to avoid LIMIT parameter issues
             const [rows] = await db.query(`
-                SELECT m.*, u.username,
-                       CONVERT_TZ(m.timestamp, '+00:00', '+06:00') as local_time
+                SELECT m.*, u.username, u.display_name, u.avatar_url, u.is_bot,
+                       CONVERT_TZ(m.timestamp, '+00:00', '+06:00') as local_time,
+                       ${ATTACHMENT_COLUMNS}, ${REPLY_COLUMNS}
                 FROM messages m 
                 JOIN users u ON m.user_id = u.id 
                 JOIN rooms r ON m.room_id = r.id
-                WHERE r.name = ? AND m.is_deleted = FALSE
-                AND MATCH(m.message) AGAINST(? IN NATURAL LANGUAGE MODE)
+                ${ATTACHMENT_JOIN}
+                ${REPLY_JOIN}
+                WHERE ${whereClause}
                 ORDER BY m.timestamp DESC 
-                LIMIT ${messageLimit}
-            `, [roomName, searchTerm]);
+                LIMIT ${messageLimit} OFFSET ${messageOffset}
+            `, params);
             
-            return rows;
+            return { messages: rows, total: countRows[0].total };
         } catch (error) {
             console.error('Error in searchMessages:', error);
+            return { messages: [], total: 0 };
+        }
+    }
+
+    // Get a window of messages centred on one message, oldest first
+    static async getMessagesAround(roomName, messageId, count = 10) {
+        try {
+            const windowSize = Math.max(1, Math.min(parseInt(count, 10) || 10, 100));
+            
+            const [before] = await db.query(`
+                SELECT m.*, u.username, u.display_name, u.avatar_url, u.is_bot, m.timestamp as local_time, ${ATTACHMENT_COLUMNS}, ${REPLY_COLUMNS}
+                FROM messages m 
+                JOIN users u ON m.user_id = u.id 
+                JOIN rooms r ON m.room_id = r.id
+                ${ATTACHMENT_JOIN}
+                ${REPLY_JOIN}
+                WHERE r.name = ? AND m.is_deleted = FALSE AND m.id <= ?
+                ORDER BY m.id DESC 
+                LIMIT ${windowSize + 1}
+            `, [roomName, messageId]);
+            
+            const [after] = await db.query(`
+                SELECT m.*, u.username, u.display_name, u.avatar_url, u.is_bot, m.timestamp as local_time, ${ATTACHMENT_COLUMNS}, ${REPLY_COLUMNS}
+                FROM messages m 
+                JOIN users u ON m.user_id = u.id 
+                JOIN rooms r ON m.room_id = r.id
+                ${ATTACHMENT_JOIN}
+                ${REPLY_JOIN}
+                WHERE r.name = ? AND m.is_deleted = FALSE AND m.id > ?
+                ORDER BY m.id ASC 
+                LIMIT ${windowSize}
+            `, [roomName, messageId]);
+            
+            return before.reverse().concat(after);
+        } catch (error) {
+            console.error('Error in getMessagesAround:', error);
+            return [];
+        }
+    }
+
+    // Get a thread's first message and all replies to it, oldest first
+    static async getThread(threadId) {
+        try {
+            const [rows] = await db.execute(`
+                SELECT m.*, u.username, u.display_name, u.avatar_url, u.is_bot, m.timestamp as local_time, ${ATTACHMENT_COLUMNS}, ${REPLY_COLUMNS}
+                FROM messages m 
+                JOIN users u ON m.user_id = u.id 
+                ${ATTACHMENT_JOIN}
+                ${REPLY_JOIN}
+                WHERE (m.id = ? OR m.thread_id = ?) AND m.is_deleted = FALSE
+                ORDER BY m.id ASC
+            `, [threadId, threadId]);
+            
+            return rows;
+        } catch (error) {
+            console.error('Error in getThread:', error);
             return [];
         }
     }
@@ -130,8 +376,6 @@ class Message {
     // Get message count for a room
     static async getMessageCount(roomName) {
         try {
-            await this.ensureRoom(roomName);
-            
             const [rows] = await db.execute(`
                 SELECT COUNT(*) as count
                 FROM messages m 
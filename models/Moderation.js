@@ -0,0 +1,134 @@
+const db = require('../config/database');
+
+class Moderation {
+    // Mute a user in a room; durationMinutes = null mutes until lifted.
+    // Stored apart from user_rooms so muting never makes someone a member.
+    static async mute(roomId, userId, mutedBy = null, durationMinutes = null) {
+        try {
+            await db.execute(
+                `INSERT INTO room_mutes (room_id, user_id, muted_by, muted_until)
+                 VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+                 ON DUPLICATE KEY UPDATE muted_by = VALUES(muted_by), muted_until = VALUES(muted_until),
+                     created_at = NOW()`,
+                [roomId, userId, mutedBy, durationMinutes]
+            );
+            return true;
+        } catch (error) {
+            console.error('Error muting user:', error);
+            throw error;
+        }
+    }
+
+    // Lift a mute
+    static async unmute(roomId, userId) {
+        try {
+            const [result] = await db.execute(
+                'DELETE FROM room_mutes WHERE room_id = ? AND user_id = ?',
+                [roomId, userId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error unmuting user:', error);
+            throw error;
+        }
+    }
+
+    // Get an active mute, or null. Expired timed mutes don't count.
+    static async getActiveMute(roomId, userId) {
+        try {
+            const [rows] = await db.execute(`
+                SELECT * FROM room_mutes
+                WHERE room_id = ? AND user_id = ?
+                AND (muted_until IS NULL OR muted_until > NOW())
+            `, [roomId, userId]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error checking mute:', error);
+            throw error;
+        }
+    }
+
+    // Ban a user from a room; durationMinutes = null bans until lifted
+    static async ban(roomId, userId, bannedBy, reason = null, durationMinutes = null) {
+        try {
+            await db.execute(
+                `INSERT INTO room_bans (room_id, user_id, banned_by, reason, expires_at)
+                 VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+                 ON DUPLICATE KEY UPDATE banned_by = VALUES(banned_by), reason = VALUES(reason),
+                     expires_at = VALUES(expires_at), created_at = NOW()`,
+                [roomId, userId, bannedBy, reason, durationMinutes]
+            );
+            return true;
+        } catch (error) {
+            console.error('Error banning user:', error);
+            throw error;
+        }
+    }
+
+    // Lift a ban
+    static async unban(roomId, userId) {
+        try {
+            const [result] = await db.execute(
+                'DELETE FROM room_bans WHERE room_id = ? AND user_id = ?',
+                [roomId, userId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error unbanning user:', error);
+            throw error;
+        }
+    }
+
+    // Get an active ban, or null. Expired timed bans don't count.
+    static async getActiveBan(roomId, userId) {
+        try {
+            const [rows] = await db.execute(`
+                SELECT * FROM room_bans
+                WHERE room_id = ? AND user_id = ?
+                AND (expires_at IS NULL OR expires_at > NOW())
+            `, [roomId, userId]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error checking ban:', error);
+            throw error;
+        }
+    }
+
+    // Record a moderation action in the audit log
+    static async log(roomId, moderatorId, targetUserId, action, reason = null, durationMinutes = null) {
+        try {
+            const [result] = await db.execute(
+                `INSERT INTO moderation_log (room_id, moderator_id, target_user_id, action, reason, duration_minutes)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [roomId, moderatorId, targetUserId, action, reason, durationMinutes]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error writing moderation log:', error);
+            throw error;
+        }
+    }
+
+    // Get the audit log for a room, newest first
+    static async getLog(roomId, limit = 100) {
+        try {
+            const logLimit = Math.max(1, Math.min(parseInt(limit, 10) || 100, 500));
+
+            const [rows] = await db.query(`
+                SELECT l.*, m.username as moderator_username, t.username as target_username
+                FROM moderation_log l
+                LEFT JOIN users m ON l.moderator_id = m.id
+                LEFT JOIN users t ON l.target_user_id = t.id
+                WHERE l.room_id = ?
+                ORDER BY l.created_at DESC
+                LIMIT ${logLimit}
+            `, [roomId]);
+            return rows;
+        } catch (error) {
+            console.error('Error reading moderation log:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Moderation;
@@ -0,0 +1,85 @@
+const db = require('../config/database');
+
+class Reaction {
+    // Add a user's reaction; returns false if it was already there
+    static async add(messageId, userId, emoji) {
+        try {
+            const [result] = await db.execute(
+                'INSERT IGNORE INTO message_reactions (message_id, user_id, emoji) VALUES (?, ?, ?)',
+                [messageId, userId, emoji]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error adding reaction:', error);
+            throw error;
+        }
+    }
+
+    // Remove a user's reaction; returns false if there was none
+    static async remove(messageId, userId, emoji) {
+        try {
+            const [result] = await db.execute(
+                'DELETE FROM message_reactions WHERE message_id = ? AND user_id = ? AND emoji = ?',
+                [messageId, userId, emoji]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error removing reaction:', error);
+            throw error;
+        }
+    }
+
+    // How many users reacted to a message with an emoji
+    static async count(messageId, emoji) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT COUNT(*) as count FROM message_reactions WHERE message_id = ? AND emoji = ?',
+                [messageId, emoji]
+            );
+            return rows[0].count;
+        } catch (error) {
+            console.error('Error counting reactions:', error);
+            throw error;
+        }
+    }
+
+    // Aggregate reactions for a set of messages.
+    // Returns a Map of message ID -> [{ emoji, count, userIds }] in first-reacted order.
+    static async getForMessages(messageIds) {
+        const reactions = new Map();
+        if (!messageIds || messageIds.length === 0) {
+            return reactions;
+        }
+
+        try {
+            const placeholders = messageIds.map(() => '?').join(', ');
+            const [rows] = await db.query(`
+                SELECT message_id, emoji, COUNT(*) as count,
+                       GROUP_CONCAT(user_id ORDER BY created_at) as user_ids,
+                       MIN(created_at) as first_reacted_at
+                FROM message_reactions
+                WHERE message_id IN (${placeholders})
+                GROUP BY message_id, emoji
+                ORDER BY first_reacted_at ASC
+            `, messageIds);
+
+            rows.forEach(row => {
+                if (!reactions.has(row.message_id)) {
+                    reactions.set(row.message_id, []);
+                }
+                reactions.get(row.message_id).push({
+                    emoji: row.emoji,
+                    count: row.count,
+                    userIds: String(row.user_ids).split(',').map(Number)
+                });
+            });
+
+            return reactions;
+        } catch (error) {
+            console.error('Error loading reactions:', error);
+            return reactions;
+        }
+    }
+}
+
+module.exports = Reaction;
@@ -0,0 +1,66 @@
+const db = require('../config/database');
+
+class ReadReceipt {
+    // Move a user's read marker in a room forward to messageId (never backwards)
+    static async markRead(roomId, userId, messageId) {
+        try {
+            await db.execute(
+                `INSERT INTO room_read_state (user_id, room_id, last_read_message_id) VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE last_read_message_id = GREATEST(last_read_message_id, VALUES(last_read_message_id))`,
+                [userId, roomId, messageId]
+            );
+
+            const [rows] = await db.execute(
+                'SELECT last_read_message_id FROM room_read_state WHERE user_id = ? AND room_id = ?',
+                [userId, roomId]
+            );
+            return rows[0].last_read_message_id;
+        } catch (error) {
+            console.error('Error marking room read:', error);
+            throw error;
+        }
+    }
+
+    // Unread message counts per room for a user, as a Map of room ID -> count.
+    // Only rooms the user has read before are counted; their own and system
+    // messages never count as unread.
+    static async getUnreadCounts(userId) {
+        try {
+            const [rows] = await db.execute(`
+                SELECT s.room_id, COUNT(m.id) as unread_count
+                FROM room_read_state s
+                JOIN messages m ON m.room_id = s.room_id
+                    AND m.id > s.last_read_message_id
+                    AND m.is_deleted = FALSE
+                    AND m.user_id != s.user_id
+                    AND m.message_type != 'system'
+                WHERE s.user_id = ?
+                GROUP BY s.room_id
+            `, [userId]);
+
+            return new Map(rows.map(row => [row.room_id, row.unread_count]));
+        } catch (error) {
+            console.error('Error counting unread messages:', error);
+            return new Map();
+        }
+    }
+
+    // Everyone's read marker in a room, furthest read first
+    static async getRoomReceipts(roomId) {
+        try {
+            const [rows] = await db.execute(`
+                SELECT s.user_id, u.username, u.display_name, s.last_read_message_id, s.updated_at
+                FROM room_read_state s
+                JOIN users u ON s.user_id = u.id
+                WHERE s.room_id = ?
+                ORDER BY s.last_read_message_id DESC
+            `, [roomId]);
+            return rows;
+        } catch (error) {
+            console.error('Error loading read receipts:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ReadReceipt;
@@ -0,0 +1,237 @@
+const db = require('../config/database');
+
+class Room {
+    // List rooms, optionally including archived ones
+    static async findAll(includeArchived = false) {
+        try {
+            const [rows] = await db.execute(`
+                SELECT id, name, description, max_users, is_private, is_archived, read_receipts, created_by, created_at
+                FROM rooms
+                ${includeArchived ? '' : 'WHERE is_archived = FALSE'}
+                ORDER BY name ASC
+            `);
+            return rows;
+        } catch (error) {
+            console.error('Error listing rooms:', error);
+            throw error;
+        }
+    }
+
+    // List rooms a user can see: public rooms plus private rooms they belong to
+    static async findVisibleTo(userId) {
+        try {
+            const [rows] = await db.execute(`
+                SELECT r.id, r.name, r.description, r.max_users, r.is_private, r.read_receipts, r.created_by, r.created_at,
+                       ur.user_id IS NOT NULL as is_member,
+                       COALESCE(ur.is_admin, FALSE) as is_admin
+                FROM rooms r
+                LEFT JOIN user_rooms ur ON ur.room_id = r.id AND ur.user_id = ?
+                WHERE r.is_archived = FALSE
+                AND (r.is_private = FALSE OR ur.user_id IS NOT NULL)
+                ORDER BY r.name ASC
+            `, [userId]);
+            return rows;
+        } catch (error) {
+            console.error('Error listing visible rooms:', error);
+            throw error;
+        }
+    }
+
+    // Find room by ID
+    static async findById(id) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT * FROM rooms WHERE id = ?',
+                [id]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error finding room by id:', error);
+            throw error;
+        }
+    }
+
+    // Find an active (non-archived) room by name
+    static async findByName(name) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT * FROM rooms WHERE name = ? AND is_archived = FALSE',
+                [name]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error finding room by name:', error);
+            throw error;
+        }
+    }
+
+    // Create a room and make its creator a room admin
+    static async create({ name, description = null, maxUsers = 50, isPrivate = false, readReceipts = true, createdBy }) {
+        try {
+            const [result] = await db.execute(
+                'INSERT INTO rooms (name, description, max_users, is_private, read_receipts, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+                [name, description, maxUsers, isPrivate, readReceipts, createdBy]
+            );
+
+            await this.addMember(result.insertId, createdBy, true);
+
+            console.log(`Created new room: ${name} with ID: ${result.insertId}`);
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating room:', error);
+            throw error;
+        }
+    }
+
+    // Update room details
+    static async update(id, updates = {}) {
+        try {
+            const { name, description, maxUsers, isPrivate, readReceipts } = updates;
+
+            // Build dynamic update query
+            const updateFields = [];
+            const values = [];
+
+            if (name !== undefined) {
+                updateFields.push('name = ?');
+                values.push(name);
+            }
+
+            if (description !== undefined) {
+                updateFields.push('description = ?');
+                values.push(description);
+            }
+
+            if (maxUsers !== undefined) {
+                updateFields.push('max_users = ?');
+                values.push(maxUsers);
+            }
+
+            if (isPrivate !== undefined) {
+                updateFields.push('is_private = ?');
+                values.push(isPrivate);
+            }
+
+            if (readReceipts !== undefined) {
+                updateFields.push('read_receipts = ?');
+                values.push(readReceipts);
+            }
+
+            if (updateFields.length === 0) {
+                return false;
+            }
+
+            values.push(id);
+            const [result] = await db.execute(
+                `UPDATE rooms SET ${updateFields.join(', ')} WHERE id = ? AND is_archived = FALSE`,
+                values
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error updating room:', error);
+            throw error;
+        }
+    }
+
+    // Archive a room; its messages are kept but nobody can join it
+    static async archive(id) {
+        try {
+            const [result] = await db.execute(
+                'UPDATE rooms SET is_archived = TRUE WHERE id = ? AND is_archived = FALSE',
+                [id]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error archiving room:', error);
+            throw error;
+        }
+    }
+
+    // Add a user to a room's membership list
+    static async addMember(roomId, userId, isAdmin = false) {
+        try {
+            await db.execute(
+                `INSERT INTO user_rooms (user_id, room_id, is_admin) VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE is_admin = is_admin OR VALUES(is_admin)`,
+                [userId, roomId, isAdmin]
+            );
+            return true;
+        } catch (error) {
+            console.error('Error adding room member:', error);
+            throw error;
+        }
+    }
+
+    // Remove a user from a room's membership list
+    static async removeMember(roomId, userId) {
+        try {
+            const [result] = await db.execute(
+                'DELETE FROM user_rooms WHERE room_id = ? AND user_id = ?',
+                [roomId, userId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error removing room member:', error);
+            throw error;
+        }
+    }
+
+    // List a room's members
+    static async getMembers(roomId) {
+        try {
+            const [rows] = await db.execute(`
+                SELECT u.id, u.username, u.avatar_url, ur.joined_at, ur.is_admin
+                FROM user_rooms ur
+                JOIN users u ON ur.user_id = u.id
+                WHERE ur.room_id = ?
+                ORDER BY ur.is_admin DESC, u.username ASC
+            `, [roomId]);
+            return rows;
+        } catch (error) {
+            console.error('Error listing room members:', error);
+            throw error;
+        }
+    }
+
+    // Check whether a user is a member of a room
+    static async isMember(roomId, userId) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT 1 FROM user_rooms WHERE room_id = ? AND user_id = ?',
+                [roomId, userId]
+            );
+            return rows.length > 0;
+        } catch (error) {
+            console.error('Error checking room membership:', error);
+            throw error;
+        }
+    }
+
+    // Public rooms are open to everyone; private rooms only to members
+    static async canAccess(room, userId) {
+        if (!room) {
+            return false;
+        }
+        if (!room.is_private) {
+            return true;
+        }
+        return await this.isMember(room.id, userId);
+    }
+
+    // Check whether a user is an admin of a room
+    static async isAdmin(roomId, userId) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT is_admin FROM user_rooms WHERE room_id = ? AND user_id = ?',
+                [roomId, userId]
+            );
+            return rows.length > 0 && !!rows[0].is_admin;
+        } catch (error) {
+            console.error('Error checking room admin:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Room;
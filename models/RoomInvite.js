@@ -0,0 +1,91 @@
+const db = require('../config/database');
+const crypto = require('crypto');
+
+class RoomInvite {
+    // Create an invite code for a room
+    static async create(roomId, createdBy, { expiresInHours = null, maxUses = null } = {}) {
+        try {
+            const code = crypto.randomBytes(12).toString('hex');
+
+            // DATE_ADD with a NULL interval yields NULL, i.e. no expiry
+            await db.execute(
+                `INSERT INTO room_invites (room_id, code, created_by, max_uses, expires_at)
+                 VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+                [roomId, code, createdBy, maxUses, expiresInHours]
+            );
+
+            return await this.findByCode(code);
+        } catch (error) {
+            console.error('Error creating room invite:', error);
+            throw error;
+        }
+    }
+
+    // Find invite by code
+    static async findByCode(code) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT * FROM room_invites WHERE code = ?',
+                [code]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error finding room invite:', error);
+            throw error;
+        }
+    }
+
+    // List invites for a room, newest first
+    static async findByRoom(roomId) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT * FROM room_invites WHERE room_id = ? ORDER BY created_at DESC',
+                [roomId]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error listing room invites:', error);
+            throw error;
+        }
+    }
+
+    // Use up one redemption of an invite. Returns the invite, or null if it is
+    // expired, revoked or used up. The use count is claimed atomically.
+    static async redeem(code) {
+        try {
+            const [result] = await db.execute(`
+                UPDATE room_invites
+                SET use_count = use_count + 1
+                WHERE code = ?
+                AND revoked_at IS NULL
+                AND (expires_at IS NULL OR expires_at > NOW())
+                AND (max_uses IS NULL OR use_count < max_uses)
+            `, [code]);
+
+            if (result.affectedRows === 0) {
+                return null;
+            }
+
+            return await this.findByCode(code);
+        } catch (error) {
+            console.error('Error redeeming room invite:', error);
+            throw error;
+        }
+    }
+
+    // Revoke an invite so it can no longer be used
+    static async revoke(roomId, code) {
+        try {
+            const [result] = await db.execute(
+                'UPDATE room_invites SET revoked_at = NOW() WHERE room_id = ? AND code = ? AND revoked_at IS NULL',
+                [roomId, code]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error revoking room invite:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = RoomInvite;
@@ -1,22 +1,20 @@
 const db = require('../config/database');
 
 class Session {
-    // Create or update active session
+    // Create or update the active session row for a socket. Rows are keyed by
+    // socket ID, since every tab of a browser shares one session ID.
     static async create(sessionId, userId, socketId = null, roomName = null, ipAddress = null, userAgent = null) {
         try {
-            // First check if session already exists
-            const existing = await this.findBySessionId(sessionId);
-            
-            if (existing) {
-                // Update existing session
-                return await this.update(sessionId, { socketId, roomName, ipAddress, userAgent });
+            if (!socketId) {
+                throw new Error('Socket ID is required');
             }
             
-            // Create new session
             const [result] = await db.execute(
-                `INSERT INTO active_sessions (session_id, user_id, socket_id, room_name, ip_address, user_agent, created_at, last_activity)
-                 VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-                [sessionId, userId, socketId, roomName, ipAddress, userAgent]
+                `INSERT INTO active_sessions (socket_id, session_id, user_id, room_name, ip_address, user_agent, created_at, last_activity)
+                 VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())
+                 ON DUPLICATE KEY UPDATE room_name = VALUES(room_name), ip_address = VALUES(ip_address),
+                     user_agent = VALUES(user_agent), last_activity = NOW()`,
+                [socketId, sessionId, userId, roomName, ipAddress, userAgent]
             );
             
             return result;
@@ -26,20 +24,15 @@ class Session {
         }
     }
 
-    // Update existing session with better error handling
-    static async update(sessionId, updates = {}) {
+    // Update a socket's session row with better error handling
+    static async update(socketId, updates = {}) {
         try {
-            const { socketId, roomName, ipAddress, userAgent } = updates;
+            const { roomName, ipAddress, userAgent } = updates;
             
             // Build dynamic update query
             const updateFields = [];
             const values = [];
             
-            if (socketId !== undefined) {
-                updateFields.push('socket_id = ?');
-                values.push(socketId);
-            }
-            
             if (roomName !== undefined) {
                 updateFields.push('room_name = ?');
                 values.push(roomName);
@@ -57,16 +50,16 @@ class Session {
             
             // Always update last_activity
             updateFields.push('last_activity = NOW()');
-            values.push(sessionId);
+            values.push(socketId);
             
             if (updateFields.length === 1) {
                 // Only last_activity update
                 await db.execute(
-                    'UPDATE active_sessions SET last_activity = NOW() WHERE session_id = ?',
-                    [sessionId]
+                    'UPDATE active_sessions SET last_activity = NOW() WHERE socket_id = ?',
+                    [socketId]
                 );
             } else {
-                const query = `UPDATE active_sessions SET ${updateFields.join(', ')} WHERE session_id = ?`;
+                const query = `UPDATE active_sessions SET ${updateFields.join(', ')} WHERE socket_id = ?`;
                 await db.execute(query, values);
             }
             
@@ -78,20 +71,20 @@ class Session {
     }
 
     // Update session activity with better validation
-    static async updateActivity(sessionId, socketId = null, roomName = null) {
+    static async updateActivity(socketId, roomName = null) {
         try {
-            if (!sessionId) {
-                throw new Error('Session ID is required');
+            if (!socketId) {
+                throw new Error('Socket ID is required');
             }
             
-            return await this.update(sessionId, { socketId, roomName });
+            return await this.update(socketId, { roomName });
         } catch (error) {
             console.error('Activity update error:', error);
             throw error;
         }
     }
 
-    // Remove session with proper cleanup
+    // Remove every socket's row of a session (e.g. on logout)
     static async remove(sessionId) {
         try {
             if (!sessionId) {
@@ -129,7 +122,7 @@ class Session {
         }
     }
 
-    // Find session by session ID
+    // Find a session by session ID (the most recently active of its sockets)
     static async findBySessionId(sessionId) {
         try {
             if (!sessionId) {
@@ -137,7 +130,7 @@ class Session {
             }
             
             const [rows] = await db.execute(
-                'SELECT * FROM active_sessions WHERE session_id = ?',
+                'SELECT * FROM active_sessions WHERE session_id = ? ORDER BY last_activity DESC LIMIT 1',
                 [sessionId]
             );
             
@@ -180,7 +173,9 @@ class Session {
                 SELECT DISTINCT 
                     u.id, 
                     u.username, 
+                    u.display_name,
                     u.is_online, 
+                    u.presence,
                     u.avatar_url,
                     s.last_activity,
                     s.socket_id
@@ -248,7 +243,7 @@ class Session {
             }
             
             const [rows] = await db.execute(`
-                SELECT id FROM active_sessions 
+                SELECT socket_id FROM active_sessions 
                 WHERE session_id = ? 
                 AND last_activity > DATE_SUB(NOW(), INTERVAL 24 HOUR)
             `, [sessionId]);
@@ -298,36 +293,6 @@ class Session {
             throw new Error('Failed to clean user sessions: ' + error.message);
         }
     }
-
-    // Update user's online status based on sessions
-    static async updateUserOnlineStatus(userId) {
-        try {
-            if (!userId) {
-                return false;
-            }
-            
-            // Check if user has any active sessions in last 10 minutes
-            const [activeSessions] = await db.execute(`
-                SELECT COUNT(*) as count 
-                FROM active_sessions 
-                WHERE user_id = ? 
-                AND last_activity > DATE_SUB(NOW(), INTERVAL 10 MINUTE)
-            `, [userId]);
-            
-            const isOnline = activeSessions[0].count > 0;
-            
-            // Update user status
-            await db.execute(
-                'UPDATE users SET is_online = ?, last_seen = NOW() WHERE id = ?',
-                [isOnline, userId]
-            );
-            
-            return isOnline;
-        } catch (error) {
-            console.error('Update online status error:', error);
-            throw new Error('Failed to update online status: ' + error.message);
-        }
-    }
 }
 
 module.exports = Session;
\ No newline at end of file
@@ -54,6 +54,24 @@ class User {
         }
     }
 
+    // Find several users by username (case-insensitive with the default collation)
+    static async findByUsernames(usernames) {
+        if (!usernames || usernames.length === 0) {
+            return [];
+        }
+
+        try {
+            const placeholders = usernames.map(() => '?').join(', ');
+            const [rows] = await db.query(
+                `SELECT id, username, is_bot FROM users WHERE username IN (${placeholders})`,
+                usernames
+            );
+            return rows;
+        } catch (error) {
+            throw error;
+        }
+    }
+
     // Find user by email OR username (for login)
     static async findByEmailOrUsername(emailOrUsername) {
         try {
@@ -85,7 +103,9 @@ class User {
     static async findById(id) {
         try {
             const [rows] = await db.execute(
-                'SELECT id, username, email, avatar_url, is_online, created_at FROM users WHERE id = ?',
+                `SELECT id, username, email, display_name, avatar_url, bio, status_text,
+                        is_online, presence, is_guest, is_bot, guest_expires_at, last_seen, created_at
+                 FROM users WHERE id = ?`,
                 [id]
             );
             return rows[0];
@@ -94,13 +114,118 @@ class User {
         }
     }
 
-    // Update online status
-    static async setOnlineStatus(userId, isOnline) {
+    // Update profile fields: displayName, bio, statusText
+    static async updateProfile(userId, updates = {}) {
+        try {
+            const columns = { displayName: 'display_name', bio: 'bio', statusText: 'status_text' };
+            const updateFields = [];
+            const values = [];
+
+            Object.entries(columns).forEach(([field, column]) => {
+                if (updates[field] !== undefined) {
+                    updateFields.push(`${column} = ?`);
+                    values.push(updates[field]);
+                }
+            });
+
+            if (updateFields.length === 0) {
+                return false;
+            }
+
+            values.push(userId);
+            const [result] = await db.execute(
+                `UPDATE users SET ${updateFields.join(', ')} WHERE id = ?`,
+                values
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Set or clear (null) a user's avatar URL
+    static async setAvatar(userId, avatarUrl) {
         try {
             await db.execute(
-                'UPDATE users SET is_online = ?, last_seen = CURRENT_TIMESTAMP WHERE id = ?',
-                [isOnline, userId]
+                'UPDATE users SET avatar_url = ? WHERE id = ?',
+                [avatarUrl, userId]
+            );
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Set a user's presence ('online', 'away' or 'offline'), keeping is_online
+    // in step. Returns false when it already had that presence, so only real
+    // transitions (even when several instances race) report true.
+    static async setPresence(userId, presence) {
+        try {
+            const [result] = await db.execute(
+                `UPDATE users SET presence = ?, is_online = ?, last_seen = CURRENT_TIMESTAMP
+                 WHERE id = ? AND presence != ?`,
+                [presence, presence !== 'offline', userId, presence]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // IDs of users who are not marked offline
+    static async findPresentIds() {
+        try {
+            const [rows] = await db.execute("SELECT id FROM users WHERE presence != 'offline'");
+            return rows.map(row => row.id);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Create a guest user with no email or password; it expires after ttlHours
+    static async createGuest(username, ttlHours = 24) {
+        try {
+            const [result] = await db.execute(
+                `INSERT INTO users (username, is_guest, guest_expires_at)
+                 VALUES (?, TRUE, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+                [username, ttlHours]
+            );
+            return result.insertId;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Check whether a guest user has passed its expiry time
+    static isGuestExpired(user) {
+        if (!user || !user.is_guest) {
+            return false;
+        }
+        return !user.guest_expires_at || new Date(user.guest_expires_at) <= new Date();
+    }
+
+    // Turn a guest into a registered account in place so its message history is kept
+    static async upgradeGuest(userId, username, email, password) {
+        try {
+            const hashedPassword = await bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+            const [result] = await db.execute(
+                `UPDATE users
+                 SET username = ?, email = ?, password_hash = ?, is_guest = FALSE, guest_expires_at = NULL
+                 WHERE id = ? AND is_guest = TRUE`,
+                [username, email, hashedPassword, userId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Remove guest users whose expiry time has passed
+    static async cleanExpiredGuests() {
+        try {
+            const [result] = await db.execute(
+                'DELETE FROM users WHERE is_guest = TRUE AND guest_expires_at < NOW()'
             );
+            return result.affectedRows;
         } catch (error) {
             throw error;
         }
@@ -0,0 +1,229 @@
+const db = require('../config/database');
+
+class Webhook {
+    // Register an incoming webhook that posts as userId (its bot user)
+    static async createIncoming({ roomId, userId, name, tokenHash, createdBy }) {
+        try {
+            const [result] = await db.execute(
+                `INSERT INTO incoming_webhooks (room_id, user_id, name, token_hash, created_by)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [roomId, userId, name, tokenHash, createdBy]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating incoming webhook:', error);
+            throw error;
+        }
+    }
+
+    // Find an incoming webhook with its room and bot user
+    static async findIncoming(id) {
+        try {
+            const [rows] = await db.execute(
+                `SELECT w.*, r.name as room_name, r.is_archived, u.username
+                 FROM incoming_webhooks w
+                 JOIN rooms r ON w.room_id = r.id
+                 JOIN users u ON w.user_id = u.id
+                 WHERE w.id = ?`,
+                [id]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error finding incoming webhook:', error);
+            throw error;
+        }
+    }
+
+    static async listIncoming(roomId) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT * FROM incoming_webhooks WHERE room_id = ? ORDER BY created_at ASC',
+                [roomId]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error listing incoming webhooks:', error);
+            throw error;
+        }
+    }
+
+    static async touchIncoming(id) {
+        try {
+            await db.execute('UPDATE incoming_webhooks SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+        } catch (error) {
+            console.error('Error updating incoming webhook:', error);
+            throw error;
+        }
+    }
+
+    // Remove an incoming webhook; its past messages keep their bot user
+    static async deleteIncoming(roomId, id) {
+        try {
+            const [result] = await db.execute(
+                'DELETE FROM incoming_webhooks WHERE id = ? AND room_id = ?',
+                [id, roomId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error deleting incoming webhook:', error);
+            throw error;
+        }
+    }
+
+    static async createOutgoing({ roomId, url, secret, createdBy }) {
+        try {
+            const [result] = await db.execute(
+                'INSERT INTO outgoing_webhooks (room_id, url, secret, created_by) VALUES (?, ?, ?, ?)',
+                [roomId, url, secret, createdBy]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error creating outgoing webhook:', error);
+            throw error;
+        }
+    }
+
+    static async findOutgoing(id) {
+        try {
+            const [rows] = await db.execute('SELECT * FROM outgoing_webhooks WHERE id = ?', [id]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error finding outgoing webhook:', error);
+            throw error;
+        }
+    }
+
+    static async listOutgoing(roomId) {
+        try {
+            const [rows] = await db.execute(
+                'SELECT * FROM outgoing_webhooks WHERE room_id = ? ORDER BY created_at ASC',
+                [roomId]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error listing outgoing webhooks:', error);
+            throw error;
+        }
+    }
+
+    // Remove an outgoing webhook along with its delivery log
+    static async deleteOutgoing(roomId, id) {
+        try {
+            const [result] = await db.execute(
+                'DELETE FROM outgoing_webhooks WHERE id = ? AND room_id = ?',
+                [id, roomId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error deleting outgoing webhook:', error);
+            throw error;
+        }
+    }
+
+    // Queue a delivery. The caller attempts it straight away; the retry loop
+    // only picks it up after a minute, in case that attempt never finishes.
+    static async createDelivery(webhookId, event, payload) {
+        try {
+            const [result] = await db.execute(
+                `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+                 VALUES (?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL 1 MINUTE))`,
+                [webhookId, event, JSON.stringify(payload)]
+            );
+            return result.insertId;
+        } catch (error) {
+            console.error('Error queueing webhook delivery:', error);
+            throw error;
+        }
+    }
+
+    // A delivery with the webhook's URL and secret
+    static async findDelivery(id) {
+        try {
+            const [rows] = await db.execute(
+                `SELECT d.*, w.url, w.secret
+                 FROM webhook_deliveries d
+                 JOIN outgoing_webhooks w ON d.webhook_id = w.id
+                 WHERE d.id = ?`,
+                [id]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            console.error('Error finding webhook delivery:', error);
+            throw error;
+        }
+    }
+
+    // IDs of pending deliveries whose next attempt is due, oldest first
+    static async getDueDeliveryIds(limit = 50) {
+        try {
+            const [rows] = await db.query(
+                `SELECT id FROM webhook_deliveries
+                 WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+                 ORDER BY next_attempt_at ASC
+                 LIMIT ?`,
+                [limit]
+            );
+            return rows.map(row => row.id);
+        } catch (error) {
+            console.error('Error loading due webhook deliveries:', error);
+            throw error;
+        }
+    }
+
+    // Push a due delivery's next attempt back a minute so only one instance
+    // retries it. Returns false if it was no longer due.
+    static async claimDelivery(id) {
+        try {
+            const [result] = await db.execute(
+                `UPDATE webhook_deliveries
+                 SET next_attempt_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL 1 MINUTE)
+                 WHERE id = ? AND status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP`,
+                [id]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error claiming webhook delivery:', error);
+            throw error;
+        }
+    }
+
+    // Record the outcome of an attempt. retryInSeconds schedules another one;
+    // null marks the delivery delivered (ok) or failed for good.
+    static async recordAttempt(id, { ok, responseStatus = null, error = null, retryInSeconds = null }) {
+        try {
+            const status = ok ? 'delivered' : (retryInSeconds === null ? 'failed' : 'pending');
+            await db.execute(
+                `UPDATE webhook_deliveries
+                 SET status = ?, attempts = attempts + 1, response_status = ?, last_error = ?,
+                     next_attempt_at = IF(? IS NULL, NULL, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND))
+                 WHERE id = ?`,
+                [status, responseStatus, error ? error.slice(0, 255) : null, retryInSeconds, retryInSeconds, id]
+            );
+        } catch (dbError) {
+            console.error('Error recording webhook delivery:', dbError);
+            throw dbError;
+        }
+    }
+
+    // Delivery log for an outgoing webhook, newest first
+    static async getDeliveries(webhookId, limit = 50) {
+        try {
+            const deliveryLimit = Math.max(1, Math.min(parseInt(limit, 10) || 50, 200));
+            const [rows] = await db.query(
+                `SELECT id, webhook_id, event, status, attempts, response_status, last_error,
+                        next_attempt_at, created_at, updated_at
+                 FROM webhook_deliveries
+                 WHERE webhook_id = ?
+                 ORDER BY id DESC
+                 LIMIT ?`,
+                [webhookId, deliveryLimit]
+            );
+            return rows;
+        } catch (error) {
+            console.error('Error loading webhook deliveries:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Webhook;
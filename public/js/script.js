@@ -8,6 +8,33 @@ const logoutBtn = document.getElementById('logout-btn');
 const msgInput = document.getElementById('msg');
 const sendBtn = document.querySelector('.send-button');
 const typingIndicator = document.getElementById('typing-indicator');
+const upgradeForm = document.getElementById('upgrade-form');
+const inviteBtn = document.getElementById('invite-btn');
+const searchForm = document.getElementById('search-form');
+const searchInput = document.getElementById('search-input');
+const searchAuthor = document.getElementById('search-author');
+const searchResults = document.getElementById('search-results');
+const searchMoreBtn = document.getElementById('search-more-btn');
+const dmList = document.getElementById('dm-list');
+const attachBtn = document.getElementById('attach-btn');
+const attachmentInput = document.getElementById('attachment-input');
+const attachmentPending = document.getElementById('attachment-pending');
+const attachmentName = document.getElementById('attachment-name');
+const attachmentClear = document.getElementById('attachment-clear');
+const profileForm = document.getElementById('profile-form');
+const profileAvatar = document.getElementById('profile-avatar');
+const avatarBtn = document.getElementById('avatar-btn');
+const avatarInput = document.getElementById('avatar-input');
+const profileCard = document.getElementById('profile-card');
+const replyPending = document.getElementById('reply-pending');
+const replyPreview = document.getElementById('reply-preview');
+const replyCancel = document.getElementById('reply-cancel');
+const threadPanel = document.getElementById('thread-panel');
+const threadMessages = document.getElementById('thread-messages');
+const threadClose = document.getElementById('thread-close');
+const mentionList = document.getElementById('mention-list');
+const mentionCount = document.getElementById('mention-count');
+const mentionSuggestions = document.getElementById('mention-suggestions');
 
 const socket = io();
 
@@ -18,6 +45,24 @@ let typingTimer;
 let isTyping = false;
 let isSocketConnected = false;
 let isAuthenticated = false;
+let isGuest = false;
+let currentDm = null; // { userId, username } while a direct message thread is open
+let pendingAttachment = null; // File chosen to send with the next message
+let replyingTo = null; // { id, username, text } of the message being replied to
+let lastReportedReadId = 0; // Last message ID sent with markRead for the current room
+const roomReceipts = new Map(); // userId -> { name, lastReadMessageId } for "seen by"
+let currentRoomUsers = []; // Latest roomUsers list, for @mention autocomplete
+let resumeToken = null; // From roomJoined, to take our room place back after reconnecting
+let lastSeenMessageId = 0; // Newest stored message received in the current room
+let lastSentText = ''; // Put back in the input if the server refuses it for flooding
+let typingBlockedUntil = 0; // Typing events are held back until then after a rateLimited
+let sendBlockedTimer = null;
+const roomsByName = new Map();
+
+// History paging state for the current room
+let hasOlderHistory = false;
+let hasNewerHistory = false;
+let isLoadingHistory = false;
 
 // Initialize user and check authentication with retry logic
 async function initializeUser() {
@@ -42,7 +87,12 @@ async function initializeUser() {
                 if (userData.success && userData.user) {
                     currentUsername = userData.user.username;
                     currentUserId = userData.user.id;
+                    isGuest = !!userData.user.isGuest;
                     isAuthenticated = true;
+                    
+                    if (upgradeForm) {
+                        upgradeForm.style.display = isGuest ? 'block' : 'none';
+                    }
                     console.log('Authentication successful:', currentUsername);
                     return true;
                 }
@@ -74,11 +124,159 @@ async function initializeUser() {
     return false;
 }
 
+// Build the room picker from the rooms API
+async function loadRooms() {
+    if (!roomSelect) return [];
+    
+    try {
+        const response = await fetch('/api/rooms', { credentials: 'include' });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || 'Failed to load rooms');
+        }
+        
+        roomSelect.innerHTML = '';
+        roomsByName.clear();
+        result.rooms.forEach((room) => {
+            roomsByName.set(room.name, room);
+            const option = document.createElement('option');
+            option.value = room.name;
+            option.textContent = formatRoomOption(room);
+            roomSelect.appendChild(option);
+        });
+        
+        if (currentRoom) {
+            roomSelect.value = currentRoom;
+        }
+        
+        return result.rooms;
+    } catch (error) {
+        console.error('Error loading rooms:', error);
+        roomSelect.innerHTML = '<option value="">No rooms available</option>';
+        showError('Could not load rooms');
+        return [];
+    }
+}
+
+function formatRoomOption(room) {
+    const label = room.description ? `${room.name} (${room.description})` : room.name;
+    const unread = room.unreadCount > 0 && room.name !== currentRoom ? ` · 🔴 ${room.unreadCount} new` : '';
+    return `${label} · ${room.userCount || 0}/${room.maxUsers}${unread}`;
+}
+
+// Refresh unread badges (and occupancy) without rebuilding the picker
+async function refreshRoomBadges() {
+    if (!roomSelect || !isAuthenticated) return;
+    
+    try {
+        const response = await fetch('/api/rooms', { credentials: 'include' });
+        const result = await response.json();
+        if (!result.success) return;
+        
+        result.rooms.forEach((room) => {
+            roomsByName.set(room.name, room);
+            const option = Array.from(roomSelect.options).find(opt => opt.value === room.name);
+            if (option) {
+                option.textContent = formatRoomOption(room);
+            }
+        });
+    } catch (error) {
+        console.error('Error refreshing unread counts:', error);
+    }
+}
+
+setInterval(refreshRoomBadges, 60 * 1000);
+
+// Redeem an invite code from the URL (?invite=CODE); returns the room name
+async function acceptInviteFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('invite');
+    if (!code) return null;
+    
+    // Drop the code from the address bar so a reload doesn't reuse it
+    window.history.replaceState({}, '', window.location.pathname);
+    
+    try {
+        const response = await fetch(`/api/invites/${encodeURIComponent(code)}/accept`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            showError(`Invite failed: ${result.message}`);
+            return null;
+        }
+        
+        return result.room.name;
+    } catch (error) {
+        console.error('Invite error:', error);
+        showError('Could not accept invite');
+        return null;
+    }
+}
+
+function updateInviteButton() {
+    if (!inviteBtn) return;
+    
+    const roomInfo = roomsByName.get(currentRoom);
+    inviteBtn.style.display = roomInfo && roomInfo.isAdmin ? 'block' : 'none';
+}
+
+// Room admins can create a shareable invite link for the current room
+if (inviteBtn) {
+    inviteBtn.addEventListener('click', async () => {
+        const roomInfo = roomsByName.get(currentRoom);
+        if (!roomInfo) return;
+        
+        try {
+            const response = await fetch(`/api/rooms/${roomInfo.id}/invites`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+                body: JSON.stringify({ expiresInHours: 24 })
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                window.prompt('Share this invite link (valid for 24 hours):', result.invite.link);
+            } else {
+                showError(result.message);
+            }
+        } catch (error) {
+            console.error('Create invite error:', error);
+            showError('Could not create invite');
+        }
+    });
+}
+
+// Keep the occupancy shown in the room picker live
+socket.on('roomOccupancy', ({ room, userCount, maxUsers }) => {
+    const roomInfo = roomsByName.get(room);
+    if (!roomInfo || !roomSelect) return;
+    
+    roomInfo.userCount = userCount;
+    roomInfo.maxUsers = maxUsers;
+    
+    const option = Array.from(roomSelect.options).find(opt => opt.value === room);
+    if (option) {
+        option.textContent = formatRoomOption(roomInfo);
+    }
+});
+
 // Socket connection handlers with better state management
 socket.on('connect', () => {
     console.log('Socket connected:', socket.id);
     isSocketConnected = true;
     
+    // A new connection starts out active
+    if (isIdle) {
+        socket.emit('setIdle', { idle: true });
+    }
+    
     // Only enable UI if authenticated
     if (isAuthenticated && msgInput && sendBtn) {
         msgInput.disabled = false;
@@ -101,23 +299,117 @@ socket.on('disconnect', (reason) => {
 socket.on('connect_error', (error) => {
     console.error('Socket connection error:', error);
     isSocketConnected = false;
+    
+    // Handshake refused because the session is missing or the guest expired
+    if (error && (error.message === 'Not authenticated' || error.message === 'Guest session has expired')) {
+        isAuthenticated = false;
+        window.location.href = '/';
+    }
 });
 
-socket.on('reconnect', (attemptNumber) => {
+// Reconnection is reported by the manager, not the socket, in Socket.IO 4
+socket.io.on('reconnect', (attemptNumber) => {
     console.log('Socket reconnected after', attemptNumber, 'attempts');
-    isSocketConnected = true;
     
-    // Re-join current room if authenticated and was in a room
-    if (currentRoom && currentUsername && isAuthenticated) {
+    if (!currentRoom || !currentUsername || !isAuthenticated) return;
+    
+    // Resume quietly, catching up on missed messages; re-join if that fails.
+    // Emits are buffered until the socket itself is connected again.
+    if (resumeToken) {
+        socket.emit('resumeSession', { token: resumeToken, lastMessageId: lastSeenMessageId });
+    } else {
         setTimeout(() => joinRoom(currentRoom), 1000);
     }
 });
 
+socket.on('sessionResumed', ({ room, resumeToken: token, messages, gap }) => {
+    console.log(`Resumed ${room} with ${messages.length} messages to catch up on`);
+    resumeToken = token;
+    currentRoom = room;
+    messages.forEach(noteMessageSeen);
+    
+    // While viewing older history or a DM thread, room messages aren't shown
+    if (hasNewerHistory || currentDm || !chatMessages) return;
+    
+    // Too much was missed to replay; start over from the latest page
+    if (gap) {
+        chatMessages.innerHTML = '';
+        hasOlderHistory = messages.length > 0;
+    }
+    
+    // Skip anything that already arrived live on the new connection
+    messages
+        .filter(message => !chatMessages.querySelector(`.message[data-message-id="${message.id}"]`))
+        .forEach(message => {
+            if (!gap && message.threadId) {
+                noteThreadReply(message);
+            }
+            outputMessage(message);
+        });
+    scrollToBottom();
+    markLatestRead();
+    updateSeenBy();
+});
+
+socket.on('resumeFailed', ({ message }) => {
+    console.log('Could not resume session:', message);
+    resumeToken = null;
+    
+    if (currentRoom) {
+        joinRoom(currentRoom);
+    }
+});
+
+// Idle detection: report this tab as idle after a while without input, so
+// the server can show the user as away once all their tabs are idle
+const IDLE_AFTER_MS = 5 * 60 * 1000;
+let isIdle = false;
+let idleTimer = null;
+
+function markActive() {
+    if (isIdle) {
+        isIdle = false;
+        socket.emit('setIdle', { idle: false });
+    }
+    
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+        isIdle = true;
+        socket.emit('setIdle', { idle: true });
+    }, IDLE_AFTER_MS);
+}
+
+['mousemove', 'keydown', 'click', 'scroll', 'touchstart', 'focus'].forEach(eventName => {
+    window.addEventListener(eventName, markActive, { passive: true });
+});
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) markActive();
+});
+markActive();
+
+const PRESENCE_ICONS = { online: '🟢', away: '🟡', offline: '🔴' };
+
+socket.on('presenceChanged', ({ userId, state }) => {
+    const member = currentRoomUsers.find(user => user.id === userId);
+    if (member) {
+        member.presence = state;
+        member.isOnline = state !== 'offline';
+        outputUsers(currentRoomUsers);
+    }
+    
+    const dmEntry = dmList && dmList.querySelector(`[data-user-id="${userId}"] .dm-presence`);
+    if (dmEntry) {
+        dmEntry.textContent = PRESENCE_ICONS[state];
+    }
+});
+
 // Join room functionality
 if (joinRoomBtn) {
     joinRoomBtn.addEventListener('click', () => {
         const selectedRoom = roomSelect?.value;
-        if (selectedRoom && isAuthenticated && currentUsername) {
+        if (currentDm && selectedRoom === currentRoom) {
+            returnToRoom();
+        } else if (selectedRoom && isAuthenticated && currentUsername) {
             joinRoom(selectedRoom);
         } else if (!isAuthenticated) {
             showError('Please log in first');
@@ -156,6 +448,9 @@ function joinRoom(room) {
     }
 
     currentRoom = room.trim();
+    resumeToken = null;
+    lastSeenMessageId = 0;
+    closeDm();
     
     // Clear previous messages and show loading
     if (chatMessages) {
@@ -170,16 +465,15 @@ function joinRoom(room) {
     }
     
     console.log(`Joining room: ${currentRoom} as ${currentUsername}`);
-    socket.emit('joinRoom', { 
-        username: currentUsername, 
-        room: currentRoom
-    });
+    // The server resolves identity from the session cookie
+    socket.emit('joinRoom', { room: currentRoom });
 }
 
 // Handle successful room join
-socket.on('roomJoined', ({ room, user }) => {
+socket.on('roomJoined', ({ room, user, resumeToken: token }) => {
     console.log('Successfully joined room:', room);
     currentRoom = room;
+    resumeToken = token || null;
     
     // Enable chat form
     if (msgInput && sendBtn && isAuthenticated) {
@@ -204,6 +498,12 @@ socket.on('roomJoined', ({ room, user }) => {
         roomSelect.value = room;
     }
     
+    updateInviteButton();
+    
+    // Read state starts over for the new room; history arrives in loadMessages
+    lastReportedReadId = 0;
+    loadReadReceipts(room);
+    
     // Remove loading message
     if (chatMessages) {
         const loadingMsg = chatMessages.querySelector('.loading');
@@ -216,7 +516,24 @@ socket.on('roomJoined', ({ room, user }) => {
 // Handle room join errors
 socket.on('roomJoinError', (error) => {
     console.error('Room join error:', error);
-    showError(`Failed to join room: ${error}`);
+    const reason = error && error.reason;
+    const message = typeof error === 'string' ? error : (error && error.message) || 'Unknown error';
+    
+    // Clear loading message
+    if (chatMessages) {
+        const loadingMsg = chatMessages.querySelector('.loading');
+        if (loadingMsg) {
+            loadingMsg.remove();
+        }
+    }
+    
+    // Offer the waitlist when the room is at capacity
+    if (reason === 'room_full' && window.confirm(`${message}. Join the waitlist?`)) {
+        socket.emit('joinRoom', { room: error.room, waitlist: true });
+        return;
+    }
+    
+    showError(`Failed to join room: ${message}`);
     
     // Re-enable form if authenticated
     if (msgInput && sendBtn && isAuthenticated) {
@@ -224,14 +541,48 @@ socket.on('roomJoinError', (error) => {
         sendBtn.disabled = false;
         msgInput.placeholder = 'Select a room to start chatting...';
     }
+});
+
+// Waiting for a spot in a full room
+socket.on('roomWaitlisted', ({ room, position }) => {
+    console.log(`Waitlisted for ${room} at position ${position}`);
     
-    // Clear loading message
     if (chatMessages) {
-        const loadingMsg = chatMessages.querySelector('.loading');
-        if (loadingMsg) {
-            loadingMsg.remove();
-        }
+        chatMessages.innerHTML = `<div class="loading" style="text-align: center; padding: 20px; color: #6c757d;">${escapeHtml(room)} is full. You are #${position} on the waitlist...</div>`;
+    }
+});
+
+// Kicked out of a room (e.g. membership revoked)
+socket.on('removedFromRoom', ({ room, reason }) => {
+    console.log('Removed from room:', room, reason);
+    if (room !== currentRoom) return;
+    
+    currentRoom = null;
+    showError(reason || `You were removed from ${room}`);
+    
+    if (chatMessages) {
+        chatMessages.innerHTML = '';
+    }
+    if (userList) {
+        userList.innerHTML = '';
+    }
+    if (roomName) {
+        roomName.textContent = 'Select a room';
+    }
+    if (msgInput && sendBtn) {
+        msgInput.disabled = true;
+        sendBtn.disabled = true;
+        msgInput.placeholder = 'Select a room to start chatting...';
     }
+    
+    updateInviteButton();
+    loadRooms();
+});
+
+// A spot opened up in the room we are waiting for
+socket.on('roomSpotAvailable', ({ room }) => {
+    console.log('Spot available in room:', room);
+    joinRoom(room);
 });
 
 // Message submit with better error handling
@@ -250,7 +601,7 @@ if (chatForm) {
             return;
         }
 
-        if (!currentRoom) {
+        if (!currentRoom && !currentDm) {
             showError('Please join a room first.');
             return;
         }
@@ -263,6 +614,11 @@ if (chatForm) {
 
         let msg = msgElement.value.trim();
         
+        if (pendingAttachment && !currentDm) {
+            sendAttachment(msgElement, msg);
+            return;
+        }
+        
         if (!msg) {
             msgElement.focus();
             return;
@@ -273,11 +629,20 @@ if (chatForm) {
         sendBtn.disabled = true;
 
         console.log('Sending message:', msg);
-        socket.emit('chatMessage', msg);
+        lastSentText = msg;
+        if (currentDm) {
+            socket.emit('directMessage', { toUserId: currentDm.userId, text: msg });
+        } else if (replyingTo) {
+            socket.emit('chatMessage', { text: msg, replyTo: replyingTo.id });
+            setReplyTarget(null);
+        } else {
+            socket.emit('chatMessage', msg);
+        }
 
-        // Clear input and re-enable
+        // Clear input and re-enable, unless rateLimited has blocked sending meanwhile
         msgElement.value = '';
         setTimeout(() => {
+            if (sendBlockedTimer) return;
             msgElement.disabled = false;
             sendBtn.disabled = false;
             msgElement.focus();
@@ -296,7 +661,7 @@ if (msgInput) {
     msgInput.addEventListener('input', () => {
         if (!currentRoom || !isSocketConnected || !isAuthenticated) return;
         
-        if (!isTyping) {
+        if (!isTyping && Date.now() >= typingBlockedUntil) {
             socket.emit('typing');
             isTyping = true;
         }
@@ -319,6 +684,39 @@ if (msgInput) {
     });
 }
 
+// Guest account upgrade
+if (upgradeForm) {
+    upgradeForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const upgradeData = Object.fromEntries(new FormData(e.target));
+        
+        try {
+            const response = await fetch('/auth/upgrade', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+                body: JSON.stringify(upgradeData)
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                isGuest = false;
+                upgradeForm.style.display = 'none';
+                upgradeForm.reset();
+            } else {
+                showError(result.message);
+            }
+        } catch (error) {
+            console.error('Upgrade error:', error);
+            showError('Network error. Please try again.');
+        }
+    });
+}
+
 // Enhanced logout with proper cleanup
 if (logoutBtn) {
     logoutBtn.addEventListener('click', async () => {
@@ -374,6 +772,7 @@ if (logoutBtn) {
             currentUserId = null;
             currentRoom = null;
             isAuthenticated = false;
+            isGuest = false;
             isSocketConnected = false;
             
             // Clear any timers
@@ -389,10 +788,29 @@ if (logoutBtn) {
 
 // Socket event listeners
 
+// Remember the newest stored message, for replay after a resume
+function noteMessageSeen(message) {
+    if (message.id) {
+        lastSeenMessageId = Math.max(lastSeenMessageId, message.id);
+    }
+}
+
 socket.on('message', (message) => {
     console.log('Received message:', message);
+    
+    noteMessageSeen(message);
+    
+    if (message.threadId) {
+        noteThreadReply(message);
+    }
+    
+    // While viewing older history or a DM thread, room messages aren't shown
+    if (hasNewerHistory || currentDm) return;
+    
     outputMessage(message);
     scrollToBottom();
+    markLatestRead();
+    updateSeenBy();
 });
 
 socket.on('loadMessages', (messages) => {
@@ -412,12 +830,23 @@ socket.on('loadMessages', (messages) => {
         }
     }
     
-    messages.forEach(message => outputMessage(message));
+    messages.forEach(message => {
+        noteMessageSeen(message);
+        outputMessage(message);
+    });
     scrollToBottom();
+    
+    // Fresh room view: older pages may exist, and we're at the live end
+    hasOlderHistory = messages.length > 0;
+    hasNewerHistory = false;
+    
+    markLatestRead();
+    updateSeenBy();
 });
 
 socket.on('roomUsers', ({ room, users }) => {
     console.log('Room users updated:', users.length, 'users');
+    currentRoomUsers = users;
     outputRoomName(room);
     outputUsers(users);
 });
@@ -441,7 +870,8 @@ socket.on('error', (error) => {
 
 socket.on('messageError', (error) => {
     console.error('Message error:', error);
-    showError(`Failed to send message: ${error}`);
+    const message = typeof error === 'string' ? error : (error && error.message) || 'Unknown error';
+    showError(`Failed to send message: ${message}`);
     
     // Re-enable message input
     if (msgInput && sendBtn) {
@@ -451,106 +881,1279 @@ socket.on('messageError', (error) => {
     }
 });
 
-// Helper functions
-
-function showError(message) {
-    console.error('Error:', message);
-    
-    // Create a temporary error display
-    const errorDiv = document.createElement('div');
-    errorDiv.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        background: #dc3545;
-        color: white;
-        padding: 15px;
-        border-radius: 5px;
-        z-index: 1000;
-        max-width: 300px;
-        box-shadow: 0 4px 6px rgba(0,0,0,0.1);
-    `;
-    errorDiv.textContent = message;
+// Message edits
+function editMessage(messageId, messageElement) {
+    const textElement = messageElement.querySelector('.text');
+    const newText = window.prompt('Edit message:', textElement ? textElement.textContent : '');
     
-    document.body.appendChild(errorDiv);
+    if (newText === null || !newText.trim()) return;
     
-    // Remove after 5 seconds
-    setTimeout(() => {
-        if (errorDiv.parentNode) {
-            errorDiv.parentNode.removeChild(errorDiv);
-        }
-    }, 5000);
-}
-
-function scrollToBottom() {
-    if (chatMessages) {
-        setTimeout(() => {
-            chatMessages.scrollTop = chatMessages.scrollHeight;
-        }, 50);
-    }
+    // Edits share the message flood limit; a refusal shouldn't bring back older chat text
+    lastSentText = '';
+    socket.emit('editMessage', { messageId, text: newText.trim() });
 }
 
-function outputMessage(message) {
-    // Add comprehensive debugging
-    console.log('outputMessage called with:', message);
+// The server refused an event for flooding; hold off for retryAfterMs
+socket.on('rateLimited', ({ action, retryAfterMs, message }) => {
+    console.warn('Rate limited:', action, retryAfterMs);
     
-    if (!chatMessages) {
-        console.error('chatMessages element not found! Looking for element with class "chat-messages"');
-        console.log('Available elements:', document.querySelectorAll('.chat-messages'));
+    if (action === 'typing') {
+        typingBlockedUntil = Date.now() + retryAfterMs;
+        isTyping = false;
         return;
     }
     
-    if (!message) {
-        console.error('Message is null or undefined');
-        return;
-    }
+    showError(message);
     
-    if (!message.username) {
-        console.warn('Message missing username:', message);
-    }
+    if (action !== 'message' || !msgInput || !sendBtn) return;
     
-    if (!message.text) {
-        console.warn('Message missing text:', message);
+    // Give the refused text back and keep sending disabled until the wait is over
+    if (!msgInput.value) {
+        msgInput.value = lastSentText;
     }
     
-    const div = document.createElement('div');
-    div.classList.add('message');
+    clearTimeout(sendBlockedTimer);
+    msgInput.disabled = true;
+    sendBtn.disabled = true;
+    msgInput.placeholder = `Slow down: you can send again in ${Math.ceil(retryAfterMs / 1000)}s`;
     
-    const isOwnMessage = message.username === currentUsername;
-    if (isOwnMessage) {
-        // Use 'own' class to match CSS (.message.own)
-        div.classList.add('own');
+    sendBlockedTimer = setTimeout(() => {
+        sendBlockedTimer = null;
+        msgInput.disabled = false;
+        sendBtn.disabled = false;
+        msgInput.placeholder = 'Enter Message';
+        msgInput.focus();
+    }, retryAfterMs);
+});
+
+socket.on('messageEdited', ({ id, text }) => {
+    if (!chatMessages) return;
+    
+    const messageElement = chatMessages.querySelector(`.message[data-message-id="${id}"]`);
+    if (!messageElement) return;
+    
+    const textElement = messageElement.querySelector('.text');
+    if (textElement) {
+        textElement.innerHTML = highlightMentions(text);
+        messageElement.classList.toggle('mentions-me', mentionsCurrentUser(text));
     }
     
-    // Handle system messages
-    if (message.username === 'ChatBud Bot' || message.username === 'ChatBud') {
-        div.classList.add('system-message');
+    const editedMarker = messageElement.querySelector('.edited-marker');
+    if (editedMarker) {
+        editedMarker.style.display = '';
     }
+});
+
+// Message deletion
+function deleteMessage(messageId) {
+    if (!window.confirm('Delete this message?')) return;
     
-    // More robust time handling
-    let time;
-    if (message.time) {
-        time = message.time;
-    } else if (message.timestamp) {
-        time = new Date(message.timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-    } else {
-        time = new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+    socket.emit('deleteMessage', { messageId });
+}
+
+socket.on('messageDeleted', ({ id }) => {
+    if (!chatMessages) return;
+    
+    const messageElement = chatMessages.querySelector(`.message[data-message-id="${id}"]`);
+    if (messageElement) {
+        renderDeletedMessage(messageElement, id);
     }
+});
+
+socket.on('messageRestored', (message) => {
+    if (!chatMessages) return;
     
-    // Use fallback values for missing properties
-    const username = message.username || 'Unknown User';
-    const text = message.text || message.message || '[Empty message]';
+    const messageElement = chatMessages.querySelector(`.message[data-message-id="${message.id}"]`);
+    if (messageElement) {
+        messageElement.replaceWith(createMessageElement(message));
+    }
+});
+
+// Infinite scroll over room history using the REST cursors
+async function loadHistoryPage(direction) {
+    if (!chatMessages || !currentRoom || isLoadingHistory) return;
     
-    // Structure to match CSS expectations
-    div.innerHTML = `
-        <div class="meta">
-            ${escapeHtml(username)} 
-            <span>${time}</span>
-        </div>
-        <div class="text">${escapeHtml(text)}</div>
-    `;
+    const storedMessages = chatMessages.querySelectorAll('.message[data-message-id]');
+    if (storedMessages.length === 0) return;
     
-    console.log('Adding message to chat:', div);
+    const cursorElement = direction === 'older' ? storedMessages[0] : storedMessages[storedMessages.length - 1];
+    const cursorParam = direction === 'older' ? 'before' : 'after';
+    const room = currentRoom;
+    
+    isLoadingHistory = true;
+    try {
+        const response = await fetch(`/api/messages/${encodeURIComponent(room)}?${cursorParam}=${cursorElement.dataset.messageId}&limit=30`, {
+            credentials: 'include'
+        });
+        const result = await response.json();
+        
+        // Ignore pages that arrive after switching rooms
+        if (!result.success || room !== currentRoom) return;
+        
+        const fragment = document.createDocumentFragment();
+        result.messages.forEach(message => fragment.appendChild(createMessageElement(message)));
+        
+        if (direction === 'older') {
+            // Keep the visible messages where they are while content grows above them
+            const previousHeight = chatMessages.scrollHeight;
+            chatMessages.insertBefore(fragment, chatMessages.firstChild);
+            chatMessages.scrollTop += chatMessages.scrollHeight - previousHeight;
+            hasOlderHistory = result.pagination.hasMore;
+        } else {
+            chatMessages.appendChild(fragment);
+            hasNewerHistory = result.pagination.hasMore;
+            markLatestRead();
+        }
+    } catch (error) {
+        console.error('Error loading history:', error);
+    } finally {
+        isLoadingHistory = false;
+    }
+}
+
+if (chatMessages) {
+    chatMessages.addEventListener('scroll', () => {
+        if (hasOlderHistory && chatMessages.scrollTop < 50) {
+            loadHistoryPage('older');
+        } else if (hasNewerHistory && chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 50) {
+            loadHistoryPage('newer');
+        }
+    });
+}
+
+// Attachments
+function setPendingAttachment(file) {
+    pendingAttachment = file || null;
+    if (attachmentInput && !file) {
+        attachmentInput.value = '';
+    }
+    if (attachmentPending && attachmentName) {
+        attachmentPending.style.display = file ? 'block' : 'none';
+        attachmentName.textContent = file ? `${file.name} (${formatFileSize(file.size)})` : '';
+    }
+}
+
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+}
+
+// Upload the pending file to the current room, then send it with the caption
+async function sendAttachment(msgElement, caption) {
+    msgElement.disabled = true;
+    sendBtn.disabled = true;
+    
+    try {
+        const formData = new FormData();
+        formData.append('room', currentRoom);
+        formData.append('file', pendingAttachment);
+        
+        const response = await fetch('/api/attachments', {
+            method: 'POST',
+            credentials: 'include',
+            body: formData
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            showError(result.message || 'Could not upload file');
+            return;
+        }
+        
+        socket.emit('chatMessage', {
+            text: caption,
+            attachmentId: result.attachment.id,
+            replyTo: replyingTo ? replyingTo.id : null
+        });
+        msgElement.value = '';
+        setPendingAttachment(null);
+        setReplyTarget(null);
+    } catch (error) {
+        console.error('Error uploading attachment:', error);
+        showError('Could not upload file');
+    } finally {
+        msgElement.disabled = false;
+        sendBtn.disabled = false;
+        msgElement.focus();
+    }
+}
+
+if (attachBtn && attachmentInput) {
+    attachBtn.addEventListener('click', () => {
+        if (!currentRoom || currentDm) {
+            showError('Join a room to share files.');
+            return;
+        }
+        attachmentInput.click();
+    });
+    
+    attachmentInput.addEventListener('change', () => {
+        setPendingAttachment(attachmentInput.files[0]);
+        msgInput?.focus();
+    });
+}
+
+if (attachmentClear) {
+    attachmentClear.addEventListener('click', () => setPendingAttachment(null));
+}
+
+function renderAttachment(attachment) {
+    if (attachment.isImage) {
+        return `
+            <div class="attachment">
+                <a href="${attachment.url}" target="_blank" rel="noopener">
+                    <img src="${attachment.thumbnailUrl || attachment.url}" alt="${escapeHtml(attachment.name)}" loading="lazy">
+                </a>
+            </div>
+        `;
+    }
+    
+    return `
+        <div class="attachment">
+            <a class="attachment-file" href="${attachment.url}" download>
+                <i class="fas fa-file"></i> ${escapeHtml(attachment.name)} (${formatFileSize(attachment.size)})
+            </a>
+        </div>
+    `;
+}
+
+// Profiles and avatars
+function avatarHtml(user, large = false) {
+    const className = large ? 'avatar avatar-large' : 'avatar';
+    if (user && user.avatar) {
+        return `<img class="${className}" src="${escapeHtml(user.avatar)}" alt="">`;
+    }
+    
+    const name = (user && (user.displayName || user.username)) || '?';
+    return `<span class="${className}">${escapeHtml(name.charAt(0).toUpperCase())}</span>`;
+}
+
+function renderOwnProfile(profile) {
+    if (!profileForm) return;
+    
+    profileForm.elements.displayName.value = profile.displayName || '';
+    profileForm.elements.statusText.value = profile.statusText || '';
+    profileForm.elements.bio.value = profile.bio || '';
+    if (profileAvatar) {
+        profileAvatar.innerHTML = avatarHtml(profile, true);
+    }
+}
+
+async function loadOwnProfile() {
+    if (!profileForm) return;
+    
+    try {
+        const response = await fetch('/api/profile', { credentials: 'include' });
+        const result = await response.json();
+        if (result.success) {
+            renderOwnProfile(result.profile);
+        }
+    } catch (error) {
+        console.error('Error loading profile:', error);
+    }
+}
+
+async function showProfileCard(userId) {
+    if (!profileCard) return;
+    
+    try {
+        const response = await fetch(`/api/users/${userId}`, { credentials: 'include' });
+        const result = await response.json();
+        if (!result.success) {
+            showError(result.message || 'Could not load profile');
+            return;
+        }
+        
+        const profile = result.profile;
+        profileCard.innerHTML = `
+            ${avatarHtml(profile, true)}
+            <strong>${escapeHtml(profile.displayName || profile.username)}</strong>
+            ${profile.displayName ? `<small>@${escapeHtml(profile.username)}</small>` : ''}
+            ${profile.statusText ? `<p><em>${escapeHtml(profile.statusText)}</em></p>` : ''}
+            ${profile.bio ? `<p>${escapeHtml(profile.bio)}</p>` : ''}
+            <small>${profile.isOnline ? 'Online' : `Last seen ${new Date(profile.lastSeen).toLocaleString()}`}</small>
+        `;
+        profileCard.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading profile card:', error);
+    }
+}
+
+if (profileForm) {
+    profileForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        try {
+            const response = await fetch('/api/profile', {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({
+                    displayName: profileForm.elements.displayName.value,
+                    statusText: profileForm.elements.statusText.value,
+                    bio: profileForm.elements.bio.value
+                })
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                renderOwnProfile(result.profile);
+                console.log('Profile saved');
+            } else {
+                showError(result.message || 'Could not save profile');
+            }
+        } catch (error) {
+            console.error('Error saving profile:', error);
+            showError('Could not save profile');
+        }
+    });
+}
+
+if (avatarBtn && avatarInput) {
+    avatarBtn.addEventListener('click', () => avatarInput.click());
+    
+    avatarInput.addEventListener('change', async () => {
+        const file = avatarInput.files[0];
+        if (!file) return;
+        
+        try {
+            const formData = new FormData();
+            formData.append('avatar', file);
+            
+            const response = await fetch('/api/profile/avatar', {
+                method: 'POST',
+                credentials: 'include',
+                body: formData
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                renderOwnProfile(result.profile);
+            } else {
+                showError(result.message || 'Could not upload avatar');
+            }
+        } catch (error) {
+            console.error('Error uploading avatar:', error);
+            showError('Could not upload avatar');
+        } finally {
+            avatarInput.value = '';
+        }
+    });
+}
+
+// Direct messages
+async function loadDmList() {
+    if (!dmList) return;
+    
+    try {
+        const response = await fetch('/api/dm', { credentials: 'include' });
+        const result = await response.json();
+        if (!result.success) return;
+        
+        dmList.innerHTML = '';
+        result.conversations.forEach((conversation) => {
+            const li = document.createElement('li');
+            li.classList.toggle('active', !!currentDm && currentDm.userId === conversation.user.id);
+            li.dataset.userId = conversation.user.id;
+            li.innerHTML = `
+                <span><span class="dm-presence">${PRESENCE_ICONS[conversation.user.presence] || '🔴'}</span> ${escapeHtml(conversation.user.username)}</span>
+                ${conversation.unreadCount > 0 ? `<span class="unread-badge">${conversation.unreadCount}</span>` : ''}
+            `;
+            li.addEventListener('click', () => openDm(conversation.user));
+            dmList.appendChild(li);
+        });
+    } catch (error) {
+        console.error('Error loading direct messages:', error);
+    }
+}
+
+// Show a DM thread in the chat pane; the socket stays in its room meanwhile
+async function openDm(user) {
+    if (!user || user.id === currentUserId) return;
+    
+    currentDm = { userId: user.id, username: user.username };
+    hasOlderHistory = false;
+    hasNewerHistory = false;
+    
+    if (roomName) {
+        roomName.textContent = `@${user.username}`;
+    }
+    if (chatMessages) {
+        chatMessages.innerHTML = '<div class="loading" style="text-align: center; padding: 20px; color: #6c757d;">Loading conversation...</div>';
+    }
+    if (msgInput && sendBtn) {
+        msgInput.disabled = false;
+        sendBtn.disabled = false;
+        msgInput.placeholder = `Message @${user.username}`;
+    }
+    
+    try {
+        const response = await fetch(`/api/dm/${user.id}/messages?limit=50`, { credentials: 'include' });
+        const result = await response.json();
+        
+        // Ignore if another thread was opened meanwhile
+        if (!currentDm || currentDm.userId !== user.id) return;
+        
+        if (chatMessages) {
+            chatMessages.innerHTML = '';
+        }
+        
+        if (result.success) {
+            result.messages.forEach(message => outputMessage(message));
+            scrollToBottom();
+            markDmRead(result.messages[result.messages.length - 1]);
+        }
+    } catch (error) {
+        console.error('Error loading conversation:', error);
+        showError('Could not load conversation');
+    }
+    
+    loadDmList();
+}
+
+function closeDm() {
+    if (!currentDm) return;
+    
+    currentDm = null;
+    if (msgInput) {
+        msgInput.placeholder = 'Enter Message';
+    }
+    loadDmList();
+}
+
+// Leave the DM view and show the current room's latest messages again
+async function returnToRoom() {
+    closeDm();
+    if (!currentRoom) return;
+    
+    outputRoomName(currentRoom);
+    
+    try {
+        const response = await fetch(`/api/messages/${encodeURIComponent(currentRoom)}?limit=50`, { credentials: 'include' });
+        const result = await response.json();
+        
+        if (chatMessages) {
+            chatMessages.innerHTML = '';
+        }
+        if (result.success) {
+            result.messages.forEach(message => outputMessage(message));
+            hasOlderHistory = result.pagination.hasMore;
+            hasNewerHistory = false;
+            scrollToBottom();
+        }
+    } catch (error) {
+        console.error('Error reloading room:', error);
+    }
+}
+
+function markDmRead(message) {
+    if (!message || !currentDm) return;
+    socket.emit('markDmRead', { userId: currentDm.userId, messageId: message.id });
+}
+
+socket.on('directMessage', (message) => {
+    const otherUserId = message.userId === currentUserId ? message.recipientId : message.userId;
+    
+    if (currentDm && currentDm.userId === otherUserId) {
+        outputMessage(message);
+        scrollToBottom();
+        markDmRead(message);
+    } else {
+        loadDmList();
+    }
+});
+
+// Message search
+let searchPage = 1;
+
+async function runSearch(page = 1) {
+    if (!currentRoom || !searchInput) return;
+    
+    const query = searchInput.value.trim();
+    if (!query) {
+        if (searchResults) searchResults.innerHTML = '';
+        if (searchMoreBtn) searchMoreBtn.style.display = 'none';
+        return;
+    }
+    
+    // Quotes, +, - or * switch to MySQL boolean mode
+    const params = new URLSearchParams({ q: query, page, limit: 20 });
+    if (/["+\-*]/.test(query)) {
+        params.set('mode', 'boolean');
+    }
+    if (searchAuthor && searchAuthor.value.trim()) {
+        params.set('author', searchAuthor.value.trim());
+    }
+    
+    try {
+        const response = await fetch(`/api/messages/${encodeURIComponent(currentRoom)}/search?${params}`, {
+            credentials: 'include'
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            showError(result.message);
+            return;
+        }
+        
+        searchPage = result.page;
+        if (page === 1 && searchResults) {
+            searchResults.innerHTML = result.results.length ? '' : '<li>No results</li>';
+        }
+        
+        result.results.forEach((message) => {
+            const li = document.createElement('li');
+            li.innerHTML = `<strong>${escapeHtml(message.username)}</strong> <small>${escapeHtml(message.time)}</small><br>${escapeHtml(message.text)}`;
+            li.addEventListener('click', () => jumpToMessage(message.id));
+            searchResults.appendChild(li);
+        });
+        
+        if (searchMoreBtn) {
+            searchMoreBtn.style.display = result.hasMore ? 'block' : 'none';
+        }
+    } catch (error) {
+        console.error('Search error:', error);
+        showError('Search failed');
+    }
+}
+
+// Scroll to a message, loading the history around it if it isn't on screen
+async function jumpToMessage(messageId) {
+    if (!chatMessages || !currentRoom) return;
+    
+    let messageElement = chatMessages.querySelector(`.message[data-message-id="${messageId}"]`);
+    
+    if (!messageElement) {
+        try {
+            const response = await fetch(`/api/messages/${encodeURIComponent(currentRoom)}?around=${messageId}&limit=10`, {
+                credentials: 'include'
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                showError(result.message);
+                return;
+            }
+            
+            chatMessages.innerHTML = '';
+            result.messages.forEach(message => outputMessage(message));
+            hasOlderHistory = true;
+            hasNewerHistory = true;
+            messageElement = chatMessages.querySelector(`.message[data-message-id="${messageId}"]`);
+        } catch (error) {
+            console.error('Error loading message context:', error);
+            showError('Could not load message');
+            return;
+        }
+    }
+    
+    if (messageElement) {
+        messageElement.scrollIntoView({ block: 'center' });
+        messageElement.classList.add('highlight');
+        setTimeout(() => messageElement.classList.remove('highlight'), 2000);
+    }
+}
+
+if (searchForm) {
+    searchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        runSearch(1);
+    });
+}
+
+if (searchMoreBtn) {
+    searchMoreBtn.addEventListener('click', () => runSearch(searchPage + 1));
+}
+
+// Moderation notices
+socket.on('muted', ({ room, durationMinutes, reason }) => {
+    const duration = durationMinutes ? ` for ${durationMinutes} minute(s)` : '';
+    showError(`You were muted in ${room}${duration}${reason ? `: ${reason}` : ''}`);
+});
+
+socket.on('unmuted', ({ room }) => {
+    showError(`You can talk again in ${room}`);
+});
+
+socket.on('moderationResult', ({ success, message }) => {
+    if (!success) {
+        showError(message);
+    }
+});
+
+// Slash-command output, visible only to this user
+socket.on('commandReply', ({ command, text }) => {
+    if (!chatMessages) return;
+    
+    const div = createMessageElement({ username: 'ChatBud Bot', text });
+    div.classList.add('command-reply');
+    div.dataset.command = command;
+    chatMessages.appendChild(div);
+    scrollToBottom();
+});
+
+// Room admins hear about messages filters flagged for review
+socket.on('messageFlagged', ({ room, username, reason }) => {
+    showNotice(`A message from ${username} in ${room} was flagged for review (${reason})`);
+});
+
+socket.on('roomInvitation', ({ room, from }) => {
+    showNotice(`${from.username} invited you to ${room}`);
+    loadRooms();
+});
+
+function moderate(action, user, durationMinutes = null) {
+    const reason = window.prompt(`Reason to ${action} ${user.username} (optional):`, '');
+    if (reason === null) return; // cancelled
+    
+    socket.emit('moderate', { action, userId: user.id, durationMinutes, reason });
+}
+
+// Helper functions
+
+function showError(message) {
+    console.error('Error:', message);
+    
+    // Create a temporary error display
+    const errorDiv = document.createElement('div');
+    errorDiv.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        background: #dc3545;
+        color: white;
+        padding: 15px;
+        border-radius: 5px;
+        z-index: 1000;
+        max-width: 300px;
+        box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    `;
+    errorDiv.textContent = message;
+    
+    document.body.appendChild(errorDiv);
+    
+    // Remove after 5 seconds
+    setTimeout(() => {
+        if (errorDiv.parentNode) {
+            errorDiv.parentNode.removeChild(errorDiv);
+        }
+    }, 5000);
+}
+
+// Non-error notice, styled like showError
+function showNotice(message) {
+    const noticeDiv = document.createElement('div');
+    noticeDiv.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        background: #2563eb;
+        color: white;
+        padding: 15px;
+        border-radius: 5px;
+        z-index: 1000;
+        max-width: 300px;
+        box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    `;
+    noticeDiv.textContent = message;
+    
+    document.body.appendChild(noticeDiv);
+    
+    setTimeout(() => {
+        if (noticeDiv.parentNode) {
+            noticeDiv.parentNode.removeChild(noticeDiv);
+        }
+    }, 5000);
+}
+
+function scrollToBottom() {
+    if (chatMessages) {
+        setTimeout(() => {
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+        }, 50);
+    }
+}
+
+// Build the DOM element for a single message
+function createMessageElement(message) {
+    const div = document.createElement('div');
+    div.classList.add('message');
+    
+    const isOwnMessage = message.username === currentUsername;
+    if (isOwnMessage) {
+        // Use 'own' class to match CSS (.message.own)
+        div.classList.add('own');
+    }
+    
+    // Handle system messages
+    if (message.username === 'ChatBud Bot' || message.username === 'ChatBud') {
+        div.classList.add('system-message');
+    }
+    
+    // More robust time handling
+    let time;
+    if (message.time) {
+        time = message.time;
+    } else if (message.timestamp) {
+        time = new Date(message.timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+    } else {
+        time = new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+    }
+    
+    // Use fallback values for missing properties
+    const username = message.username || 'Unknown User';
+    const text = message.text || message.message || '[Empty message]';
+    
+    if (message.id) {
+        div.dataset.messageId = message.id;
+    }
+    
+    // Structure to match CSS expectations
+    div.innerHTML = `
+        <div class="meta">
+            ${avatarHtml(message)}
+            ${escapeHtml(message.displayName || username)} 
+            ${message.isBot ? '<span class="bot-badge">BOT</span>' : ''}
+            <span>${time}</span>
+            <span class="edited-marker"${message.editedAt ? '' : ' style="display: none;"'}>(edited)</span>
+        </div>
+        <div class="text">${highlightMentions(text)}</div>
+    `;
+    
+    if (!message.conversationId && mentionsCurrentUser(text)) {
+        div.classList.add('mentions-me');
+    }
+    
+    if (message.replyTo) {
+        div.querySelector('.meta').insertAdjacentHTML('afterend', renderReplyQuote(message.replyTo));
+        div.querySelector('.reply-quote').addEventListener('click', () => jumpToMessage(message.replyTo.id));
+    }
+    
+    if (message.attachment) {
+        // The file name is stored as the text when there's no caption
+        if (text === message.attachment.name) {
+            div.querySelector('.text').style.display = 'none';
+        }
+        div.insertAdjacentHTML('beforeend', renderAttachment(message.attachment));
+    }
+    
+    if (message.id && !message.conversationId) {
+        renderReactions(div, message.reactions || []);
+        setReplyCount(div, message.replyCount || 0);
+    }
+    
+    addMessageActions(div, message);
+    
+    return div;
+}
+
+// Edit/delete buttons for stored messages the current user may change
+function addMessageActions(div, message) {
+    // Direct messages have no edit, delete or reaction actions
+    if (!message.id || message.conversationId) return;
+    
+    const meta = div.querySelector('.meta');
+    const isAuthor = message.userId === currentUserId;
+    const roomInfo = roomsByName.get(currentRoom);
+    const isRoomAdmin = !!(roomInfo && roomInfo.isAdmin);
+    
+    // Anyone can reply
+    const replyBtn = document.createElement('button');
+    replyBtn.type = 'button';
+    replyBtn.className = 'message-action reply-action';
+    replyBtn.title = 'Reply';
+    replyBtn.innerHTML = '<i class="fas fa-reply"></i>';
+    replyBtn.addEventListener('click', () => setReplyTarget(message));
+    meta.appendChild(replyBtn);
+    
+    // Anyone can react
+    const reactBtn = document.createElement('button');
+    reactBtn.type = 'button';
+    reactBtn.className = 'message-action react-action';
+    reactBtn.title = 'Add reaction';
+    reactBtn.innerHTML = '<i class="far fa-smile"></i>';
+    reactBtn.addEventListener('click', () => toggleReactionPicker(div, message.id));
+    meta.appendChild(reactBtn);
+    
+    // Authors can edit their own text messages
+    if (isAuthor && (message.messageType || 'text') === 'text') {
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.className = 'message-action edit-action';
+        editBtn.title = 'Edit message';
+        editBtn.innerHTML = '<i class="fas fa-pen"></i>';
+        editBtn.addEventListener('click', () => editMessage(message.id, div));
+        meta.appendChild(editBtn);
+    }
+    
+    // Authors and room admins can delete
+    if (isAuthor || isRoomAdmin) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'message-action delete-action';
+        deleteBtn.title = 'Delete message';
+        deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+        deleteBtn.addEventListener('click', () => deleteMessage(message.id));
+        meta.appendChild(deleteBtn);
+    }
+}
+
+// Mentions
+// Same token rules as the server: . + - _ allowed, not preceded by a name character
+const MENTION_PATTERN = /(^|[^A-Za-z0-9._+@-])@([A-Za-z0-9._+-]+)/g;
+
+function isSelfMention(name) {
+    const lowerName = name.replace(/\.+$/, '').toLowerCase();
+    return lowerName === 'room' || lowerName === 'here' ||
+        (!!currentUsername && lowerName === currentUsername.toLowerCase());
+}
+
+function mentionsCurrentUser(text) {
+    return Array.from((text || '').matchAll(MENTION_PATTERN)).some(match => isSelfMention(match[2]));
+}
+
+// Escape message text and wrap @mentions in spans
+function highlightMentions(text) {
+    return escapeHtml(text).replace(MENTION_PATTERN, (match, before, name) => {
+        const className = isSelfMention(name) ? 'mention mention-self' : 'mention';
+        return `${before}<span class="${className}">@${name}</span>`;
+    });
+}
+
+async function loadMentions() {
+    if (!mentionList) return;
+    
+    try {
+        const response = await fetch('/api/mentions?limit=20', { credentials: 'include' });
+        const result = await response.json();
+        if (!result.success) return;
+        
+        if (mentionCount) {
+            mentionCount.textContent = result.unreadCount;
+            mentionCount.style.display = result.unreadCount > 0 ? '' : 'none';
+        }
+        
+        mentionList.innerHTML = '';
+        result.mentions.forEach(mention => {
+            const li = document.createElement('li');
+            li.classList.toggle('unread', !mention.isRead);
+            li.innerHTML = `<strong>${escapeHtml(mention.from.displayName || mention.from.username)}</strong> in ${escapeHtml(mention.room)}<br>${escapeHtml(mention.text.slice(0, 80))}`;
+            li.addEventListener('click', () => openMention(mention));
+            mentionList.appendChild(li);
+        });
+    } catch (error) {
+        console.error('Error loading mentions:', error);
+    }
+}
+
+async function openMention(mention) {
+    try {
+        await fetch('/api/mentions/read', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ ids: [mention.id] })
+        });
+    } catch (error) {
+        console.error('Error marking mention read:', error);
+    }
+    loadMentions();
+    
+    if (mention.room === currentRoom && !currentDm) {
+        jumpToMessage(mention.messageId);
+    } else {
+        // Jump once the room's history has loaded
+        socket.once('loadMessages', () => jumpToMessage(mention.messageId));
+        joinRoom(mention.room);
+    }
+}
+
+socket.on('mention', (mention) => {
+    const from = mention.from.displayName || mention.from.username;
+    if (mention.room !== currentRoom || document.hidden || currentDm) {
+        showNotice(`${from} mentioned you in ${mention.room}: ${mention.text.slice(0, 80)}`);
+    }
+    loadMentions();
+});
+
+// Autocomplete @names from the room's user list
+let mentionMatches = [];
+let activeSuggestion = 0;
+
+function currentMentionQuery() {
+    if (!msgInput) return null;
+    const beforeCaret = msgInput.value.slice(0, msgInput.selectionStart);
+    const match = beforeCaret.match(/(^|\s)@([A-Za-z0-9._+-]*)$/);
+    return match ? match[2] : null;
+}
+
+function updateMentionSuggestions() {
+    if (!mentionSuggestions) return;
+    
+    const query = currentMentionQuery();
+    if (query === null || currentDm) {
+        mentionSuggestions.style.display = 'none';
+        mentionMatches = [];
+        return;
+    }
+    
+    const lowerQuery = query.toLowerCase();
+    const names = currentRoomUsers
+        .map(user => user.username)
+        .filter(name => name && name !== currentUsername)
+        .concat(['here', 'room']);
+    mentionMatches = names.filter(name => name.toLowerCase().startsWith(lowerQuery)).slice(0, 8);
+    activeSuggestion = 0;
+    
+    mentionSuggestions.innerHTML = '';
+    mentionMatches.forEach((name, index) => {
+        const li = document.createElement('li');
+        li.textContent = `@${name}`;
+        li.classList.toggle('active', index === activeSuggestion);
+        li.addEventListener('mousedown', (e) => {
+            e.preventDefault(); // keep focus in the input
+            completeMention(name);
+        });
+        mentionSuggestions.appendChild(li);
+    });
+    mentionSuggestions.style.display = mentionMatches.length > 0 ? 'block' : 'none';
+}
+
+function completeMention(name) {
+    const caret = msgInput.selectionStart;
+    const beforeCaret = msgInput.value.slice(0, caret).replace(/@([A-Za-z0-9._+-]*)$/, `@${name} `);
+    msgInput.value = beforeCaret + msgInput.value.slice(caret);
+    msgInput.setSelectionRange(beforeCaret.length, beforeCaret.length);
+    updateMentionSuggestions();
+}
+
+if (msgInput) {
+    msgInput.addEventListener('input', updateMentionSuggestions);
+    msgInput.addEventListener('blur', () => {
+        if (mentionSuggestions) mentionSuggestions.style.display = 'none';
+    });
+    msgInput.addEventListener('keydown', (e) => {
+        if (mentionMatches.length === 0 || mentionSuggestions.style.display === 'none') return;
+        
+        if (e.key === 'Tab' || e.key === 'Enter') {
+            e.preventDefault();
+            completeMention(mentionMatches[activeSuggestion]);
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeSuggestion = (activeSuggestion + step + mentionMatches.length) % mentionMatches.length;
+            Array.from(mentionSuggestions.children).forEach((li, index) => {
+                li.classList.toggle('active', index === activeSuggestion);
+            });
+        } else if (e.key === 'Escape') {
+            mentionSuggestions.style.display = 'none';
+            mentionMatches = [];
+        }
+    });
+}
+
+// Read receipts
+// Tell the server we've read up to the newest message on screen
+function markLatestRead() {
+    if (!chatMessages || !currentRoom || currentDm || hasNewerHistory || document.hidden) return;
+    
+    const messages = chatMessages.querySelectorAll('.message[data-message-id]');
+    if (messages.length === 0) return;
+    
+    const latestId = parseInt(messages[messages.length - 1].dataset.messageId, 10);
+    if (latestId > lastReportedReadId) {
+        lastReportedReadId = latestId;
+        socket.emit('markRead', { messageId: latestId });
+    }
+}
+
+document.addEventListener('visibilitychange', markLatestRead);
+
+async function loadReadReceipts(room) {
+    roomReceipts.clear();
+    
+    const roomInfo = roomsByName.get(room);
+    if (!roomInfo || !roomInfo.readReceipts) return;
+    
+    try {
+        const response = await fetch(`/api/rooms/${roomInfo.id}/read-receipts`, { credentials: 'include' });
+        const result = await response.json();
+        if (!result.success || room !== currentRoom) return;
+        
+        result.receipts.forEach(receipt => {
+            roomReceipts.set(receipt.userId, {
+                name: receipt.displayName || receipt.username,
+                lastReadMessageId: receipt.lastReadMessageId
+            });
+        });
+        updateSeenBy();
+    } catch (error) {
+        console.error('Error loading read receipts:', error);
+    }
+}
+
+// Show who has seen the newest of the user's own messages
+function updateSeenBy() {
+    if (!chatMessages) return;
+    
+    chatMessages.querySelectorAll('.seen-by').forEach(el => el.remove());
+    
+    const ownMessages = chatMessages.querySelectorAll('.message.own[data-message-id]');
+    if (ownMessages.length === 0 || currentDm) return;
+    
+    const lastOwn = ownMessages[ownMessages.length - 1];
+    const messageId = parseInt(lastOwn.dataset.messageId, 10);
+    const names = [];
+    roomReceipts.forEach((receipt, userId) => {
+        if (userId !== currentUserId && receipt.lastReadMessageId >= messageId) {
+            names.push(receipt.name);
+        }
+    });
+    
+    if (names.length > 0) {
+        const seenBy = document.createElement('div');
+        seenBy.className = 'seen-by';
+        seenBy.textContent = `Seen by ${names.join(', ')}`;
+        lastOwn.appendChild(seenBy);
+    }
+}
+
+socket.on('readReceipt', ({ room, userId, username, displayName, lastReadMessageId }) => {
+    if (room !== currentRoom) return;
+    
+    roomReceipts.set(userId, { name: displayName || username, lastReadMessageId });
+    updateSeenBy();
+});
+
+// Another tab read the room
+socket.on('roomRead', ({ room }) => {
+    const roomInfo = roomsByName.get(room);
+    if (!roomInfo || !roomSelect) return;
+    
+    roomInfo.unreadCount = 0;
+    const option = Array.from(roomSelect.options).find(opt => opt.value === room);
+    if (option) {
+        option.textContent = formatRoomOption(roomInfo);
+    }
+});
+
+// Replies and threads
+function setReplyTarget(message) {
+    replyingTo = message ? { id: message.id, username: message.username, text: message.text } : null;
+    
+    if (replyPending && replyPreview) {
+        replyPending.style.display = replyingTo ? 'block' : 'none';
+        replyPreview.textContent = replyingTo
+            ? `Replying to ${replyingTo.username}: ${replyingTo.text.slice(0, 80)}`
+            : '';
+    }
+    
+    if (replyingTo) {
+        msgInput?.focus();
+    }
+}
+
+if (replyCancel) {
+    replyCancel.addEventListener('click', () => setReplyTarget(null));
+}
+
+function renderReplyQuote(replyTo) {
+    const text = replyTo.deleted ? 'message deleted' : replyTo.text;
+    return `<div class="reply-quote">↪ <strong>${escapeHtml(replyTo.username)}</strong>: ${escapeHtml(text)}</div>`;
+}
+
+function setReplyCount(div, count) {
+    let link = div.querySelector('.thread-link');
+    if (count <= 0) {
+        link?.remove();
+        return;
+    }
+    
+    if (!link) {
+        link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'thread-link';
+        link.addEventListener('click', () => openThread(div.dataset.messageId));
+        div.appendChild(link);
+    }
+    link.dataset.count = count;
+    link.textContent = count === 1 ? '1 reply' : `${count} replies`;
+}
+
+async function openThread(messageId) {
+    if (!threadPanel || !threadMessages) return;
+    
+    try {
+        const response = await fetch(`/api/messages/${messageId}/thread`, { credentials: 'include' });
+        const result = await response.json();
+        
+        if (!result.success) {
+            showError(result.message || 'Could not load thread');
+            return;
+        }
+        
+        threadMessages.innerHTML = '';
+        [result.root, ...result.replies].filter(Boolean).forEach(message => {
+            const li = document.createElement('li');
+            li.innerHTML = `<strong>${escapeHtml(message.displayName || message.username)}</strong> <small>${escapeHtml(message.time)}</small><br>${escapeHtml(message.text)}`;
+            li.addEventListener('click', () => jumpToMessage(message.id));
+            threadMessages.appendChild(li);
+        });
+        threadPanel.dataset.threadId = result.root ? result.root.id : messageId;
+        threadPanel.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading thread:', error);
+        showError('Could not load thread');
+    }
+}
+
+// Bump the thread root's reply count and refresh the open thread view
+function noteThreadReply(message) {
+    const root = chatMessages?.querySelector(`.message[data-message-id="${message.threadId}"]`);
+    if (root) {
+        const link = root.querySelector('.thread-link');
+        setReplyCount(root, (link ? parseInt(link.dataset.count, 10) : 0) + 1);
+    }
+    
+    if (threadPanel && threadPanel.dataset.threadId === String(message.threadId)) {
+        openThread(message.threadId);
+    }
+}
+
+if (threadClose) {
+    threadClose.addEventListener('click', () => {
+        threadPanel.style.display = 'none';
+        delete threadPanel.dataset.threadId;
+    });
+}
+
+// Reactions
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+// Render reaction chips under a message; reactions is [{ emoji, count, userIds }]
+function renderReactions(div, reactions) {
+    div.reactionState = reactions;
+    
+    let container = div.querySelector('.reactions');
+    if (!container) {
+        container = document.createElement('div');
+        container.className = 'reactions';
+        div.appendChild(container);
+    }
+    
+    container.innerHTML = '';
+    reactions.forEach(({ emoji, count, userIds }) => {
+        const mine = userIds.includes(currentUserId);
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = mine ? 'reaction-chip mine' : 'reaction-chip';
+        chip.textContent = `${emoji} ${count}`;
+        chip.addEventListener('click', () => {
+            socket.emit(mine ? 'removeReaction' : 'addReaction', { messageId: div.dataset.messageId, emoji });
+        });
+        container.appendChild(chip);
+    });
+}
+
+function toggleReactionPicker(div, messageId) {
+    const existing = div.querySelector('.reaction-picker');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+    
+    const picker = document.createElement('div');
+    picker.className = 'reaction-picker';
+    QUICK_REACTIONS.forEach(emoji => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = emoji;
+        button.addEventListener('click', () => {
+            socket.emit('addReaction', { messageId, emoji });
+            picker.remove();
+        });
+        picker.appendChild(button);
+    });
+    div.appendChild(picker);
+}
+
+// Apply a reactionAdded / reactionRemoved event to a rendered message
+function updateReaction({ messageId, emoji, userId, count }, added) {
+    if (!chatMessages) return;
+    
+    const messageElement = chatMessages.querySelector(`.message[data-message-id="${messageId}"]`);
+    if (!messageElement || messageElement.classList.contains('deleted')) return;
+    
+    const reactions = (messageElement.reactionState || []).map(reaction => ({ ...reaction }));
+    let reaction = reactions.find(r => r.emoji === emoji);
+    if (!reaction) {
+        reaction = { emoji, count: 0, userIds: [] };
+        reactions.push(reaction);
+    }
+    
+    reaction.count = count;
+    reaction.userIds = reaction.userIds.filter(id => id !== userId);
+    if (added) {
+        reaction.userIds.push(userId);
+    }
+    
+    renderReactions(messageElement, reactions.filter(r => r.count > 0));
+}
+
+socket.on('reactionAdded', (payload) => updateReaction(payload, true));
+socket.on('reactionRemoved', (payload) => updateReaction(payload, false));
+
+// Swap a message bubble's content for the deleted placeholder
+function renderDeletedMessage(div, messageId) {
+    div.classList.add('deleted');
+    div.querySelectorAll('.message-action, .edited-marker, .attachment, .reactions, .reaction-picker, .reply-quote').forEach(el => el.remove());
+    
+    const textElement = div.querySelector('.text');
+    if (textElement) {
+        textElement.textContent = 'message deleted';
+        textElement.style.display = '';
+    }
+    
+    // Room admins can bring it back
+    const roomInfo = roomsByName.get(currentRoom);
+    if (roomInfo && roomInfo.isAdmin) {
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.className = 'message-action restore-action';
+        restoreBtn.title = 'Restore message';
+        restoreBtn.innerHTML = '<i class="fas fa-undo"></i>';
+        restoreBtn.addEventListener('click', () => socket.emit('restoreMessage', { messageId }));
+        div.querySelector('.meta').appendChild(restoreBtn);
+    }
+}
+
+function outputMessage(message) {
+    // Add comprehensive debugging
+    console.log('outputMessage called with:', message);
+    
+    if (!chatMessages) {
+        console.error('chatMessages element not found! Looking for element with class "chat-messages"');
+        console.log('Available elements:', document.querySelectorAll('.chat-messages'));
+        return;
+    }
+    
+    if (!message) {
+        console.error('Message is null or undefined');
+        return;
+    }
+    
+    if (!message.username) {
+        console.warn('Message missing username:', message);
+    }
+    
+    if (!message.text) {
+        console.warn('Message missing text:', message);
+    }
+    
+    const div = createMessageElement(message);
+    
+    console.log('Adding message to chat:', div);
     console.log('Message HTML:', div.outerHTML);
     console.log('Message classes:', div.classList.toString());
     
@@ -592,16 +2195,52 @@ function outputUsers(users) {
         
         const username = user.username || user;
         const isOnline = user.isOnline !== undefined ? user.isOnline : true;
+        const presence = user.presence || (isOnline ? 'online' : 'offline');
         
-        const statusClass = isOnline ? 'user-online' : 'user-offline';
-        const statusIcon = isOnline ? '🟢' : '🔴';
+        const statusClass = `user-${presence}`;
+        const statusIcon = PRESENCE_ICONS[presence];
         
         li.innerHTML = `
             <span class="${statusClass}">
-                ${statusIcon} ${escapeHtml(username)}
+                ${statusIcon} ${avatarHtml(user)} ${escapeHtml(user.displayName || username)}
             </span>
         `;
         
+        if (user.id) {
+            li.querySelector(`.${statusClass}`).addEventListener('click', () => showProfileCard(user.id));
+        }
+        
+        // Start a direct conversation with anyone else in the room
+        if (user.id && user.id !== currentUserId) {
+            const dmButton = document.createElement('button');
+            dmButton.type = 'button';
+            dmButton.className = 'dm-button';
+            dmButton.title = `Message ${username}`;
+            dmButton.innerHTML = '<i class="fas fa-envelope"></i>';
+            dmButton.addEventListener('click', () => openDm({ id: user.id, username }));
+            li.appendChild(dmButton);
+        }
+        
+        // Room admins get moderation controls for other users
+        const roomInfo = roomsByName.get(currentRoom);
+        if (roomInfo && roomInfo.isAdmin && user.id && user.id !== currentUserId) {
+            const controls = document.createElement('span');
+            controls.className = 'mod-controls';
+            [
+                ['mute', 'fa-volume-mute', 'Mute 10 minutes', 10],
+                ['kick', 'fa-door-open', 'Kick', null],
+                ['ban', 'fa-ban', 'Ban', null]
+            ].forEach(([action, icon, title, minutes]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.title = title;
+                button.innerHTML = `<i class="fas ${icon}"></i>`;
+                button.addEventListener('click', () => moderate(action, user, minutes));
+                controls.appendChild(button);
+            });
+            li.appendChild(controls);
+        }
+        
         userList.appendChild(li);
     });
 }
@@ -659,9 +2298,16 @@ window.addEventListener('load', async () => {
         };
         
         await waitForConnection();
+        const invitedRoom = await acceptInviteFromUrl();
+        await loadRooms();
+        loadDmList();
+        loadOwnProfile();
+        loadMentions();
         
-        // Auto-join first room if available
-        if (roomSelect && roomSelect.options.length > 0) {
+        // Auto-join the invited room, or the first room if available
+        if (invitedRoom) {
+            setTimeout(() => joinRoom(invitedRoom), 500);
+        } else if (roomSelect && roomSelect.options.length > 0) {
             const firstRoom = roomSelect.options[0].value;
             if (firstRoom) {
                 setTimeout(() => joinRoom(firstRoom), 500);
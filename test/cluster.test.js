@@ -0,0 +1,261 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { io: connect } = require('socket.io-client');
+
+// Two copies of app.js sharing one database and one Redis, the way a
+// multi-instance deployment runs. Needs TEST_DATABASE_URL (a MySQL database with
+// database/schema.sql loaded) and TEST_REDIS_URL; skipped without them.
+const { TEST_DATABASE_URL, TEST_REDIS_URL } = process.env;
+const skip = !TEST_DATABASE_URL || !TEST_REDIS_URL ? 'set TEST_DATABASE_URL and TEST_REDIS_URL to run' : false;
+
+const RESUME_GRACE_SECONDS = 2;
+const run = crypto.randomBytes(3).toString('hex');
+const instances = [];
+const clients = [];
+
+// Start app.js on a free port; resolves once it listens
+function startApp(port) {
+   const child = spawn(process.execPath, [path.join(__dirname, '..', 'app.js')], {
+      env: {
+         ...process.env,
+         PORT: String(port),
+         DATABASE_URL: TEST_DATABASE_URL,
+         PRESENCE_ADAPTER: 'redis',
+         REDIS_URL: TEST_REDIS_URL,
+         REDIS_PREFIX: `chatbud-test-${run}`,
+         SESSION_SECRET: 'cluster-test',
+         RESUME_GRACE_SECONDS: String(RESUME_GRACE_SECONDS)
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+   });
+
+   const instance = { child, url: `http://127.0.0.1:${port}`, output: '' };
+   instances.push(instance);
+
+   return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`app.js on ${port} did not start:\n${instance.output}`)), 20000);
+      const collect = chunk => {
+         instance.output += chunk;
+         if (instance.output.includes('Server is running')) {
+            clearTimeout(timer);
+            resolve(instance);
+         }
+      };
+      child.stdout.on('data', collect);
+      child.stderr.on('data', collect);
+      child.once('exit', code => reject(new Error(`app.js on ${port} exited with ${code}:\n${instance.output}`)));
+   });
+}
+
+async function waitUntil(check, what, timeoutMs = 5000) {
+   const deadline = Date.now() + timeoutMs;
+   while (!check()) {
+      if (Date.now() > deadline) {
+         throw new Error(`Timed out waiting for ${what}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+   }
+}
+
+// A JSON request, sending and keeping the session cookie of `account` on that instance
+async function request(instance, method, url, body, account = null) {
+   const headers = { 'content-type': 'application/json' };
+   const cookie = account && account.cookies.get(instance);
+   if (cookie) {
+      headers.cookie = cookie;
+   }
+
+   const response = await fetch(`${instance.url}${url}`, { method, headers, body: body && JSON.stringify(body) });
+   const setCookie = response.headers.getSetCookie().map(value => value.split(';')[0]).join('; ');
+   if (account && setCookie) {
+      account.cookies.set(instance, setCookie);
+   }
+   return { status: response.status, body: await response.json() };
+}
+
+// Register an account on the first instance and log it in on every instance
+// (sessions are kept per instance)
+async function createAccount(name) {
+   const account = { email: `${name}-${run}@example.com`, password: 'cluster-test', cookies: new Map() };
+   const registered = await request(instances[0], 'POST', '/auth/register', account, account);
+   assert.strictEqual(registered.status, 200, JSON.stringify(registered.body));
+   Object.assign(account, registered.body.user);
+
+   for (const instance of instances.slice(1)) {
+      const login = await request(instance, 'POST', '/auth/login', { email: account.email, password: account.password }, account);
+      assert.strictEqual(login.status, 200, JSON.stringify(login.body));
+   }
+   return account;
+}
+
+// A socket for an account on an instance, recording every event it receives
+async function connectAs(account, instance) {
+   const socket = connect(instance.url, {
+      transports: ['websocket'],
+      extraHeaders: { cookie: account.cookies.get(instance) },
+      reconnection: false
+   });
+   const client = { socket, account, events: [] };
+   socket.onAny((event, payload) => client.events.push({ event, payload }));
+   clients.push(client);
+
+   await new Promise((resolve, reject) => {
+      socket.once('connect', resolve);
+      socket.once('connect_error', reject);
+   });
+   return client;
+}
+
+// The first `event` the client got (or gets) that passes `match`
+async function received(client, event, match = () => true, timeoutMs = 5000) {
+   const find = () => client.events.find(entry => entry.event === event && match(entry.payload));
+   await waitUntil(() => find(), `${event} for ${client.account.username}`, timeoutMs);
+   return find().payload;
+}
+
+async function join(client, room, waitlist = false) {
+   client.socket.emit('joinRoom', { room, waitlist });
+   return received(client, 'roomJoined', payload => payload.room === room);
+}
+
+describe('two app instances', { skip }, () => {
+   let first;
+   let second;
+   let owner;
+   let smallRoom;
+   let bigRoom;
+
+   before(async () => {
+      const port = 4100 + Math.floor(Math.random() * 800);
+      first = await startApp(port);
+      second = await startApp(port + 1);
+
+      // Exactly one of them takes the bots lease
+      await waitUntil(
+         () => instances.some(instance => instance.output.includes('now runs the bots')),
+         'an instance to run the bots',
+         15000
+      );
+
+      owner = await createAccount('owner');
+      const small = await request(first, 'POST', '/api/rooms', { name: `small-${run}`, maxUsers: 2 }, owner);
+      const big = await request(second, 'POST', '/api/rooms', { name: `big-${run}`, maxUsers: 50 }, owner);
+      assert.strictEqual(small.status, 201, JSON.stringify(small.body));
+      assert.strictEqual(big.status, 201, JSON.stringify(big.body));
+      smallRoom = small.body.room;
+      bigRoom = big.body.room;
+
+      const bot = await request(first, 'PUT', `/api/rooms/${smallRoom.id}/bots/WelcomeBot`, { enabled: true }, owner);
+      assert.strictEqual(bot.status, 200, JSON.stringify(bot.body));
+   });
+
+   after(async () => {
+      clients.forEach(client => client.socket.disconnect());
+      await Promise.all(instances.map(({ child }) => new Promise(resolve => {
+         if (child.exitCode !== null) {
+            return resolve();
+         }
+         child.once('exit', resolve);
+         child.kill();
+      })));
+   });
+
+   let alice;
+   let bob;
+
+   test('joins, messages, typing and user lists reach sockets on the other instance', async () => {
+      alice = await connectAs(await createAccount('alice'), first);
+      bob = await connectAs(await createAccount('bob'), second);
+
+      await join(alice, smallRoom.name);
+      await join(bob, smallRoom.name);
+      const users = await received(alice, 'roomUsers', payload => payload.users.length === 2);
+      assert.deepStrictEqual(users.users.map(user => user.username).sort(), [alice.account.username, bob.account.username].sort());
+
+      bob.socket.emit('chatMessage', 'hello from the second instance');
+      const message = await received(alice, 'message', payload => payload.text === 'hello from the second instance');
+      assert.strictEqual(message.username, bob.account.username);
+
+      alice.socket.emit('typing');
+      const typing = await received(bob, 'typing', payload => payload.isTyping);
+      assert.strictEqual(typing.username, alice.account.username);
+   });
+
+   test('bots run on one instance and hear joins from both', async () => {
+      for (const client of [alice, bob]) {
+         const greeting = await received(client, 'message', payload => payload.username === 'WelcomeBot' &&
+            payload.text.includes(bob.account.username));
+         assert.strictEqual(greeting.isBot, true);
+         await received(client, 'message', payload => payload.username === 'WelcomeBot' &&
+            payload.text.includes(alice.account.username));
+      }
+   });
+
+   test('profile changes made on one instance reach sockets on the other', async () => {
+      const updated = await request(first, 'PATCH', '/api/profile', { displayName: `Bobby ${run}` }, bob.account);
+      assert.strictEqual(updated.status, 200, JSON.stringify(updated.body));
+
+      bob.socket.emit('chatMessage', 'new name');
+      const message = await received(alice, 'message', payload => payload.text === 'new name');
+      assert.strictEqual(message.displayName, `Bobby ${run}`);
+   });
+
+   test('a spot freed on one instance goes to the first waiting socket on the other', async () => {
+      const carol = await connectAs(await createAccount('carol'), first);
+      carol.socket.emit('joinRoom', { room: smallRoom.name, waitlist: true });
+      assert.strictEqual((await received(carol, 'roomWaitlisted')).position, 1);
+
+      bob.socket.disconnect();
+      assert.deepStrictEqual(await received(carol, 'roomSpotAvailable'), { room: smallRoom.name });
+   });
+
+   test('flood limits count a user\'s messages on every instance', async () => {
+      const dave = await createAccount('dave');
+      const onFirst = await connectAs(dave, first);
+      const onSecond = await connectAs(dave, second);
+      await join(onFirst, bigRoom.name);
+      await join(onSecond, bigRoom.name);
+
+      // The default user limit is 5 messages at once
+      for (let i = 0; i < 3; i++) {
+         onFirst.socket.emit('chatMessage', `first ${i}`);
+         onSecond.socket.emit('chatMessage', `second ${i}`);
+      }
+
+      await waitUntil(
+         () => [onFirst, onSecond].some(client => client.events.some(entry => entry.event === 'rateLimited')),
+         'a rateLimited event'
+      );
+   });
+
+   test('a session dropped on one instance resumes on the other without a leave', async () => {
+      const erin = await createAccount('erin');
+      const watcher = await connectAs(await createAccount('frank'), second);
+      await join(watcher, bigRoom.name);
+
+      const dropped = await connectAs(erin, first);
+      const { resumeToken } = await join(dropped, bigRoom.name);
+      dropped.socket.io.engine.close(); // Lose the connection without saying goodbye
+
+      const resumed = await connectAs(erin, second);
+      resumed.socket.emit('resumeSession', { token: resumeToken, lastMessageId: 0 });
+      const session = await received(resumed, 'sessionResumed');
+      assert.strictEqual(session.room, bigRoom.name);
+      assert.ok(session.resumeToken && session.resumeToken !== resumeToken);
+
+      // The token is used up
+      const again = await connectAs(erin, first);
+      again.socket.emit('resumeSession', { token: resumeToken, lastMessageId: 0 });
+      assert.strictEqual((await received(again, 'resumeFailed')).reason, 'invalid_token');
+
+      // The first instance's grace period passes without announcing a leave
+      await new Promise(resolve => setTimeout(resolve, (RESUME_GRACE_SECONDS + 1) * 1000));
+      assert.ok(!watcher.events.some(entry => entry.event === 'message' &&
+         entry.payload.text === `${erin.username} has left the chat! 👋`));
+      const lists = watcher.events.filter(entry => entry.event === 'roomUsers' && entry.payload.room === bigRoom.name);
+      assert.ok(lists[lists.length - 1].payload.users.some(user => user.id === erin.id));
+   });
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { loadFilters, registerFilter, runFilters } = require('../utils/filters');
+
+loadFilters(path.join(__dirname, '..', 'filters'));
+
+// Refuses anything mentioning "forbidden", after the repeat and links filters have run
+registerFilter({
+   name: 'refuseForbidden',
+   order: 90,
+   enabledByDefault: true,
+   check: ctx => ctx.text.includes('forbidden') ? { action: 'reject', reason: 'forbidden' } : null
+});
+
+function send(text, { userId = 1, isEdit = false } = {}) {
+   return runFilters(text, { user: { id: userId, username: 'alice' }, room: { name: 'General' }, settingsByFilter: new Map(), isEdit });
+}
+
+test('repeats are refused after the limit', async () => {
+   for (let i = 0; i < 3; i++) {
+      assert.strictEqual((await send('hello there', { userId: 2 })).allowed, true);
+   }
+
+   const refused = await send('Hello there!', { userId: 2 });
+   assert.strictEqual(refused.allowed, false);
+   assert.strictEqual(refused.filter, 'repeat');
+});
+
+test('messages refused later in the pipeline do not count as repeats', async () => {
+   for (let i = 0; i < 5; i++) {
+      assert.strictEqual((await send('forbidden words', { userId: 3 })).filter, 'refuseForbidden');
+   }
+
+   assert.strictEqual((await send('words', { userId: 3 })).allowed, true);
+   assert.strictEqual((await send('forbidden words', { userId: 3 })).filter, 'refuseForbidden');
+});
+
+test('only links in posted messages count towards the link rate', async () => {
+   const links = 'https://one.example https://two.example';
+
+   for (let i = 0; i < 3; i++) {
+      assert.strictEqual((await send(`${links} forbidden ${i}`, { userId: 4 })).allowed, false);
+   }
+   assert.deepStrictEqual((await send(`${links} a`, { userId: 4 })).flags, []);
+   assert.deepStrictEqual((await send(`${links} b`, { userId: 4, isEdit: true })).flags, []);
+   assert.deepStrictEqual((await send(`${links} c`, { userId: 4 })).flags, []);
+
+   const flagged = await send(`${links} d`, { userId: 4 });
+   assert.deepStrictEqual(flagged.flags, [{ filter: 'links', reason: '6 links in a minute' }]);
+});
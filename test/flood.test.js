@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.RATE_LIMIT_MESSAGE_USER = '2/10';
+process.env.RATE_LIMIT_MESSAGE_ROOM = '3/10';
+
+const { checkFloodLimit, checkRoomFloodLimit } = require('../utils/flood');
+
+test('refuses a user over their limit and starts a cooldown', async () => {
+   assert.deepStrictEqual(await checkFloodLimit('message', 1, 100), { allowed: true });
+   assert.deepStrictEqual(await checkFloodLimit('message', 1, 100), { allowed: true });
+
+   const refused = await checkFloodLimit('message', 1, 100);
+   assert.strictEqual(refused.allowed, false);
+   assert.strictEqual(refused.scope, 'user');
+   assert.strictEqual(refused.retryAfterMs, 10 * 1000);
+
+   const cooling = await checkFloodLimit('message', 1);
+   assert.strictEqual(cooling.scope, 'cooldown');
+   assert.ok(cooling.retryAfterMs > 9000 && cooling.retryAfterMs <= 10 * 1000);
+});
+
+test('a busy room refuses without charging the user or counting an offence', async () => {
+   assert.deepStrictEqual(await checkFloodLimit('message', 2, 200), { allowed: true });
+   assert.deepStrictEqual(await checkRoomFloodLimit('message', 200), { allowed: true });
+   assert.deepStrictEqual(await checkRoomFloodLimit('message', 200), { allowed: true });
+
+   const refused = await checkFloodLimit('message', 2, 200);
+   assert.strictEqual(refused.scope, 'room');
+
+   // The user's second token is still there for another room
+   assert.deepStrictEqual(await checkFloodLimit('message', 2, 201), { allowed: true });
+});
@@ -0,0 +1,190 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { RedisPresence } = require('../utils/presence');
+
+// Two Redis presence backends on one Redis, as two app instances would have.
+// Needs TEST_REDIS_URL; skipped without it. The instances themselves are
+// covered by cluster.test.js.
+const skip = process.env.TEST_REDIS_URL ? false : 'set TEST_REDIS_URL to run';
+
+describe('Redis presence shared by two instances', { skip }, () => {
+   let prefix;
+   let first;
+   let second;
+
+   before(async () => {
+      prefix = `chatbud-test-${crypto.randomBytes(4).toString('hex')}`;
+      first = new RedisPresence(process.env.TEST_REDIS_URL, prefix);
+      second = new RedisPresence(process.env.TEST_REDIS_URL, prefix);
+      await Promise.all([first.ready, second.ready]);
+   });
+
+   after(async () => {
+      await Promise.all([first.close(), second.close()]);
+   });
+
+   test('both instances see every connection and socket of a user', async () => {
+      await first.addSocket('tab-on-first', { id: 5, username: 'erin', room: 'Tabs' });
+      await second.addSocket('tab-on-second', { id: 5, username: 'erin', room: 'Tabs' });
+      await first.addConnection('tab-on-first', 5);
+      await second.addConnection('tab-on-second', 5);
+
+      for (const presence of [first, second]) {
+         const connections = await presence.getUserConnections(5);
+         assert.deepStrictEqual(connections.map(connection => connection.socketId).sort(), ['tab-on-first', 'tab-on-second']);
+
+         const sockets = await presence.getUserSockets(5);
+         assert.deepStrictEqual(sockets.map(entry => entry.socketId).sort(), ['tab-on-first', 'tab-on-second']);
+         assert.strictEqual((await presence.getRoomUsers('Tabs')).length, 1);
+      }
+
+      const rooms = await second.updateUser(5, { username: 'erin2' });
+      assert.deepStrictEqual(rooms, ['Tabs']);
+      assert.strictEqual((await first.getSocket('tab-on-first')).username, 'erin2');
+
+      await first.removeSocket('tab-on-first');
+      assert.deepStrictEqual((await second.getUserSockets(5)).map(entry => entry.socketId), ['tab-on-second']);
+   });
+
+   test('sockets of an instance that stopped heartbeating are dropped', async () => {
+      const crashed = new RedisPresence(process.env.TEST_REDIS_URL, prefix);
+      await crashed.ready;
+      await crashed.addSocket('gone-socket', { id: 6, username: 'frank', room: 'Crashed' });
+      await crashed.addConnection('gone-socket', 6);
+      assert.strictEqual((await first.getRoomUsers('Crashed')).length, 1);
+
+      // As if the instance died: its heartbeat key expires
+      await crashed.client.del(crashed.key('instance', crashed.instanceId));
+
+      assert.deepStrictEqual(await first.getRoomUsers('Crashed'), []);
+      assert.deepStrictEqual(await first.getUserConnections(6), []);
+      assert.strictEqual(await first.getSocket('gone-socket'), null);
+      assert.deepStrictEqual(await first.client.sMembers(first.key('room', 'Crashed')), []);
+
+      await crashed.close();
+   });
+
+   test('waitlists are shared, first come first served', async () => {
+      assert.strictEqual(await first.addToWaitlist('Full', 'socket-a'), 1);
+      assert.strictEqual(await second.addToWaitlist('Full', 'socket-b'), 2);
+      assert.strictEqual(await first.addToWaitlist('Full', 'socket-c'), 3);
+
+      assert.strictEqual(await second.removeFromWaitlist('socket-b'), true);
+      assert.strictEqual(await second.removeFromWaitlist('socket-b'), false);
+
+      // Queuing again for another room leaves the first queue
+      assert.strictEqual(await second.addToWaitlist('Other', 'socket-c'), 1);
+
+      assert.strictEqual(await second.nextInWaitlist('Full'), 'socket-a');
+      assert.strictEqual(await first.nextInWaitlist('Full'), null);
+      assert.strictEqual(await first.nextInWaitlist('Other'), 'socket-c');
+      assert.strictEqual(await first.removeFromWaitlist('socket-c'), false);
+   });
+
+   test('flood buckets are shared and charged all or nothing', async () => {
+      const now = Date.now();
+      const user = { key: 'message:user:7', burst: 3, seconds: 3 };
+      const room = { key: 'message:room:1', burst: 2, seconds: 10 };
+
+      // Concurrent events on both instances never take more than the burst
+      const results = await Promise.all([first, second, first, second].map(presence => presence.takeTokens([user], now)));
+      assert.strictEqual(results.filter(result => result.allowed).length, 3);
+      assert.deepStrictEqual(results.find(result => !result.allowed), { allowed: false, index: 0, retryAfterMs: 1000 });
+
+      // Refills with time
+      assert.deepStrictEqual(await second.takeTokens([user], now + 1000), { allowed: true });
+
+      // A refused room bucket leaves the user's bucket alone
+      const other = { key: 'message:user:8', burst: 1, seconds: 5 };
+      assert.deepStrictEqual(await first.takeTokens([room], now), { allowed: true });
+      assert.deepStrictEqual(await second.takeTokens([room], now), { allowed: true });
+      assert.deepStrictEqual(await first.takeTokens([other, room], now), { allowed: false, index: 1, retryAfterMs: 5000 });
+      assert.deepStrictEqual(await second.takeTokens([other], now), { allowed: true });
+   });
+
+   test('cooldowns are shared and grow with each offence', async () => {
+      const now = Date.now();
+      const steps = [10 * 1000, 30 * 1000];
+
+      assert.strictEqual(await second.getCooldown('message:9', now), 0);
+      assert.strictEqual(await first.startCooldown('message:9', steps, 60 * 1000, now), 10 * 1000);
+      assert.strictEqual(await second.getCooldown('message:9', now + 4000), 6000);
+
+      // Offending again soon after lengthens it; long after starts over
+      assert.strictEqual(await second.startCooldown('message:9', steps, 60 * 1000, now + 20 * 1000), 30 * 1000);
+      assert.strictEqual(await first.startCooldown('message:9', steps, 60 * 1000, now + 30 * 1000), 30 * 1000);
+      assert.strictEqual(await first.startCooldown('message:9', steps, 60 * 1000, now + 10 * 60 * 1000), 10 * 1000);
+   });
+
+   test('recent lists are shared, windowed and capped', async () => {
+      const now = Date.now();
+
+      await first.addRecent('filter:repeat:General:14', ['hi'], 60 * 1000, 3, now - 90 * 1000);
+      await second.addRecent('filter:repeat:General:14', ['hi', 'hey'], 60 * 1000, 3, now);
+      assert.deepStrictEqual(await first.getRecent('filter:repeat:General:14', 60 * 1000, now), ['hi', 'hey']);
+
+      await first.addRecent('filter:repeat:General:14', ['yo', 'sup'], 60 * 1000, 3, now);
+      assert.deepStrictEqual(await second.getRecent('filter:repeat:General:14', 60 * 1000, now), ['hey', 'yo', 'sup']);
+      assert.deepStrictEqual(await second.getRecent('filter:repeat:General:15', 60 * 1000, now), []);
+   });
+
+   test('only one instance holds a lease until it expires', async () => {
+      const [firstTook, secondTook] = await Promise.all([
+         first.acquireLease('test-lease', 1),
+         second.acquireLease('test-lease', 1)
+      ]);
+      assert.strictEqual(firstTook !== secondTook, true);
+
+      const [holder, other] = firstTook ? [first, second] : [second, first];
+      assert.strictEqual(await holder.acquireLease('test-lease', 1), true);
+      assert.strictEqual(await other.acquireLease('test-lease', 1), false);
+
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      assert.strictEqual(await other.acquireLease('test-lease', 1), true);
+      assert.strictEqual(await holder.acquireLease('test-lease', 1), false);
+   });
+
+   test('a resume token saved on one instance is claimed on the other, once', async () => {
+      const token = crypto.randomBytes(24).toString('hex');
+      await first.saveResumeToken({ token, socketId: 'dropped-socket', userId: 10, room: 'General' }, 60);
+      assert.strictEqual(await first.holdResumeToken('dropped-socket', 30), true);
+
+      assert.strictEqual(await second.claimResumeToken(token, 11), null);
+      assert.deepStrictEqual(
+         await second.claimResumeToken(token, 10),
+         { token, socketId: 'dropped-socket', userId: 10, room: 'General', held: true }
+      );
+      assert.strictEqual(await second.claimResumeToken(token, 10), null);
+
+      // The instance that held it finds nothing left to release
+      assert.strictEqual(await first.takeSocketResumeToken('dropped-socket'), null);
+      assert.strictEqual(await first.holdResumeToken('dropped-socket', 30), false);
+   });
+
+   test('a new resume token replaces the socket\'s old one', async () => {
+      const [oldToken, newToken] = [1, 2].map(() => crypto.randomBytes(24).toString('hex'));
+      await first.saveResumeToken({ token: oldToken, socketId: 'tab', userId: 12, room: 'General' }, 60);
+      await second.saveResumeToken({ token: newToken, socketId: 'tab', userId: 12, room: 'Lobby' }, 60);
+
+      assert.strictEqual(await first.claimResumeToken(oldToken, 12), null);
+      assert.strictEqual((await first.takeSocketResumeToken('tab')).token, newToken);
+   });
+
+   test('revoking a user\'s resume tokens for a room leaves their other rooms alone', async () => {
+      const tokens = [1, 2, 3].map(() => crypto.randomBytes(24).toString('hex'));
+      await first.saveResumeToken({ token: tokens[0], socketId: 'tab-1', userId: 13, room: 'General' }, 60);
+      await second.saveResumeToken({ token: tokens[1], socketId: 'tab-2', userId: 13, room: 'General' }, 60);
+      await second.saveResumeToken({ token: tokens[2], socketId: 'tab-3', userId: 13, room: 'Lobby' }, 60);
+      await second.holdResumeToken('tab-2', 30);
+
+      const revoked = await first.takeUserResumeTokens(13, 'General');
+      assert.deepStrictEqual(
+         revoked.map(record => [record.socketId, record.held]).sort(),
+         [['tab-1', false], ['tab-2', true]]
+      );
+      assert.strictEqual(await second.claimResumeToken(tokens[1], 13), null);
+      assert.strictEqual((await second.claimResumeToken(tokens[2], 13)).room, 'Lobby');
+   });
+});
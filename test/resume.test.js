@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.RESUME_GRACE_SECONDS = '1';
+
+const { issueResumeToken, holdForResume, claimResumeToken, revokeResumeTokens } = require('../utils/resume');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a held socket is released once the grace period passes unclaimed', async () => {
+   await issueResumeToken('socket-1', 1, 'General');
+   let released = 0;
+
+   assert.strictEqual(await holdForResume('socket-1', () => released++), true);
+   assert.strictEqual(await holdForResume('socket-without-token', () => released++), false);
+
+   await wait(1100);
+   assert.strictEqual(released, 1);
+});
+
+test('claiming a token cancels the release and only works once, for its user', async () => {
+   const token = await issueResumeToken('socket-2', 2, 'General');
+   let released = 0;
+   await holdForResume('socket-2', () => released++);
+
+   assert.strictEqual(await claimResumeToken(token, 3), null);
+   assert.strictEqual(await claimResumeToken({ token }, 2), null);
+   assert.deepStrictEqual(await claimResumeToken(token, 2), { token, socketId: 'socket-2', userId: 2, room: 'General', held: true });
+   assert.strictEqual(await claimResumeToken(token, 2), null);
+
+   await wait(1100);
+   assert.strictEqual(released, 0);
+});
+
+test('revoking returns the held sockets and cancels their release', async () => {
+   await issueResumeToken('socket-3', 4, 'General');
+   await issueResumeToken('socket-4', 4, 'General');
+   let released = 0;
+   await holdForResume('socket-3', () => released++);
+
+   const revoked = await revokeResumeTokens(4, 'General');
+   assert.deepStrictEqual(revoked.map(record => record.socketId), ['socket-3']);
+
+   await wait(1100);
+   assert.strictEqual(released, 0);
+});
@@ -0,0 +1,150 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// Only the stand-in receiver's exact host is trusted; everything else goes
+// through the private address checks
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+process.env.WEBHOOK_TIMEOUT_MS = '300';
+
+const { sendWebhook, signPayload, validateWebhookUrl } = require('../utils/webhooks');
+
+// A local HTTP receiver standing in for a webhook endpoint. Each test sets
+// `respond` to decide how it answers; requests are recorded in `received`.
+let server;
+let baseUrl;
+let received = [];
+let respond = (req, res) => res.end();
+
+before(async () => {
+   server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+         body += chunk;
+      });
+      req.on('end', () => {
+         received.push({ method: req.method, path: req.url, headers: req.headers, body });
+         respond(req, res);
+      });
+   });
+
+   await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+   baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+   server.closeAllConnections();
+   return new Promise(resolve => server.close(resolve));
+});
+
+function delivery(overrides = {}) {
+   received = [];
+   return {
+      url: `${baseUrl}/hook`,
+      secret: 'test-secret',
+      event: 'message.created',
+      deliveryId: 42,
+      body: JSON.stringify({ event: 'message.created', room: 'Room-1', message: { text: 'hi' } }),
+      ...overrides
+   };
+}
+
+test('delivers a signed POST and reports success on 2xx', async () => {
+   respond = (req, res) => {
+      res.statusCode = 204;
+      res.end();
+   };
+   const options = delivery();
+
+   const result = await sendWebhook(options);
+
+   assert.deepStrictEqual(result, { ok: true, status: 204, error: null });
+   assert.strictEqual(received.length, 1);
+
+   const [request] = received;
+   assert.strictEqual(request.method, 'POST');
+   assert.strictEqual(request.path, '/hook');
+   assert.strictEqual(request.body, options.body);
+   assert.strictEqual(request.headers['content-type'], 'application/json');
+   assert.strictEqual(request.headers['x-chatbud-event'], 'message.created');
+   assert.strictEqual(request.headers['x-chatbud-delivery'], '42');
+
+   const timestamp = request.headers['x-chatbud-timestamp'];
+   assert.match(timestamp, /^\d+$/);
+   assert.strictEqual(
+      request.headers['x-chatbud-signature'],
+      `sha256=${signPayload('test-secret', timestamp, options.body)}`
+   );
+});
+
+test('reports non-2xx responses as failures with their status', async () => {
+   respond = (req, res) => {
+      res.statusCode = 500;
+      res.end('broken');
+   };
+
+   const result = await sendWebhook(delivery());
+
+   assert.deepStrictEqual(result, { ok: false, status: 500, error: 'HTTP 500' });
+});
+
+test('gives up on receivers that take longer than the timeout', async () => {
+   respond = () => {}; // never answers
+
+   const result = await sendWebhook(delivery());
+
+   assert.strictEqual(result.ok, false);
+   assert.strictEqual(result.status, null);
+   assert.match(result.error, /Timed out after 300ms/);
+});
+
+test('refuses to deliver to private hosts', async () => {
+   const port = server.address().port;
+
+   for (const url of [`http://localhost:${port}/hook`, `http://127.0.0.2:${port}/hook`, `http://[::1]:${port}/hook`]) {
+      const result = await sendWebhook(delivery({ url }));
+
+      assert.strictEqual(result.ok, false, url);
+      assert.strictEqual(result.status, null, url);
+      assert.match(result.error, /private address/, url);
+      assert.strictEqual(received.length, 0, url);
+   }
+});
+
+test('accepts public http(s) URLs and trusted hosts', async () => {
+   assert.deepStrictEqual(await validateWebhookUrl(' https://93.184.216.34/chat '), { url: 'https://93.184.216.34/chat' });
+   assert.deepStrictEqual(await validateWebhookUrl('http://[2606:4700::1111]/'), { url: 'http://[2606:4700::1111]/' });
+   assert.deepStrictEqual(await validateWebhookUrl(`${baseUrl}/hook`), { url: `${baseUrl}/hook` });
+});
+
+test('rejects URLs that are not http(s)', async () => {
+   assert.match((await validateWebhookUrl('ftp://93.184.216.34/')).error, /http or https/);
+   assert.match((await validateWebhookUrl('not a url')).error, /not a valid URL/);
+   assert.match((await validateWebhookUrl(42)).error, /at most 500 characters/);
+});
+
+test('rejects loopback, private, link-local and metadata addresses', async () => {
+   const privateUrls = [
+      'http://localhost/',
+      'http://127.0.0.2/',
+      'http://0.0.0.0/',
+      'http://10.1.2.3/',
+      'http://100.64.0.1/',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://172.16.5.4/',
+      'http://192.168.1.1/',
+      'http://[::1]/',
+      'http://[::]/',
+      'http://[::ffff:127.0.0.1]/',
+      'http://[::ffff:169.254.169.254]/',
+      'http://[fd00::1]/',
+      'http://[fe80::1]/',
+      'http://2130706434/' // 127.0.0.2 written as a number
+   ];
+
+   for (const url of privateUrls) {
+      const result = await validateWebhookUrl(url);
+      assert.ok(result.error, `${url} should be rejected`);
+      assert.match(result.error, /public host/, url);
+   }
+});
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+// Upload limits
+const ATTACHMENT_MAX_BYTES = (parseInt(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+const ATTACHMENT_ALLOWED_TYPES = (process.env.ATTACHMENT_ALLOWED_TYPES ||
+   'image/jpeg,image/png,image/gif,image/webp,application/pdf,text/plain,application/zip')
+   .split(',')
+   .map(type => type.trim().toLowerCase())
+   .filter(Boolean);
+
+// Thumbnails fit inside a THUMBNAIL_SIZE x THUMBNAIL_SIZE box
+const THUMBNAIL_SIZE = 320;
+
+function isAllowedType(mimeType) {
+   return ATTACHMENT_ALLOWED_TYPES.includes((mimeType || '').toLowerCase());
+}
+
+function isImageType(mimeType) {
+   return (mimeType || '').toLowerCase().startsWith('image/');
+}
+
+// Write an uploaded file (and a thumbnail for images) to storage.
+// Returns { storageKey, thumbnailKey, width, height }; throws if an image can't be decoded.
+async function storeAttachment({ buffer, originalName, mimeType }) {
+   const storage = getStorage();
+   const month = new Date().toISOString().slice(0, 7);
+   const baseName = `${month}/${crypto.randomBytes(16).toString('hex')}`;
+   const extension = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+
+   let thumbnail = null;
+   let width = null;
+   let height = null;
+
+   if (isImageType(mimeType)) {
+      const image = sharp(buffer);
+      const metadata = await image.metadata();
+      width = metadata.width || null;
+      height = metadata.height || null;
+
+      thumbnail = await image
+         .rotate()
+         .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+         .webp()
+         .toBuffer();
+   }
+
+   const storageKey = `${baseName}${extension}`;
+   await storage.save(storageKey, buffer);
+
+   let thumbnailKey = null;
+   if (thumbnail) {
+      thumbnailKey = `${baseName}_thumb.webp`;
+      await storage.save(thumbnailKey, thumbnail);
+   }
+
+   return { storageKey, thumbnailKey, width, height };
+}
+
+// Public shape of an attachment row
+function formatAttachment(attachment) {
+   if (!attachment) {
+      return null;
+   }
+
+   return {
+      id: attachment.id,
+      name: attachment.original_name,
+      mimeType: attachment.mime_type,
+      size: attachment.size_bytes,
+      isImage: isImageType(attachment.mime_type),
+      width: attachment.width || null,
+      height: attachment.height || null,
+      url: `/api/attachments/${attachment.id}`,
+      thumbnailUrl: attachment.thumbnail_key ? `/api/attachments/${attachment.id}/thumbnail` : null
+   };
+}
+
+module.exports = {
+   ATTACHMENT_MAX_BYTES,
+   ATTACHMENT_ALLOWED_TYPES,
+   isAllowedType,
+   isImageType,
+   storeAttachment,
+   formatAttachment
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bot registry. Each bot module in the bots/ directory exports:
+//   username        the users row it posts as (created with is_bot = TRUE)
+//   displayName     optional name shown on its messages
+//   description     one line for room admins
+//   enabledByDefault  whether it runs in rooms that haven't configured it
+//   defaultConfig   per-room settings and their defaults; admins may only
+//                   change these keys, keeping each value's type
+//   onMessage(ctx, message)  a person posted in the room
+//   onMention(ctx, message)  a person @mentioned the bot (instead of onMessage)
+//   onJoin(ctx, member) / onLeave(ctx, member)
+//   tasks           [{ everyMinutes, run(ctx) }] run for every room the bot is on in
+// Handlers are optional; see dispatchBotEvent in app.js for what ctx holds.
+const bots = new Map();
+
+const BOT_EVENTS = {
+   message: 'onMessage',
+   mention: 'onMention',
+   join: 'onJoin',
+   leave: 'onLeave'
+};
+
+function registerBot(bot) {
+   if (!bot || typeof bot.username !== 'string' || !/^[A-Za-z0-9._-]{3,50}$/.test(bot.username)) {
+      throw new Error('Bots need a username of 3-50 letters, digits, dots, dashes or underscores');
+   }
+
+   const tasks = bot.tasks || [];
+   tasks.forEach(task => {
+      if (!Number.isInteger(task.everyMinutes) || task.everyMinutes < 1 || typeof task.run !== 'function') {
+         throw new Error(`Bot ${bot.username} has a task without a run function or a whole-minute interval`);
+      }
+   });
+
+   bots.set(bot.username.toLowerCase(), { defaultConfig: {}, ...bot, tasks, userId: null });
+}
+
+// Load every bot module in a directory
+function loadBots(directory) {
+   const files = fs.readdirSync(directory).filter(file => file.endsWith('.js'));
+
+   files.forEach(file => {
+      try {
+         registerBot(require(path.join(directory, file)));
+      } catch (error) {
+         console.error(`Error loading bot ${file}:`, error);
+      }
+   });
+
+   console.log(`🤖 Loaded ${bots.size} bots from ${directory}`);
+}
+
+function getBot(username) {
+   return bots.get((username || '').toLowerCase()) || null;
+}
+
+function listBots() {
+   return Array.from(bots.values()).sort((a, b) => a.username.localeCompare(b.username));
+}
+
+// Whether a bot runs in a room, given its settings row there (or null)
+function isBotEnabled(bot, settings) {
+   return settings ? !!settings.is_enabled : !!bot.enabledByDefault;
+}
+
+// A bot's effective config in a room: its defaults overlaid with the stored settings
+function resolveBotConfig(bot, settings) {
+   let stored = settings ? settings.config : null;
+   if (typeof stored === 'string') {
+      try {
+         stored = JSON.parse(stored);
+      } catch (error) {
+         stored = null;
+      }
+   }
+
+   return { ...bot.defaultConfig, ...(stored || {}) };
+}
+
+// Validate config changes from a room admin against the bot's defaults
+function validateBotConfig(bot, input) {
+   if (input === undefined || input === null) {
+      return { values: {} };
+   }
+
+   if (typeof input !== 'object' || Array.isArray(input)) {
+      return { error: 'config must be an object' };
+   }
+
+   const values = {};
+   for (const [key, value] of Object.entries(input)) {
+      if (!Object.prototype.hasOwnProperty.call(bot.defaultConfig, key)) {
+         return { error: `${bot.username} has no setting called ${key}` };
+      }
+
+      const expected = typeof bot.defaultConfig[key];
+      if (typeof value !== expected || (expected === 'number' && !Number.isFinite(value))) {
+         return { error: `${key} must be a ${expected}` };
+      }
+      values[key] = value;
+   }
+
+   return { values };
+}
+
+// The public shape of a bot and its settings in a room
+function formatBot(bot, settings) {
+   return {
+      username: bot.username,
+      displayName: bot.displayName || null,
+      description: bot.description || null,
+      userId: bot.userId,
+      enabled: isBotEnabled(bot, settings),
+      config: resolveBotConfig(bot, settings),
+      defaultConfig: bot.defaultConfig
+   };
+}
+
+module.exports = {
+   BOT_EVENTS,
+   registerBot,
+   loadBots,
+   getBot,
+   listBots,
+   isBotEnabled,
+   resolveBotConfig,
+   validateBotConfig,
+   formatBot
+};
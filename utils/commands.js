@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+// Slash-command registry. Each command module exports:
+//   name         command word, without the slash
+//   aliases      optional extra names
+//   usage        e.g. '/roll [NdM]'
+//   description  one line for /help
+//   permission   'everyone', 'member' (room member or admin) or 'admin' (room admin)
+//   execute(ctx) does the work; see runCommand for what ctx holds
+// Every .js file in the commands/ directory is loaded at startup.
+const commands = new Map();
+
+const PERMISSIONS = ['everyone', 'member', 'admin'];
+
+function registerCommand(command) {
+   if (!command || typeof command.name !== 'string' || typeof command.execute !== 'function') {
+      throw new Error('Commands need a name and an execute function');
+   }
+
+   const permission = command.permission || 'everyone';
+   if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Unknown permission for /${command.name}: ${permission}`);
+   }
+
+   const registered = { ...command, permission };
+   [command.name, ...(command.aliases || [])].forEach(name => {
+      commands.set(name.toLowerCase(), registered);
+   });
+}
+
+// Load every command module in a directory
+function loadCommands(directory) {
+   const files = fs.readdirSync(directory).filter(file => file.endsWith('.js'));
+
+   files.forEach(file => {
+      try {
+         registerCommand(require(path.join(directory, file)));
+      } catch (error) {
+         console.error(`Error loading command ${file}:`, error);
+      }
+   });
+
+   console.log(`⚙️ Loaded ${files.length} chat commands from ${directory}`);
+}
+
+function getCommand(name) {
+   return commands.get((name || '').toLowerCase()) || null;
+}
+
+// Registered commands, once each, sorted by name
+function listCommands() {
+   return Array.from(new Set(commands.values())).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Split "/name arg1 arg2" into the command word, argument list and raw argument text
+function parseCommand(text) {
+   const match = text.match(/^\/(\S+)\s*([\s\S]*)$/);
+   if (!match) {
+      return null;
+   }
+
+   const argText = match[2].trim();
+   return {
+      name: match[1].toLowerCase(),
+      argText,
+      args: argText ? argText.split(/\s+/) : []
+   };
+}
+
+// Check a command's permission level against the caller's room role.
+// roles is { isMember, isAdmin } for the caller in the current room.
+function isAllowed(command, roles) {
+   if (command.permission === 'admin') {
+      return roles.isAdmin;
+   }
+   if (command.permission === 'member') {
+      return roles.isMember || roles.isAdmin;
+   }
+   return true;
+}
+
+module.exports = {
+   registerCommand,
+   loadCommands,
+   getCommand,
+   listCommands,
+   parseCommand,
+   isAllowed
+};
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+
+// Message filter pipeline. Each filter module in the filters/ directory exports:
+//   name            key used in per-room settings and the admin API
+//   description     one line for room admins
+//   order           position in the pipeline, lowest first (default 100)
+//   enabledByDefault  whether it runs in rooms that haven't configured it
+//   defaultConfig   per-room settings and their defaults; admins may only
+//                   change these keys, keeping each value's type
+//   choices         optional { key: [allowed values] } for string settings
+//   checksEdits     whether it also runs when a message is edited
+//   check(ctx)      ctx is { text, config, user, room, isEdit }. Returns null to
+//                   pass, or one of:
+//                     { action: 'mask', text }               carry on with the new text
+//                     { action: 'reject', reason, message }  refuse the message
+//                     { action: 'flag', reason }             post it, and queue it for review
+//   commit(ctx)     optional; called with the same ctx once the whole pipeline
+//                   has accepted the message. Filters that count messages
+//                   record them here, so refused messages never count.
+// runFilters() calls check() on each enabled filter in order, then commit() on
+// those that checked an accepted message.
+const filters = new Map();
+
+function registerFilter(filter) {
+   if (!filter || typeof filter.name !== 'string' || typeof filter.check !== 'function') {
+      throw new Error('Filters need a name and a check function');
+   }
+
+   filters.set(filter.name, { order: 100, defaultConfig: {}, choices: {}, checksEdits: true, ...filter });
+}
+
+// Load every filter module in a directory
+function loadFilters(directory) {
+   const files = fs.readdirSync(directory).filter(file => file.endsWith('.js'));
+
+   files.forEach(file => {
+      try {
+         registerFilter(require(path.join(directory, file)));
+      } catch (error) {
+         console.error(`Error loading filter ${file}:`, error);
+      }
+   });
+
+   console.log(`🧹 Loaded ${filters.size} message filters from ${directory}`);
+}
+
+function getFilter(name) {
+   return filters.get(name) || null;
+}
+
+// Registered filters in pipeline order
+function listFilters() {
+   return Array.from(filters.values()).sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+// Whether a filter runs in a room, given its settings row there (or null)
+function isFilterEnabled(filter, settings) {
+   return settings ? !!settings.is_enabled : !!filter.enabledByDefault;
+}
+
+// A filter's effective config in a room: its defaults overlaid with the stored settings
+function resolveFilterConfig(filter, settings) {
+   let stored = settings ? settings.config : null;
+   if (typeof stored === 'string') {
+      try {
+         stored = JSON.parse(stored);
+      } catch (error) {
+         stored = null;
+      }
+   }
+
+   return { ...filter.defaultConfig, ...(stored || {}) };
+}
+
+// Validate config changes from a room admin against the filter's defaults and choices
+function validateFilterConfig(filter, input) {
+   if (input === undefined || input === null) {
+      return { values: {} };
+   }
+
+   if (typeof input !== 'object' || Array.isArray(input)) {
+      return { error: 'config must be an object' };
+   }
+
+   const values = {};
+   for (const [key, value] of Object.entries(input)) {
+      if (!Object.prototype.hasOwnProperty.call(filter.defaultConfig, key)) {
+         return { error: `${filter.name} has no setting called ${key}` };
+      }
+
+      const fallback = filter.defaultConfig[key];
+      if (Array.isArray(fallback)) {
+         if (!Array.isArray(value) || !value.every(item => typeof item === 'string') || value.length > 500) {
+            return { error: `${key} must be a list of at most 500 strings` };
+         }
+      } else {
+         const expected = typeof fallback;
+         if (typeof value !== expected || (expected === 'number' && (!Number.isFinite(value) || value < 0))) {
+            return { error: `${key} must be a ${expected === 'number' ? 'non-negative number' : expected}` };
+         }
+      }
+
+      const allowed = filter.choices[key];
+      if (allowed && !allowed.includes(value)) {
+         return { error: `${key} must be one of: ${allowed.join(', ')}` };
+      }
+      values[key] = value;
+   }
+
+   return { values };
+}
+
+// Run a message through every enabled filter. settingsByFilter maps filter
+// names to the room's settings rows. Resolves to { allowed: true, text, flags }
+// with flags as [{ filter, reason }], or { allowed: false, filter, reason, message }.
+async function runFilters(text, { user, room, settingsByFilter, isEdit = false }) {
+   let current = text;
+   const flags = [];
+   const checked = []; // [filter, ctx] to commit if the message is accepted
+
+   for (const filter of listFilters()) {
+      const settings = settingsByFilter.get(filter.name) || null;
+      if (!isFilterEnabled(filter, settings) || (isEdit && !filter.checksEdits)) {
+         continue;
+      }
+
+      const ctx = { text: current, config: resolveFilterConfig(filter, settings), user, room, isEdit };
+      let result;
+      try {
+         result = await filter.check(ctx);
+      } catch (error) {
+         // A broken filter shouldn't stop people talking
+         console.error(`Error in ${filter.name} filter:`, error);
+         continue;
+      }
+      checked.push([filter, ctx]);
+
+      if (!result) {
+         continue;
+      }
+
+      if (result.action === 'reject') {
+         return {
+            allowed: false,
+            filter: filter.name,
+            reason: result.reason || filter.name,
+            message: result.message || 'Your message was blocked by this room\'s filters'
+         };
+      }
+
+      if (result.action === 'mask' && typeof result.text === 'string') {
+         current = result.text;
+      } else if (result.action === 'flag') {
+         flags.push({ filter: filter.name, reason: result.reason || filter.name });
+      }
+   }
+
+   for (const [filter, ctx] of checked.filter(([filter]) => typeof filter.commit === 'function')) {
+      try {
+         await filter.commit(ctx);
+      } catch (error) {
+         console.error(`Error in ${filter.name} filter:`, error);
+      }
+   }
+
+   return { allowed: true, text: current, flags };
+}
+
+// The public shape of a filter and its settings in a room
+function formatFilter(filter, settings) {
+   return {
+      name: filter.name,
+      description: filter.description || null,
+      enabled: isFilterEnabled(filter, settings),
+      checksEdits: filter.checksEdits,
+      config: resolveFilterConfig(filter, settings),
+      defaultConfig: filter.defaultConfig,
+      choices: filter.choices
+   };
+}
+
+function formatFlaggedMessage(flagged) {
+   return {
+      id: flagged.id,
+      messageId: flagged.message_id,
+      userId: flagged.user_id,
+      username: flagged.username,
+      text: flagged.message,
+      isDeleted: !!flagged.is_deleted,
+      filters: flagged.filters ? flagged.filters.split(',') : [],
+      reason: flagged.reason,
+      status: flagged.status,
+      reviewedBy: flagged.reviewed_by_username || null,
+      reviewedAt: flagged.reviewed_at,
+      createdAt: flagged.created_at
+   };
+}
+
+module.exports = {
+   registerFilter,
+   loadFilters,
+   getFilter,
+   listFilters,
+   isFilterEnabled,
+   resolveFilterConfig,
+   validateFilterConfig,
+   runFilters,
+   formatFilter,
+   formatFlaggedMessage
+};
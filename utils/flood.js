@@ -0,0 +1,103 @@
+const { getPresence } = require('./presence');
+
+// Flood protection for socket events. Each action has token buckets per user
+// (shared by all their sockets) and per room, configured as "<burst>/<seconds>":
+// up to <burst> events at once, refilling fully over <seconds>. Going over a
+// user limit of an escalating action also starts a cooldown that grows with
+// each repeat offence. Buckets and cooldowns live in the presence backend, so
+// they are shared by every instance.
+const COOLDOWN_STEPS_MS = [10, 30, 60, 5 * 60, 15 * 60].map(seconds => seconds * 1000);
+// Offences stop counting towards the next cooldown this long after the last one ended
+const OFFENCE_MEMORY_MS = 10 * 60 * 1000;
+
+function parseLimit(value, fallback) {
+   const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+   if (!match || parseInt(match[1], 10) < 1 || parseInt(match[2], 10) < 1) {
+      if (value) {
+         console.warn(`Ignoring invalid rate limit "${value}", using ${fallback}`);
+      }
+      return parseLimit(fallback);
+   }
+   return { burst: parseInt(match[1], 10), seconds: parseInt(match[2], 10) };
+}
+
+const FLOOD_LIMITS = {
+   message: {
+      user: parseLimit(process.env.RATE_LIMIT_MESSAGE_USER, '5/5'),
+      room: parseLimit(process.env.RATE_LIMIT_MESSAGE_ROOM, '30/10'),
+      escalate: true
+   },
+   typing: {
+      user: parseLimit(process.env.RATE_LIMIT_TYPING_USER, '10/10'),
+      room: parseLimit(process.env.RATE_LIMIT_TYPING_ROOM, '60/10'),
+      escalate: false
+   },
+   join: {
+      user: parseLimit(process.env.RATE_LIMIT_JOIN_USER, '5/30'),
+      room: parseLimit(process.env.RATE_LIMIT_JOIN_ROOM, '20/30'),
+      escalate: true
+   }
+};
+
+// Take a token for one event. Resolves to { allowed: true }, or { allowed:
+// false, scope, retryAfterMs } where scope is 'user', 'room' or 'cooldown'. room
+// may be null for events outside a room, such as direct messages.
+async function checkFloodLimit(action, userId, room = null) {
+   const limits = FLOOD_LIMITS[action];
+   if (!limits) {
+      throw new Error(`Unknown flood limit action: ${action}`);
+   }
+
+   const presence = getPresence();
+   const now = Date.now();
+   const offenderKey = `${action}:${userId}`;
+   const cooldownMs = await presence.getCooldown(offenderKey, now);
+   if (cooldownMs > 0) {
+      return { allowed: false, scope: 'cooldown', retryAfterMs: cooldownMs };
+   }
+
+   const buckets = [{ key: `${action}:user:${userId}`, ...limits.user }];
+   if (room !== null) {
+      buckets.push({ key: `${action}:room:${room}`, ...limits.room });
+   }
+
+   const result = await presence.takeTokens(buckets, now);
+   if (result.allowed) {
+      return result;
+   }
+
+   // A busy room isn't the user's fault, so it never counts as an offence
+   if (result.index === 1) {
+      return { allowed: false, scope: 'room', retryAfterMs: result.retryAfterMs };
+   }
+
+   const offenceMs = limits.escalate
+      ? await presence.startCooldown(offenderKey, COOLDOWN_STEPS_MS, OFFENCE_MEMORY_MS, now)
+      : 0;
+   return { allowed: false, scope: 'user', retryAfterMs: Math.max(result.retryAfterMs, offenceMs) };
+}
+
+// Take a token from a room's bucket alone. For events where the user's own
+// limit is charged first and the room only once it's known to be real and open
+// to them (joins), so made-up names and refused users can't drain it.
+async function checkRoomFloodLimit(action, room) {
+   const limits = FLOOD_LIMITS[action];
+   if (!limits) {
+      throw new Error(`Unknown flood limit action: ${action}`);
+   }
+
+   const result = await getPresence().takeTokens([{ key: `${action}:room:${room}`, ...limits.room }], Date.now());
+   return result.allowed ? result : { allowed: false, scope: 'room', retryAfterMs: result.retryAfterMs };
+}
+
+// Forget full buckets and offenders with nothing left to remember
+function pruneFloodState() {
+   return getPresence().pruneFloodState(Date.now());
+}
+
+module.exports = {
+   FLOOD_LIMITS,
+   checkFloodLimit,
+   checkRoomFloodLimit,
+   pruneFloodState
+};
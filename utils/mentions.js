@@ -0,0 +1,49 @@
+// @name tokens. Usernames come from email local parts, so . + - _ are allowed;
+// the token must not follow another name character (so emails don't match).
+const MENTION_PATTERN = /(^|[^A-Za-z0-9._+@-])@([A-Za-z0-9._+-]{1,50})/g;
+
+// Pull @username, @room and @here out of a message
+function parseMentions(text) {
+   const usernames = new Set();
+   let room = false;
+   let here = false;
+
+   for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+      // Trailing dots are sentence punctuation, not part of the name
+      const name = match[2].replace(/\.+$/, '');
+      const lowerName = name.toLowerCase();
+
+      if (lowerName === 'room') {
+         room = true;
+      } else if (lowerName === 'here') {
+         here = true;
+      } else if (name) {
+         usernames.add(name);
+      }
+   }
+
+   return { usernames: Array.from(usernames), room, here };
+}
+
+// Shape a mentions row (joined with its message) for the inbox and `mention` events
+function formatMention(mention) {
+   return {
+      id: mention.id,
+      kind: mention.kind,
+      isRead: !!mention.is_read,
+      messageId: mention.message_id,
+      room: mention.room_name,
+      from: {
+         id: mention.author_id,
+         username: mention.author_username,
+         displayName: mention.author_display_name || null
+      },
+      text: mention.message,
+      timestamp: mention.timestamp
+   };
+}
+
+module.exports = {
+   parseMentions,
+   formatMention
+};
@@ -1,11 +1,28 @@
-function formatMessage(username, text) {
+const { formatAttachment } = require('./attachments');
+
+// extra carries fields for stored messages, e.g. { id, userId }
+function formatMessage(username, text, extra = {}) {
     return {
+        ...extra,
         username,
         text,
         time: new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})
     };
 }
 
+// Quoted snippet of the message a reply points at
+const REPLY_SNIPPET_LENGTH = 100;
+
+function formatReplyPreview(id, username, text, isDeleted) {
+    const snippet = isDeleted ? '' : (text || '');
+    return {
+        id,
+        username: username || 'Unknown User',
+        text: snippet.length > REPLY_SNIPPET_LENGTH ? `${snippet.slice(0, REPLY_SNIPPET_LENGTH)}…` : snippet,
+        deleted: !!isDeleted
+    };
+}
+
 function formatDbMessage(dbMessage) {
     // Debug: Log what we receive from database
     console.log('🔍 Raw DB message:', JSON.stringify(dbMessage, null, 2));
@@ -17,20 +34,59 @@ function formatDbMessage(dbMessage) {
     }
     
     const formatted = {
+        id: dbMessage.id,
+        userId: dbMessage.user_id,
         username: dbMessage.username || 'Unknown User',
+        displayName: dbMessage.display_name || null,
         text: dbMessage.message || '',
         time: dbMessage.local_time ? 
              new Date(dbMessage.local_time).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}) :
              new Date(dbMessage.timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}),
         messageType: dbMessage.message_type || 'text',
-        avatar: dbMessage.avatar_url
+        avatar: dbMessage.avatar_url,
+        isBot: !!dbMessage.is_bot,
+        editedAt: dbMessage.edited_at || null,
+        attachment: dbMessage.attachment_id ? formatAttachment({
+            id: dbMessage.attachment_id,
+            original_name: dbMessage.attachment_name,
+            mime_type: dbMessage.attachment_mime_type,
+            size_bytes: dbMessage.attachment_size,
+            thumbnail_key: dbMessage.attachment_thumbnail_key,
+            width: dbMessage.attachment_width,
+            height: dbMessage.attachment_height
+        }) : null,
+        replyTo: dbMessage.reply_to_id
+            ? formatReplyPreview(dbMessage.reply_to_id, dbMessage.reply_to_username, dbMessage.reply_to_message, dbMessage.reply_to_deleted)
+            : null,
+        threadId: dbMessage.thread_id || null,
+        replyCount: Number(dbMessage.reply_count) || 0
     };
     
     console.log('✅ Formatted message:', JSON.stringify(formatted, null, 2));
     return formatted;
 }
 
+function formatDirectMessage(dbMessage) {
+    if (!dbMessage) {
+        return null;
+    }
+    
+    return {
+        id: dbMessage.id,
+        conversationId: dbMessage.conversation_id,
+        userId: dbMessage.sender_id,
+        username: dbMessage.username || 'Unknown User',
+        displayName: dbMessage.display_name || null,
+        text: dbMessage.message || '',
+        time: new Date(dbMessage.timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}),
+        timestamp: dbMessage.timestamp,
+        avatar: dbMessage.avatar_url
+    };
+}
+
 module.exports = {
     formatMessage,
-    formatDbMessage
+    formatDbMessage,
+    formatDirectMessage,
+    formatReplyPreview
 };
\ No newline at end of file
@@ -0,0 +1,733 @@
+const crypto = require('crypto');
+
+// Presence and pub/sub backends. They let several app.js instances share one
+// view of who is connected where. A backend implements:
+//   createSocketAdapter()           -> Socket.IO adapter, or null for the built-in in-memory one
+//   addSocket(socketId, entry)      -> Promise; entry is { id, username, room, sessionId, ... }
+//   getSocket(socketId)             -> Promise of the entry, or null
+//   removeSocket(socketId)          -> Promise
+//   updateUser(userId, details)     -> Promise of the rooms that user's sockets are in
+//   getRoomUsers(room)              -> Promise of entries, one per user
+//   getUserSockets(userId)          -> Promise of that user's entries, one per socket
+// Room entries only exist while a socket is in a room. Every connected socket,
+// in a room or not, also has a connection record for the user's presence state:
+//   addConnection(socketId, userId) -> Promise
+//   setConnectionIdle(socketId, idle) -> Promise
+//   removeConnection(socketId)      -> Promise
+//   getUserConnections(userId)      -> Promise of [{ socketId, userId, idle }]
+// It also holds the state instances have to agree on:
+//   addToWaitlist(room, socketId)   -> Promise of the socket's 1-based position
+//   removeFromWaitlist(socketId)    -> Promise of whether it was waiting
+//   nextInWaitlist(room)            -> Promise of the next waiting socket ID, or null
+//   takeTokens(buckets, now)        -> Promise; buckets are [{ key, burst, seconds }] and either
+//                                      all lose a token ({ allowed: true }) or none do
+//                                      ({ allowed: false, index, retryAfterMs } for the empty one)
+//   getCooldown(key, now)           -> Promise of the ms left on a cooldown, or 0
+//   startCooldown(key, stepsMs, memoryMs, now) -> Promise of the new cooldown's length in ms
+//   pruneFloodState(now)            -> Promise
+//   getRecent(key, windowMs, now)   -> Promise of the values added to a list in the last windowMs
+//   addRecent(key, values, windowMs, limit, now) -> Promise; appends values to a list, keeping
+//                                      the last `limit` of them
+//   acquireLease(name, ttlSeconds)  -> Promise of whether this instance holds (or now took) the lease
+//   saveResumeToken(record, ttlSeconds) -> Promise; record is { token, socketId, userId, room }
+//                                      and replaces any token the socket had
+//   holdResumeToken(socketId, ttlSeconds) -> Promise of whether the socket had a token to hold
+//   claimResumeToken(token, userId) -> Promise of the record plus `held`, now removed, or
+//                                      null if unknown, expired or another user's
+//   takeSocketResumeToken(socketId) -> Promise of the socket's record, now removed, or null
+//   takeUserResumeTokens(userId, room) -> Promise of the user's records for a room, now removed
+//   close()                         -> Promise
+// Pick one with PRESENCE_ADAPTER (default: memory) and add more with registerPresence().
+
+// Unique users from a list of socket entries, first socket wins
+function uniqueUsers(entries) {
+   const users = new Map();
+   entries.forEach(entry => {
+      if (!users.has(entry.id)) {
+         users.set(entry.id, entry);
+      }
+   });
+   return Array.from(users.values());
+}
+
+// Tokens left in a flood bucket ({ tokens, updatedAt }, or null when unused)
+// once refilled up to now
+function refilled(bucket, limit, now) {
+   if (!bucket) {
+      return limit.burst;
+   }
+   return Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) * limit.burst / (limit.seconds * 1000));
+}
+
+// Whether one token can be taken from every bucket, given their levels
+function tokensAvailable(buckets, levels) {
+   const index = levels.findIndex(level => level < 1);
+   if (index === -1) {
+      return { allowed: true };
+   }
+
+   const limit = buckets[index];
+   return { allowed: false, index, retryAfterMs: Math.ceil((1 - levels[index]) * limit.seconds * 1000 / limit.burst) };
+}
+
+// The offender record after one more offence: the cooldown grows with each
+// offence made within memoryMs of the last cooldown ending
+function nextOffence(offender, stepsMs, memoryMs, now) {
+   const offences = offender && now - offender.cooldownUntil < memoryMs ? offender.offences + 1 : 1;
+   const cooldownMs = stepsMs[Math.min(offences, stepsMs.length) - 1];
+   return { offences, cooldownUntil: now + cooldownMs, cooldownMs };
+}
+
+// Single-process presence; the default, and all a single instance needs
+class MemoryPresence {
+   constructor() {
+      this.sockets = new Map();
+      this.connections = new Map();
+      this.waitlists = new Map(); // room -> [socketId], first come first served
+      this.buckets = new Map(); // key -> { tokens, updatedAt, burst, seconds }
+      this.offenders = new Map(); // key -> { offences, cooldownUntil, memoryMs }
+      this.recent = new Map(); // key -> { entries: [{ value, at }], windowMs }
+      this.resumeTokens = new Map(); // token -> { token, socketId, userId, room, held, expiresAt }
+      this.socketResumeTokens = new Map(); // socketId -> token
+   }
+
+   createSocketAdapter() {
+      return null;
+   }
+
+   async addSocket(socketId, entry) {
+      this.sockets.set(socketId, { ...entry, socketId });
+   }
+
+   async getSocket(socketId) {
+      return this.sockets.get(socketId) || null;
+   }
+
+   async removeSocket(socketId) {
+      this.sockets.delete(socketId);
+   }
+
+   async updateUser(userId, details) {
+      const rooms = new Set();
+      this.sockets.forEach(entry => {
+         if (entry.id === userId) {
+            Object.assign(entry, details);
+            rooms.add(entry.room);
+         }
+      });
+      return Array.from(rooms);
+   }
+
+   async getRoomUsers(room) {
+      return uniqueUsers(Array.from(this.sockets.values()).filter(entry => entry.room === room));
+   }
+
+   async getUserSockets(userId) {
+      return Array.from(this.sockets.values()).filter(entry => entry.id === userId);
+   }
+
+   async addConnection(socketId, userId) {
+      this.connections.set(socketId, { socketId, userId, idle: false });
+   }
+
+   async setConnectionIdle(socketId, idle) {
+      const connection = this.connections.get(socketId);
+      if (connection) {
+         connection.idle = idle;
+      }
+   }
+
+   async removeConnection(socketId) {
+      this.connections.delete(socketId);
+   }
+
+   async getUserConnections(userId) {
+      return Array.from(this.connections.values()).filter(connection => connection.userId === userId);
+   }
+
+   async addToWaitlist(room, socketId) {
+      await this.removeFromWaitlist(socketId);
+
+      if (!this.waitlists.has(room)) {
+         this.waitlists.set(room, []);
+      }
+
+      const queue = this.waitlists.get(room);
+      queue.push(socketId);
+      return queue.length;
+   }
+
+   async removeFromWaitlist(socketId) {
+      for (const [room, queue] of this.waitlists) {
+         const index = queue.indexOf(socketId);
+         if (index !== -1) {
+            queue.splice(index, 1);
+            if (queue.length === 0) {
+               this.waitlists.delete(room);
+            }
+            return true;
+         }
+      }
+      return false;
+   }
+
+   async nextInWaitlist(room) {
+      const queue = this.waitlists.get(room);
+      if (!queue || queue.length === 0) {
+         return null;
+      }
+
+      const socketId = queue.shift();
+      if (queue.length === 0) {
+         this.waitlists.delete(room);
+      }
+      return socketId;
+   }
+
+   async takeTokens(buckets, now) {
+      const levels = buckets.map(limit => refilled(this.buckets.get(limit.key), limit, now));
+      const result = tokensAvailable(buckets, levels);
+
+      if (result.allowed) {
+         buckets.forEach((limit, index) => {
+            this.buckets.set(limit.key, { tokens: levels[index] - 1, updatedAt: now, burst: limit.burst, seconds: limit.seconds });
+         });
+      }
+      return result;
+   }
+
+   async getCooldown(key, now) {
+      const offender = this.offenders.get(key);
+      return offender ? Math.max(0, offender.cooldownUntil - now) : 0;
+   }
+
+   async startCooldown(key, stepsMs, memoryMs, now) {
+      const { offences, cooldownUntil, cooldownMs } = nextOffence(this.offenders.get(key), stepsMs, memoryMs, now);
+      this.offenders.set(key, { offences, cooldownUntil, memoryMs });
+      return cooldownMs;
+   }
+
+   // Forget full buckets, offenders and recent lists with nothing left to remember
+   async pruneFloodState(now) {
+      this.buckets.forEach((bucket, key) => {
+         if (refilled(bucket, bucket, now) >= bucket.burst) {
+            this.buckets.delete(key);
+         }
+      });
+
+      this.offenders.forEach((offender, key) => {
+         if (now - offender.cooldownUntil >= offender.memoryMs) {
+            this.offenders.delete(key);
+         }
+      });
+
+      this.recent.forEach((list, key) => {
+         if (list.entries.every(entry => now - entry.at >= list.windowMs)) {
+            this.recent.delete(key);
+         }
+      });
+   }
+
+   async getRecent(key, windowMs, now) {
+      const list = this.recent.get(key);
+      return list ? list.entries.filter(entry => now - entry.at < windowMs).map(entry => entry.value) : [];
+   }
+
+   async addRecent(key, values, windowMs, limit, now) {
+      const entries = (this.recent.has(key) ? this.recent.get(key).entries : [])
+         .concat(values.map(value => ({ value, at: now })));
+      this.recent.set(key, { entries: entries.slice(-limit), windowMs });
+   }
+
+   // A single instance always holds every lease
+   async acquireLease() {
+      return true;
+   }
+
+   async saveResumeToken(record, ttlSeconds) {
+      await this.takeSocketResumeToken(record.socketId);
+      this.resumeTokens.set(record.token, { ...record, held: false, expiresAt: Date.now() + ttlSeconds * 1000 });
+      this.socketResumeTokens.set(record.socketId, record.token);
+   }
+
+   async holdResumeToken(socketId, ttlSeconds) {
+      const record = this.resumeTokens.get(this.socketResumeTokens.get(socketId));
+      if (!record || record.expiresAt <= Date.now()) {
+         return false;
+      }
+
+      Object.assign(record, { held: true, expiresAt: Date.now() + ttlSeconds * 1000 });
+      return true;
+   }
+
+   async claimResumeToken(token, userId) {
+      return this.takeResumeToken(token, record => record.userId === userId);
+   }
+
+   async takeSocketResumeToken(socketId) {
+      return this.takeResumeToken(this.socketResumeTokens.get(socketId));
+   }
+
+   async takeUserResumeTokens(userId, room) {
+      const tokens = Array.from(this.resumeTokens.values())
+         .filter(record => record.userId === userId && record.room === room)
+         .map(record => record.token);
+      return tokens.map(token => this.takeResumeToken(token)).filter(Boolean);
+   }
+
+   // Remove a resume token if it's live and passes `matches`; returns its record or null
+   takeResumeToken(token, matches = () => true) {
+      const record = this.resumeTokens.get(token);
+      if (!record) {
+         return null;
+      }
+
+      const live = record.expiresAt > Date.now();
+      if (live && !matches(record)) {
+         return null;
+      }
+
+      this.resumeTokens.delete(token);
+      this.socketResumeTokens.delete(record.socketId);
+
+      const { expiresAt, ...claimed } = record;
+      return live ? claimed : null;
+   }
+
+   async close() {}
+}
+
+// Each instance refreshes a heartbeat key; sockets of an instance whose key has
+// expired (it crashed or was killed) are dropped the next time they are read
+const INSTANCE_TTL_SECONDS = 60;
+const HEARTBEAT_MS = 20 * 1000;
+
+// Presence in Redis, with the Socket.IO Redis adapter for cross-instance
+// broadcasts (REDIS_URL, default redis://localhost:6379)
+class RedisPresence {
+   constructor(url, prefix = 'chatbud') {
+      const { createClient } = require('redis');
+
+      this.prefix = prefix;
+      this.instanceId = crypto.randomBytes(8).toString('hex');
+      this.client = createClient({ url });
+      this.subClient = this.client.duplicate();
+
+      [this.client, this.subClient].forEach(client => {
+         client.on('error', error => console.error('Redis presence error:', error));
+      });
+
+      this.ready = Promise.all([this.client.connect(), this.subClient.connect()])
+         .then(() => this.heartbeat());
+
+      this.heartbeatTimer = setInterval(() => {
+         this.heartbeat().catch(error => console.error('Error refreshing presence heartbeat:', error));
+      }, HEARTBEAT_MS);
+      this.heartbeatTimer.unref();
+   }
+
+   key(...parts) {
+      return [this.prefix, 'presence', ...parts].join(':');
+   }
+
+   heartbeat() {
+      return this.client.set(this.key('instance', this.instanceId), '1', { EX: INSTANCE_TTL_SECONDS });
+   }
+
+   createSocketAdapter() {
+      const { createAdapter } = require('@socket.io/redis-adapter');
+      return createAdapter(this.client, this.subClient, { key: `${this.prefix}:socket.io` });
+   }
+
+   async addSocket(socketId, entry) {
+      await this.ready;
+      await this.client.multi()
+         .hSet(this.key('sockets'), socketId, JSON.stringify({ ...entry, socketId, instanceId: this.instanceId }))
+         .sAdd(this.key('room', entry.room), socketId)
+         .sAdd(this.key('user', String(entry.id)), socketId)
+         .exec();
+   }
+
+   async getSocket(socketId) {
+      await this.ready;
+      const [entry] = await this.liveEntries([socketId]);
+      return entry || null;
+   }
+
+   async removeSocket(socketId) {
+      await this.ready;
+      const raw = await this.client.hGet(this.key('sockets'), socketId);
+      if (!raw) {
+         return;
+      }
+
+      const entry = JSON.parse(raw);
+      await this.client.multi()
+         .hDel(this.key('sockets'), socketId)
+         .sRem(this.key('room', entry.room), socketId)
+         .sRem(this.key('user', String(entry.id)), socketId)
+         .exec();
+   }
+
+   async updateUser(userId, details) {
+      const entries = await this.getUserSockets(userId);
+      if (entries.length === 0) {
+         return [];
+      }
+
+      const updates = {};
+      entries.forEach(entry => {
+         updates[entry.socketId] = JSON.stringify({ ...entry, ...details });
+      });
+      await this.client.hSet(this.key('sockets'), updates);
+
+      return Array.from(new Set(entries.map(entry => entry.room)));
+   }
+
+   async getRoomUsers(room) {
+      await this.ready;
+      return uniqueUsers(await this.liveEntries(await this.client.sMembers(this.key('room', room))));
+   }
+
+   async getUserSockets(userId) {
+      await this.ready;
+      return this.liveEntries(await this.client.sMembers(this.key('user', String(userId))));
+   }
+
+   async addConnection(socketId, userId) {
+      await this.ready;
+      await this.client.multi()
+         .hSet(this.key('connections'), socketId, JSON.stringify({ socketId, userId, idle: false, instanceId: this.instanceId }))
+         .sAdd(this.key('user-connections', String(userId)), socketId)
+         .exec();
+   }
+
+   async setConnectionIdle(socketId, idle) {
+      await this.ready;
+      const raw = await this.client.hGet(this.key('connections'), socketId);
+      if (raw) {
+         await this.client.hSet(this.key('connections'), socketId, JSON.stringify({ ...JSON.parse(raw), idle }));
+      }
+   }
+
+   async removeConnection(socketId) {
+      await this.ready;
+      const raw = await this.client.hGet(this.key('connections'), socketId);
+      if (!raw) {
+         return;
+      }
+
+      await this.client.multi()
+         .hDel(this.key('connections'), socketId)
+         .sRem(this.key('user-connections', String(JSON.parse(raw).userId)), socketId)
+         .exec();
+   }
+
+   async getUserConnections(userId) {
+      await this.ready;
+      const socketIds = await this.client.sMembers(this.key('user-connections', String(userId)));
+      return this.liveRecords('connections', socketIds, socketId => this.removeConnection(socketId));
+   }
+
+   async addToWaitlist(room, socketId) {
+      await this.removeFromWaitlist(socketId);
+
+      const [position] = await this.client.multi()
+         .rPush(this.key('waitlist', room), socketId)
+         .hSet(this.key('waitlisted'), socketId, room)
+         .exec();
+      return position;
+   }
+
+   async removeFromWaitlist(socketId) {
+      await this.ready;
+      const room = await this.client.hGet(this.key('waitlisted'), socketId);
+      if (!room) {
+         return false;
+      }
+
+      await this.client.multi()
+         .lRem(this.key('waitlist', room), 0, socketId)
+         .hDel(this.key('waitlisted'), socketId)
+         .exec();
+      return true;
+   }
+
+   async nextInWaitlist(room) {
+      await this.ready;
+      const socketId = await this.client.lPop(this.key('waitlist', room));
+      if (socketId) {
+         await this.client.hDel(this.key('waitlisted'), socketId);
+      }
+      return socketId;
+   }
+
+   // Buckets expire once they would have refilled, so nothing needs pruning
+   async takeTokens(buckets, now) {
+      await this.ready;
+      const keys = buckets.map(limit => this.key('flood', limit.key));
+
+      return this.watched(keys, async client => {
+         const stored = await Promise.all(keys.map(key => client.hmGet(key, ['tokens', 'updatedAt'])));
+         const levels = buckets.map((limit, index) => {
+            const [tokens, updatedAt] = stored[index];
+            return refilled(tokens === null ? null : { tokens: Number(tokens), updatedAt: Number(updatedAt) }, limit, now);
+         });
+
+         const result = tokensAvailable(buckets, levels);
+         if (!result.allowed) {
+            return { result };
+         }
+
+         const multi = client.multi();
+         buckets.forEach((limit, index) => {
+            multi.hSet(keys[index], { tokens: String(levels[index] - 1), updatedAt: String(now) })
+               .pExpire(keys[index], limit.seconds * 1000);
+         });
+         return { result, multi };
+      });
+   }
+
+   async getCooldown(key, now) {
+      await this.ready;
+      const cooldownUntil = await this.client.hGet(this.key('cooldown', key), 'cooldownUntil');
+      return cooldownUntil ? Math.max(0, Number(cooldownUntil) - now) : 0;
+   }
+
+   async startCooldown(key, stepsMs, memoryMs, now) {
+      await this.ready;
+      const offenderKey = this.key('cooldown', key);
+
+      return this.watched([offenderKey], async client => {
+         const [offences, cooldownUntil] = await client.hmGet(offenderKey, ['offences', 'cooldownUntil']);
+         const offender = offences === null ? null : { offences: Number(offences), cooldownUntil: Number(cooldownUntil) };
+         const next = nextOffence(offender, stepsMs, memoryMs, now);
+
+         const multi = client.multi()
+            .hSet(offenderKey, { offences: String(next.offences), cooldownUntil: String(next.cooldownUntil) })
+            .pExpire(offenderKey, next.cooldownMs + memoryMs);
+         return { result: next.cooldownMs, multi };
+      });
+   }
+
+   // Offender records expire once forgotten, so nothing needs pruning
+   async pruneFloodState() {}
+
+   async getRecent(key, windowMs, now) {
+      await this.ready;
+      const entries = await this.client.lRange(this.key('recent', key), 0, -1);
+      return entries
+         .map(raw => JSON.parse(raw))
+         .filter(entry => now - entry.at < windowMs)
+         .map(entry => entry.value);
+   }
+
+   // Lists expire a window after their last addition
+   async addRecent(key, values, windowMs, limit, now) {
+      if (values.length === 0) {
+         return;
+      }
+
+      await this.ready;
+      const listKey = this.key('recent', key);
+      await this.client.multi()
+         .rPush(listKey, values.map(value => JSON.stringify({ value, at: now })))
+         .lTrim(listKey, -limit, -1)
+         .pExpire(listKey, windowMs)
+         .exec();
+   }
+
+   async acquireLease(name, ttlSeconds) {
+      await this.ready;
+      const leaseKey = this.key('lease', name);
+
+      return this.watched([leaseKey], async client => {
+         const holder = await client.get(leaseKey);
+         if (holder && holder !== this.instanceId) {
+            return { result: false };
+         }
+         return { result: true, multi: client.multi().set(leaseKey, this.instanceId, { EX: ttlSeconds }) };
+      });
+   }
+
+   async saveResumeToken(record, ttlSeconds) {
+      await this.takeSocketResumeToken(record.socketId);
+
+      const userKey = this.key('resume-user', String(record.userId));
+      await this.client.multi()
+         .set(this.key('resume', record.token), JSON.stringify({ ...record, held: false }), { EX: ttlSeconds })
+         .hSet(this.key('resume-sockets'), record.socketId, record.token)
+         .sAdd(userKey, record.token)
+         .expire(userKey, ttlSeconds)
+         .exec();
+   }
+
+   async holdResumeToken(socketId, ttlSeconds) {
+      await this.ready;
+      const token = await this.client.hGet(this.key('resume-sockets'), socketId);
+      if (!token) {
+         return false;
+      }
+
+      const tokenKey = this.key('resume', token);
+      return this.watched([tokenKey], async client => {
+         const raw = await client.get(tokenKey);
+         if (!raw) {
+            return { result: false };
+         }
+         const held = JSON.stringify({ ...JSON.parse(raw), held: true });
+         return { result: true, multi: client.multi().set(tokenKey, held, { EX: ttlSeconds }) };
+      });
+   }
+
+   async claimResumeToken(token, userId) {
+      await this.ready;
+      return this.takeResumeToken(token, record => record.userId === userId);
+   }
+
+   async takeSocketResumeToken(socketId) {
+      await this.ready;
+      const token = await this.client.hGet(this.key('resume-sockets'), socketId);
+      if (!token) {
+         return null;
+      }
+
+      const record = await this.takeResumeToken(token);
+      if (!record) {
+         // Expired: only the index entry is left
+         await this.client.hDel(this.key('resume-sockets'), socketId);
+      }
+      return record;
+   }
+
+   async takeUserResumeTokens(userId, room) {
+      await this.ready;
+      const userKey = this.key('resume-user', String(userId));
+      const taken = [];
+
+      for (const token of await this.client.sMembers(userKey)) {
+         const record = await this.takeResumeToken(token, candidate => candidate.room === room);
+         if (record) {
+            taken.push(record);
+         } else if (!await this.client.exists(this.key('resume', token))) {
+            await this.client.sRem(userKey, token);
+         }
+      }
+      return taken;
+   }
+
+   // Remove a resume token if it passes `matches`; resolves to its record or null
+   takeResumeToken(token, matches = () => true) {
+      const tokenKey = this.key('resume', token);
+
+      return this.watched([tokenKey], async client => {
+         const raw = await client.get(tokenKey);
+         const record = raw ? JSON.parse(raw) : null;
+         if (!record || !matches(record)) {
+            return { result: null };
+         }
+
+         const multi = client.multi()
+            .del(tokenKey)
+            .hDel(this.key('resume-sockets'), record.socketId)
+            .sRem(this.key('resume-user', String(record.userId)), token);
+         return { result: record, multi };
+      });
+   }
+
+   // Read-then-write with optimistic locking. fn reads the watched keys through
+   // the client it is given and returns { result, multi }; multi (if any) is
+   // run only if no other instance changed the keys meanwhile, else fn runs again.
+   async watched(keys, fn) {
+      const { WatchError } = require('redis');
+
+      for (;;) {
+         try {
+            return await this.client.executeIsolated(async client => {
+               await client.watch(keys);
+               try {
+                  const { result, multi } = await fn(client);
+                  if (multi) {
+                     await multi.exec();
+                  }
+                  return result;
+               } finally {
+                  await client.unwatch();
+               }
+            });
+         } catch (error) {
+            if (!(error instanceof WatchError)) {
+               throw error;
+            }
+         }
+      }
+   }
+
+   // Load socket entries, dropping (and cleaning up) those of dead instances
+   liveEntries(socketIds) {
+      return this.liveRecords('sockets', socketIds, socketId => this.removeSocket(socketId));
+   }
+
+   // Load records from a hash keyed by socket ID, removing those of dead instances
+   async liveRecords(hash, socketIds, remove) {
+      if (socketIds.length === 0) {
+         return [];
+      }
+
+      const records = (await this.client.hmGet(this.key(hash), socketIds))
+         .filter(Boolean)
+         .map(raw => JSON.parse(raw));
+
+      const alive = new Map([[this.instanceId, true]]);
+      for (const instanceId of new Set(records.map(record => record.instanceId))) {
+         if (!alive.has(instanceId)) {
+            alive.set(instanceId, await this.client.exists(this.key('instance', instanceId)) > 0);
+         }
+      }
+
+      for (const record of records.filter(record => !alive.get(record.instanceId))) {
+         await remove(record.socketId);
+      }
+
+      return records.filter(record => alive.get(record.instanceId));
+   }
+
+   async close() {
+      clearInterval(this.heartbeatTimer);
+      await this.ready;
+      await this.client.del(this.key('instance', this.instanceId));
+      await Promise.all([this.client.quit(), this.subClient.quit()]);
+   }
+}
+
+const backends = {
+   memory: () => new MemoryPresence(),
+   redis: () => new RedisPresence(process.env.REDIS_URL || 'redis://localhost:6379', process.env.REDIS_PREFIX || 'chatbud')
+};
+
+let presence = null;
+
+// Register a presence backend factory under a name usable in PRESENCE_ADAPTER
+function registerPresence(name, factory) {
+   backends[name] = factory;
+}
+
+// The configured backend, created on first use
+function getPresence() {
+   if (!presence) {
+      const name = process.env.PRESENCE_ADAPTER || 'memory';
+      const factory = backends[name];
+      if (!factory) {
+         throw new Error(`Unknown presence adapter: ${name}`);
+      }
+      presence = factory();
+   }
+   return presence;
+}
+
+module.exports = {
+   MemoryPresence,
+   RedisPresence,
+   registerPresence,
+   getPresence
+};
@@ -0,0 +1,83 @@
+const sharp = require('sharp');
+
+// Avatars are cropped to a square of AVATAR_SIZE pixels
+const AVATAR_SIZE = 256;
+const AVATAR_MAX_BYTES = (parseInt(process.env.AVATAR_MAX_MB) || 5) * 1024 * 1024;
+const AVATAR_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Profile text fields and their maximum lengths
+const PROFILE_FIELDS = {
+   displayName: 50,
+   bio: 500,
+   statusText: 100
+};
+
+// Shape a users row as a profile. Private fields (email, guest status) are
+// only included for the user's own profile.
+function formatProfile(user, includePrivate = false) {
+   const profile = {
+      id: user.id,
+      username: user.username,
+      displayName: user.display_name || null,
+      avatar: user.avatar_url || null,
+      bio: user.bio || null,
+      statusText: user.status_text || null,
+      isBot: !!user.is_bot,
+      isOnline: !!user.is_online,
+      presence: user.presence || (user.is_online ? 'online' : 'offline'),
+      lastSeen: user.last_seen,
+      createdAt: user.created_at
+   };
+
+   if (includePrivate) {
+      profile.email = user.email || null;
+      profile.isGuest = !!user.is_guest;
+   }
+
+   return profile;
+}
+
+// Validate profile fields from a request body; only supplied fields are checked.
+// Empty strings clear a field.
+function validateProfileInput(body = {}) {
+   const values = {};
+
+   for (const [field, maxLength] of Object.entries(PROFILE_FIELDS)) {
+      if (body[field] === undefined) {
+         continue;
+      }
+
+      if (body[field] !== null && typeof body[field] !== 'string') {
+         return { error: `${field} must be a string` };
+      }
+
+      const value = body[field] ? body[field].trim() : '';
+      if (value.length > maxLength) {
+         return { error: `${field} can be at most ${maxLength} characters` };
+      }
+      values[field] = value || null;
+   }
+
+   if (Object.keys(values).length === 0) {
+      return { error: `Nothing to update; send any of ${Object.keys(PROFILE_FIELDS).join(', ')}` };
+   }
+
+   return { values };
+}
+
+// Crop and resize an uploaded image to a square WebP avatar
+async function resizeAvatar(buffer) {
+   return sharp(buffer)
+      .rotate()
+      .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+      .webp()
+      .toBuffer();
+}
+
+module.exports = {
+   AVATAR_MAX_BYTES,
+   AVATAR_TYPES,
+   formatProfile,
+   validateProfileInput,
+   resizeAvatar
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { getPresence } = require('./presence');
+
+// Resume tokens let a client that lost its connection take its place in a room
+// back without leaving and rejoining. A token is issued on every room join; when
+// its socket disconnects, the leave is held for RESUME_GRACE_SECONDS in case the
+// client comes back with the token. Tokens live in the presence backend, so the
+// client may come back through any instance; the grace period timer runs on the
+// instance the socket dropped from.
+const RESUME_GRACE_SECONDS = parseInt(process.env.RESUME_GRACE_SECONDS) || 30;
+// How long a token is kept while its socket stays connected
+const RESUME_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+const TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+
+const graceTimers = new Map(); // socketId -> timer, for sockets held on this instance
+
+function clearGraceTimer(socketId) {
+   clearTimeout(graceTimers.get(socketId));
+   graceTimers.delete(socketId);
+}
+
+// Issue a token for a socket that joined a room, replacing any it already had
+async function issueResumeToken(socketId, userId, room) {
+   const token = crypto.randomBytes(24).toString('hex');
+   await getPresence().saveResumeToken({ token, socketId, userId, room }, RESUME_TOKEN_TTL_SECONDS);
+   return token;
+}
+
+// A socket with a token disconnected: call onExpire once the grace period
+// passes without a resume on any instance. Resolves to false if the socket had
+// no token.
+async function holdForResume(socketId, onExpire) {
+   // The held token outlives the timer, so the timer can still tell whether it was claimed
+   if (!await getPresence().holdResumeToken(socketId, RESUME_GRACE_SECONDS + 60)) {
+      return false;
+   }
+
+   graceTimers.set(socketId, setTimeout(async () => {
+      graceTimers.delete(socketId);
+      try {
+         if (!await getPresence().takeSocketResumeToken(socketId)) {
+            return; // Resumed or revoked meanwhile
+         }
+      } catch (error) {
+         console.error('Error expiring resume token:', error); // Release anyway; the socket is gone
+      }
+      onExpire();
+   }, RESUME_GRACE_SECONDS * 1000));
+   return true;
+}
+
+// Take a user's token, cancelling its pending leave. Resolves to the record
+// ({ socketId, room, held }), or null if the token is unknown, expired or not theirs.
+async function claimResumeToken(token, userId) {
+   if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+      return null;
+   }
+
+   const record = await getPresence().claimResumeToken(token, userId);
+   if (record) {
+      clearGraceTimer(record.socketId);
+   }
+   return record;
+}
+
+// Forget a socket's token, if it has one
+async function forgetResumeToken(socketId) {
+   clearGraceTimer(socketId);
+   await getPresence().takeSocketResumeToken(socketId);
+}
+
+// Forget a user's tokens for a room, e.g. when they're removed from it.
+// Resolves to the records of sockets that were still waiting out their grace period.
+async function revokeResumeTokens(userId, room) {
+   const revoked = await getPresence().takeUserResumeTokens(userId, room);
+   revoked.forEach(record => clearGraceTimer(record.socketId));
+   return revoked.filter(record => record.held);
+}
+
+module.exports = {
+   RESUME_GRACE_SECONDS,
+   issueResumeToken,
+   holdForResume,
+   claimResumeToken,
+   forgetResumeToken,
+   revokeResumeTokens
+};
@@ -0,0 +1,97 @@
+const { getPresence } = require('./presence');
+
+// Shape a rooms row for API responses
+function formatRoom(room, userCount = 0, unreadCount = 0) {
+   return {
+      id: room.id,
+      name: room.name,
+      description: room.description,
+      maxUsers: room.max_users,
+      isPrivate: !!room.is_private,
+      readReceipts: room.read_receipts !== undefined ? !!room.read_receipts : true,
+      createdBy: room.created_by,
+      isMember: room.is_member !== undefined ? !!room.is_member : undefined,
+      isAdmin: room.is_admin !== undefined ? !!room.is_admin : undefined,
+      userCount,
+      unreadCount
+   };
+}
+
+// Shape a room_invites row for API responses, with a shareable link
+function formatInvite(invite, req) {
+   return {
+      code: invite.code,
+      link: `${req.protocol}://${req.get('host')}/chat?invite=${invite.code}`,
+      maxUses: invite.max_uses,
+      useCount: invite.use_count,
+      expiresAt: invite.expires_at,
+      revoked: !!invite.revoked_at,
+      createdAt: invite.created_at
+   };
+}
+
+// Validate room fields from a request body. With partial = true only the
+// supplied fields are checked (used for updates).
+function validateRoomInput(body = {}, partial = false) {
+   const values = {};
+
+   if (body.name !== undefined || !partial) {
+      const name = typeof body.name === 'string' ? body.name.trim() : '';
+      if (!/^[A-Za-z0-9 _-]{2,100}$/.test(name)) {
+         return { error: 'Room name must be 2-100 letters, numbers, spaces, dashes or underscores' };
+      }
+      values.name = name;
+   }
+
+   if (body.description !== undefined) {
+      if (body.description !== null && typeof body.description !== 'string') {
+         return { error: 'Description must be a string' };
+      }
+      values.description = body.description ? body.description.trim() : null;
+   }
+
+   if (body.maxUsers !== undefined) {
+      const maxUsers = parseInt(body.maxUsers, 10);
+      if (!Number.isInteger(maxUsers) || maxUsers < 1 || maxUsers > 1000) {
+         return { error: 'maxUsers must be between 1 and 1000' };
+      }
+      values.maxUsers = maxUsers;
+   }
+
+   if (body.isPrivate !== undefined) {
+      values.isPrivate = !!body.isPrivate;
+   }
+
+   if (body.readReceipts !== undefined) {
+      values.readReceipts = !!body.readReceipts;
+   }
+
+   return { values };
+}
+
+// Waitlists for full rooms live in the presence backend, so a spot freed on one
+// instance is offered to whoever waited first on any of them
+
+// Queue a socket for a full room; resolves to its 1-based position
+function addToWaitlist(room, socketId) {
+   return getPresence().addToWaitlist(room, socketId);
+}
+
+// Drop a socket from whichever waitlist it is on
+function removeFromWaitlist(socketId) {
+   return getPresence().removeFromWaitlist(socketId);
+}
+
+// Take the next waiting socket for a room, if any
+function nextInWaitlist(room) {
+   return getPresence().nextInWaitlist(room);
+}
+
+module.exports = {
+   formatRoom,
+   formatInvite,
+   validateRoomInput,
+   addToWaitlist,
+   removeFromWaitlist,
+   nextInWaitlist
+};
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+// Attachment storage backends. A backend stores opaque keys and implements:
+//   save(key, buffer)      -> Promise
+//   createReadStream(key)  -> Readable stream
+//   remove(key)            -> Promise
+// Pick one with ATTACHMENT_STORAGE (default: local) and add more with registerStorage().
+
+// Stores files under a directory on local disk (ATTACHMENT_DIR, default ./uploads)
+class LocalDiskStorage {
+   constructor(rootDir) {
+      this.rootDir = path.resolve(rootDir);
+   }
+
+   // Map a key to a path, refusing anything that escapes the root directory
+   resolve(key) {
+      const filePath = path.resolve(this.rootDir, key);
+      if (!filePath.startsWith(this.rootDir + path.sep)) {
+         throw new Error(`Invalid storage key: ${key}`);
+      }
+      return filePath;
+   }
+
+   async save(key, buffer) {
+      const filePath = this.resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+   }
+
+   createReadStream(key) {
+      return fs.createReadStream(this.resolve(key));
+   }
+
+   async remove(key) {
+      await fs.promises.rm(this.resolve(key), { force: true });
+   }
+}
+
+const backends = {
+   local: () => new LocalDiskStorage(process.env.ATTACHMENT_DIR || path.join(__dirname, '..', 'uploads'))
+};
+
+let storage = null;
+
+// Register a storage backend factory under a name usable in ATTACHMENT_STORAGE
+function registerStorage(name, factory) {
+   backends[name] = factory;
+}
+
+// The configured backend, created on first use
+function getStorage() {
+   if (!storage) {
+      const name = process.env.ATTACHMENT_STORAGE || 'local';
+      const factory = backends[name];
+      if (!factory) {
+         throw new Error(`Unknown attachment storage: ${name}`);
+      }
+      storage = factory();
+   }
+   return storage;
+}
+
+module.exports = {
+   LocalDiskStorage,
+   registerStorage,
+   getStorage
+};
@@ -1,12 +1,16 @@
 const User = require('../models/User');
 const Session = require('../models/Session');
+const { getPresence } = require('./presence');
 
-// In-memory storage for quick access (still needed for Socket.IO)
+// This instance's sockets, for synchronous lookups in socket handlers. The
+// presence backend (utils/presence.js) holds every instance's sockets.
 const connectedUsers = new Map();
 
-// Join user to chat (now with database)
-async function userJoin(socketId, sessionId, userId, username, room, ipAddress, userAgent) {
+// Join user to chat (now with database). details holds extra fields to keep
+// on the user, such as roomId, displayName and avatar.
+async function userJoin(socketId, sessionId, userId, username, room, ipAddress, userAgent, details = {}) {
    const user = { 
+      ...details,
       id: userId,
       socketId, 
       sessionId,
@@ -17,9 +21,14 @@ async function userJoin(socketId, sessionId, userId, username, room, ipAddress,
 
    connectedUsers.set(socketId, user);
    
+   try {
+      await getPresence().addSocket(socketId, user);
+   } catch (error) {
+      console.error('Error recording presence:', error);
+   }
+
    try {
       // Update database
-      await User.setOnlineStatus(userId, true);
       await Session.create(sessionId, userId, socketId, room, ipAddress, userAgent);
    } catch (error) {
       console.error('Error updating user session:', error);
@@ -33,17 +42,61 @@ function getCurrentUser(socketId) {
    return connectedUsers.get(socketId);
 }
 
-// User leaves chat (now with database)
+// Apply profile changes (e.g. displayName, avatar) to this instance's sockets
+// of a user. Returns the rooms those sockets are in.
+function updateLocalUser(userId, details) {
+   const rooms = new Set();
+
+   connectedUsers.forEach(user => {
+      if (user.id === userId) {
+         Object.assign(user, details);
+         rooms.add(user.room);
+      }
+   });
+
+   return Array.from(rooms);
+}
+
+// Apply profile changes to every socket of a user on any instance. Returns the
+// rooms those sockets are in so their user lists can be refreshed. Other
+// instances still need to be told to call updateLocalUser.
+async function updateConnectedUser(userId, details) {
+   const rooms = new Set(updateLocalUser(userId, details));
+
+   try {
+      (await getPresence().updateUser(userId, details)).forEach(room => rooms.add(room));
+   } catch (error) {
+      console.error('Error updating presence:', error);
+   }
+
+   return Array.from(rooms);
+}
+
+// User leaves chat (now with database). The socket may belong to another
+// instance, e.g. when kicking someone; its entry then comes from presence.
 async function userLeave(socketId) {
-   const user = connectedUsers.get(socketId);
+   let user = connectedUsers.get(socketId);
+
+   if (!user) {
+      try {
+         user = await getPresence().getSocket(socketId);
+      } catch (error) {
+         console.error('Error reading presence:', error);
+      }
+   }
    
    if (user) {
       connectedUsers.delete(socketId);
+
+      try {
+         await getPresence().removeSocket(socketId);
+      } catch (error) {
+         console.error('Error removing presence:', error);
+      }
       
       try {
-         // Update database
-         await User.setOnlineStatus(user.id, false);
-         await Session.remove(user.sessionId);
+         // Update database. Only this socket's row: other tabs share the session.
+         await Session.removeBySocketId(socketId);
       } catch (error) {
          console.error('Error removing user session:', error);
       }
@@ -59,46 +112,98 @@ async function getRoomUsers(room) {
       const users = await Session.getUsersInRoom(room);
       
       if (users && users.length > 0) {
-         return users.map(user => ({
-            id: user.userId || user.user_id,
-            username: user.username,
-            isOnline: user.isOnline !== undefined ? user.isOnline : true,
-            avatar: user.avatar_url
-         }));
+         // One entry per user, even with several sockets in the room
+         const uniqueUsers = new Map();
+         users.forEach(user => {
+            if (!uniqueUsers.has(user.id)) {
+               uniqueUsers.set(user.id, {
+                  id: user.id,
+                  username: user.username,
+                  displayName: user.display_name || null,
+                  isOnline: user.is_online !== undefined ? !!user.is_online : true,
+                  presence: user.presence || 'online',
+                  avatar: user.avatar_url
+               });
+            }
+         });
+         return Array.from(uniqueUsers.values());
       }
       
-      // Fallback to in-memory users
-      return Array.from(connectedUsers.values())
-         .filter(user => user.room === room)
-         .map(user => ({ 
-            id: user.id,
-            username: user.username,
-            isOnline: true 
-         }));
+      // Fallback to the presence backend
+      return presenceRoomUsers(room);
    } catch (error) {
       console.error('Error getting room users:', error);
-      return Array.from(connectedUsers.values())
-         .filter(user => user.room === room)
-         .map(user => ({ 
-            id: user.id,
-            username: user.username,
-            isOnline: true 
-         }));
-   
-      // Fallback to in-memory users
-      return Array.from(connectedUsers.values())
-         .filter(user => user.room === room)
-         .map(user => ({ username: user.username }));
+      return presenceRoomUsers(room);
+   }
+}
+
+// Room users as the presence backend sees them, across all instances
+async function presenceRoomUsers(room) {
+   try {
+      return (await getPresence().getRoomUsers(room)).map(user => ({ 
+         id: user.id,
+         username: user.username,
+         displayName: user.displayName || null,
+         isOnline: true,
+         presence: 'online',
+         avatar: user.avatar || null
+      }));
+   } catch (error) {
+      console.error('Error reading room presence:', error);
+      return [];
+   }
+}
+
+// A user's presence across all their sockets on every instance: online if
+// any socket is active, away if every socket is idle, offline with none
+async function computePresence(userId) {
+   const connections = await getPresence().getUserConnections(userId);
+   if (connections.length === 0) {
+      return 'offline';
    }
+   return connections.some(connection => !connection.idle) ? 'online' : 'away';
+}
+
+// Recompute and store a user's presence. Returns the new state if it changed,
+// otherwise null, so callers only announce real transitions.
+async function refreshPresence(userId) {
+   const state = await computePresence(userId);
+   return await User.setPresence(userId, state) ? state : null;
 }
 
-// Clean up old sessions periodically
+// A socket connected (in a room or not)
+async function socketConnected(socketId, userId) {
+   await getPresence().addConnection(socketId, userId);
+   return refreshPresence(userId);
+}
+
+// A socket reported its tab idle or active again
+async function setSocketIdle(socketId, userId, idle) {
+   await getPresence().setConnectionIdle(socketId, idle);
+   return refreshPresence(userId);
+}
+
+async function socketDisconnected(socketId, userId) {
+   await getPresence().removeConnection(socketId);
+   return refreshPresence(userId);
+}
+
+// Clean up old sessions and expired guests periodically
 setInterval(async () => {
    try {
       await Session.cleanOldSessions();
    } catch (error) {
       console.error('Error cleaning old sessions:', error);
    }
+
+   try {
+      const removed = await User.cleanExpiredGuests();
+      if (removed > 0) {
+         console.log(`Cleaned ${removed} expired guest users`);
+      }
+   } catch (error) {
+      console.error('Error cleaning expired guests:', error);
+   }
 }, 60 * 60 * 1000); // Every hour
 
 module.exports = {
@@ -106,4 +211,10 @@ module.exports = {
    getCurrentUser,
    userLeave,
    getRoomUsers,
+   updateConnectedUser,
+   updateLocalUser,
+   refreshPresence,
+   socketConnected,
+   setSocketIdle,
+   socketDisconnected,
 };
\ No newline at end of file
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Outgoing deliveries are retried after each of these delays (seconds), then
+// given up on: 1m, 5m, 30m, 2h, 12h
+const RETRY_DELAYS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60];
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const INCOMING_TEXT_MAX_LENGTH = 4000;
+
+// Hosts exempt from the private address check below, exactly as written in
+// the URL (e.g. an internal service): WEBHOOK_ALLOWED_HOSTS, comma-separated
+const ALLOWED_HOSTS = new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '')
+   .split(',').map(host => host.trim().toLowerCase()).filter(Boolean));
+
+// Addresses webhooks may never be sent to: loopback, private networks,
+// link-local (which includes cloud metadata at 169.254.169.254), shared and
+// reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 rules.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+   ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+   ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+   ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+   ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function generateSecret() {
+   return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+   return crypto.createHash('sha256').update(token || '').digest('hex');
+}
+
+// Constant-time check of a presented token against a stored hash
+function tokenMatches(token, tokenHash) {
+   const presented = Buffer.from(hashToken(token), 'hex');
+   const stored = Buffer.from(tokenHash || '', 'hex');
+   return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", hex encoded
+function signPayload(secret, timestamp, body) {
+   return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Seconds until the next attempt after `attempts` failed ones, or null to give up
+function retryDelay(attempts) {
+   return attempts <= RETRY_DELAYS.length ? RETRY_DELAYS[attempts - 1] : null;
+}
+
+function isPrivateAddress(address) {
+   const family = net.isIP(address);
+   return family === 0 || PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// A URL's hostname without the brackets around IPv6 addresses
+function bareHost(url) {
+   return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+// Why a host may not receive webhooks, or null if it may. Names are resolved
+// and every address they resolve to must be public.
+async function blockedHostReason(host) {
+   if (ALLOWED_HOSTS.has(host)) {
+      return null;
+   }
+
+   if (net.isIP(host)) {
+      return isPrivateAddress(host) ? `${host} is a private address` : null;
+   }
+
+   let addresses;
+   try {
+      addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+   } catch (error) {
+      return `${host} could not be resolved`;
+   }
+
+   const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+   return blocked ? `${host} resolves to a private address (${blocked.address})` : null;
+}
+
+// dns.lookup for deliveries that refuses private addresses, so a name can't
+// resolve to a public address when registered and a private one when used
+function publicOnlyLookup(hostname, options, callback) {
+   dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+         return callback(error);
+      }
+
+      const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+      if (blocked) {
+         return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+      }
+
+      if (options.all) {
+         return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+   });
+}
+
+// Resolves to { url } or { error }. Only public http(s) hosts are accepted.
+async function validateWebhookUrl(value) {
+   if (typeof value !== 'string' || value.length > 500) {
+      return { error: 'url must be an http(s) URL of at most 500 characters' };
+   }
+
+   let url;
+   try {
+      url = new URL(value.trim());
+   } catch (error) {
+      return { error: 'url is not a valid URL' };
+   }
+
+   if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return { error: 'url must use http or https' };
+   }
+
+   const blocked = await blockedHostReason(bareHost(url));
+   if (blocked) {
+      return { error: `url must point to a public host: ${blocked}` };
+   }
+
+   return { url: url.toString() };
+}
+
+function validateIncomingName(value) {
+   const name = typeof value === 'string' ? value.trim() : '';
+   if (!name || name.length > 50) {
+      return { error: 'name is required (at most 50 characters)' };
+   }
+   return { name };
+}
+
+// POST a signed JSON body. Resolves to { ok, status, error }; never rejects.
+// The host is checked again on every delivery, as its addresses may have changed.
+async function sendWebhook({ url, secret, event, deliveryId, body }) {
+   const target = new URL(url);
+   const host = bareHost(target);
+
+   const blocked = await blockedHostReason(host);
+   if (blocked) {
+      return { ok: false, status: null, error: `Refused: ${blocked}` };
+   }
+
+   return new Promise(resolve => {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const transport = target.protocol === 'https:' ? https : http;
+
+      const request = transport.request(target, {
+         method: 'POST',
+         timeout: DELIVERY_TIMEOUT_MS,
+         lookup: ALLOWED_HOSTS.has(host) ? undefined : publicOnlyLookup,
+         headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': 'ChatBud-Webhooks',
+            'X-ChatBud-Event': event,
+            'X-ChatBud-Delivery': String(deliveryId),
+            'X-ChatBud-Timestamp': timestamp,
+            'X-ChatBud-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+         }
+      }, response => {
+         // Drain the body; only the status matters
+         response.resume();
+         response.on('end', () => {
+            const ok = response.statusCode >= 200 && response.statusCode < 300;
+            resolve({ ok, status: response.statusCode, error: ok ? null : `HTTP ${response.statusCode}` });
+         });
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Timed out after ${DELIVERY_TIMEOUT_MS}ms`)));
+      request.on('error', error => resolve({ ok: false, status: null, error: error.message }));
+      request.end(body);
+   });
+}
+
+// The token is only returned (as part of the URL) when the webhook is created
+function formatIncomingWebhook(webhook) {
+   return {
+      id: webhook.id,
+      name: webhook.name,
+      userId: webhook.user_id,
+      createdAt: webhook.created_at,
+      lastUsedAt: webhook.last_used_at || null
+   };
+}
+
+// The secret is only returned when the webhook is created
+function formatOutgoingWebhook(webhook) {
+   return {
+      id: webhook.id,
+      url: webhook.url,
+      createdAt: webhook.created_at
+   };
+}
+
+function formatDelivery(delivery) {
+   return {
+      id: delivery.id,
+      event: delivery.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      responseStatus: delivery.response_status,
+      lastError: delivery.last_error,
+      nextAttemptAt: delivery.next_attempt_at,
+      createdAt: delivery.created_at,
+      updatedAt: delivery.updated_at
+   };
+}
+
+module.exports = {
+   INCOMING_TEXT_MAX_LENGTH,
+   generateSecret,
+   hashToken,
+   tokenMatches,
+   signPayload,
+   retryDelay,
+   validateWebhookUrl,
+   validateIncomingName,
+   sendWebhook,
+   formatIncomingWebhook,
+   formatOutgoingWebhook,
+   formatDelivery
+};